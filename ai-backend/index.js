@@ -7,14 +7,65 @@
 import express from "express";
 import bodyParser from "body-parser";
 import dotenv from "dotenv";
-import OpenAI from "openai";
 import twilio from "twilio";
 import { PrismaClient } from "@prisma/client";
 import cors from "cors";
 import cookieParser from "cookie-parser";
-import { generateAvaResponse } from "./utils/generateAvaResponse.js";
-import { getAvailabilityContext } from "./utils/getAvailabilityContext.js";
-import { ensureValidOutlookToken } from "./routes/outlook-sync.js";
+import { DateTime } from "luxon";
+import { complete, completeText, getLlmProviderName } from "./utils/llm.js";
+import { generateAvaMessage } from "./utils/generateAvaResponse.js";
+import { getActivePrompt, renderActivePrompt, renderPrompt } from "./utils/promptTemplates.js";
+import {
+  STATES,
+  getConversationState,
+  markBooked,
+  resolvePendingTime,
+  savePartialTime,
+} from "./utils/conversationState.js";
+import { isAffirmative, createHold, confirmHold, releaseExpiredHolds } from "./utils/bookingHolds.js";
+import { findUpcomingBooking } from "./utils/bookingActions.js";
+import { queueOutlookCreate } from "./utils/outlookEvents.js";
+import { AVA_TOOLS, runAvaTool } from "./utils/avaTools.js";
+import { loadConversationMemory, queueHistorySummary } from "./utils/conversationMemory.js";
+import {
+  cleanQualification,
+  formatQualification,
+  serializeQualification,
+  saveQualificationEdits,
+  queueLeadQualification,
+} from "./utils/leadQualification.js";
+import { enqueueJob, registerJobHandler, startJobWorker } from "./utils/jobQueue.js";
+import { verifyTwilioSignature } from "./utils/twilioSignature.js";
+import { applyDeliveryStatus, FAILED_STATUSES } from "./utils/messageStatus.js";
+import {
+  KEYWORD_REPLIES,
+  cancelOrStopQuestion,
+  detectConsentKeyword,
+  isOptedOut,
+  recordConsentEvent,
+  canTextPhone,
+} from "./utils/consent.js";
+import { MODES, isAutoMode, detectHandoffTrigger, setLeadMode } from "./utils/handoff.js";
+import {
+  GLOBAL_CHANNEL,
+  publishConversationEvent,
+  toConversationItem,
+} from "./utils/eventBus.js";
+import { streamEvents } from "./utils/sse.js";
+import { DEFAULT_AGENT, markConversationRead, getUnreadCounts } from "./utils/readCursors.js";
+import { checkSlot, getFreeSlots, getShowingRules } from "./utils/availabilityEngine.js";
+import { CODE_TTL_MINUTES, createVerification, checkVerification, verificationSecret } from "./utils/phoneVerification.js";
+import {
+  SHOWING_TIME_FMT,
+  formatInZone,
+  getPropertyTimezone,
+  isValidTimezone,
+} from "./utils/timezone.js";
+import {
+  runReminderSweep,
+  findBookingAwaitingAttendance,
+  confirmAttendance,
+} from "./utils/reminders.js";
 
 // Routers
 import bookingsRouter from "./routes/bookings.js";
@@ -22,6 +73,10 @@ import availabilityRouter from "./routes/availability.js";
 import outlookAuthRouter from "./routes/outlookAuth.js";   // OAuth connect/callback
 import outlookRouter from "./routes/outlook.js";           // availability + event creation
 import outlookSyncRouter from "./routes/outlook-sync.js";  // webhook + sync
+import remindersRouter from "./routes/reminders.js";        // reminder settings + log
+import jobsRouter from "./routes/jobs.js";                  // job queue / dead letters
+import eventsRouter from "./routes/events.js";              // live SSE feeds
+import promptsRouter from "./routes/prompts.js";            // versioned prompt templates
 
 dotenv.config();
 
@@ -118,7 +173,6 @@ const {
   PORT = 10000,
   NODE_ENV = "production",
   OPENAI_API_KEY,
-  OPENAI_MODEL = "gpt-4o-mini",
   TWILIO_ACCOUNT_SID,
   TWILIO_AUTH_TOKEN,
   TWILIO_MESSAGING_SERVICE_SID,
@@ -128,17 +182,18 @@ const {
 } = process.env;
 
 // ---------- GUARDS ----------
-if (!OPENAI_API_KEY) throw new Error("Missing OPENAI_API_KEY");
+if (!OPENAI_API_KEY && getLlmProviderName() === "openai") throw new Error("Missing OPENAI_API_KEY");
 if (!TWILIO_ACCOUNT_SID || !TWILIO_AUTH_TOKEN)
   console.warn("⚠️ Twilio credentials not found yet — retrying later");
 if (!process.env.DATABASE_URL)
   throw new Error("Missing DATABASE_URL");
+if (!verificationSecret())
+  throw new Error("Missing VERIFICATION_SECRET (or OAUTH_COOKIE_SECRET) — signs booking-page SMS codes");
 
 const TWILIO_FROM_NUMBER = ENV_TWILIO_FROM_NUMBER || TWILIO_PHONE_NUMBER;
 
 
 // ---------- CORE SETUP ----------
-const openai = new OpenAI({ apiKey: OPENAI_API_KEY });
 const twilioClient = twilio(TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN);
 
 
@@ -166,6 +221,10 @@ app.use("/api/availability", availabilityRouter);
 app.use("/api/outlook", outlookRouter);             // availability + event creation
 app.use("/api/outlook-auth", outlookAuthRouter);    // OAuth connect/callback
 app.use("/api/outlook-sync", outlookSyncRouter);    // webhook + Graph sync
+app.use("/api/reminders", remindersRouter);         // showing reminders + follow-ups
+app.use("/api/jobs", jobsRouter);                   // durable side-effect queue
+app.use("/events", eventsRouter);                   // SSE: global + per-conversation
+app.use("/api/prompts", promptsRouter);             // Ava's prompts (edit / diff / rollback)
 
 
 // ---------- Healthcheck ----------
@@ -200,6 +259,10 @@ const normalizePhone = (num) => {
   if (!s.startsWith("+")) s = "+1" + s.replace(/[^\d]/g, "");
   return s;
 };
+// 🌐 Public booking page base (the dashboard's origin) — unset = Ava doesn't share links
+const BOOKING_PAGE_BASE_URL = (process.env.BOOKING_PAGE_BASE_URL || "").replace(/\/+$/, "");
+const bookingPageUrl = (slug) => (BOOKING_PAGE_BASE_URL && slug ? `${BOOKING_PAGE_BASE_URL}/book/${slug}` : null);
+
 const slugify = (s) =>
   (s || "")
     .toLowerCase()
@@ -240,7 +303,34 @@ async function upsertPropertyBySlug(slug, address) {
   });
 }
 
-async function saveMessage({ phone, role, content, propertyId }) {
+// 🌎 "" / null → use the global default; anything else must be a real IANA zone
+function parseTimezoneInput(value) {
+  if (value === undefined) return undefined;
+  if (!value) return null;
+  if (!isValidTimezone(value)) throw Object.assign(new Error(`Unknown timezone "${value}"`), { status: 400 });
+  return value;
+}
+
+// ⏱️ Showing length / buffer / capacity — "" / null → global default; only keys sent are touched
+function parseShowingRulesInput(body = {}) {
+  const data = {};
+  for (const [key, min] of [["showingDuration", 5], ["bufferMinutes", 0], ["slotCapacity", 1]]) {
+    const value = body[key];
+    if (value === undefined) continue;
+    if (value === "" || value === null) {
+      data[key] = null;
+      continue;
+    }
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < min) {
+      throw Object.assign(new Error(`${key} must be a whole number ≥ ${min}`), { status: 400 });
+    }
+    data[key] = n;
+  }
+  return data;
+}
+
+async function saveMessage({ phone, role, content, propertyId, providerSid, deliveryStatus, agentId, promptTemplateId }) {
   const lead = await upsertLeadByPhone(phone);
   return prisma.message.create({
     data: {
@@ -248,10 +338,40 @@ async function saveMessage({ phone, role, content, propertyId }) {
       content,
       leadId: lead.id,
       propertyId: propertyId ?? null,
+      providerSid: providerSid || null, // Twilio MessageSid (unique)
+      deliveryStatus: deliveryStatus || null,
+      agentId: agentId || null,
+      promptTemplateId: promptTemplateId || null,
     },
   });
 }
 
+// 📵 Opt-out status + recent STOP/START/HELP history for the dashboard
+function serializeConsent(lead) {
+  return {
+    status: lead.smsConsent || "subscribed",
+    optedOutAt: lead.optedOutAt,
+    history: (lead.consentEvents || []).map((e) => ({
+      action: e.action,
+      keyword: e.keyword,
+      source: e.source,
+      at: e.createdAt,
+    })),
+  };
+}
+
+// 🔀 Shape a ConversationState row for the dashboard
+function serializeConversationState(st) {
+  return {
+    propertySlug: st.property?.slug || null,
+    state: st.state,
+    pendingDate: st.pendingDate,
+    pendingTime: st.pendingTime,
+    bookingId: st.bookingId,
+    updatedAt: st.updatedAt,
+  };
+}
+
 async function findBestPropertyForLeadFromDB(phone) {
   // Prefer linked property (via LeadProperty)
   const lead = await prisma.lead.findUnique({
@@ -390,6 +510,7 @@ If a renter asks about something not listed here, she’ll politely say she’ll
 async function detectIntent(text) {
   const labels = [
     "book_showing",
+    "cancel_showing",
     "pricing_question",
     "availability",
     "parking",
@@ -400,77 +521,209 @@ async function detectIntent(text) {
     "spam_or_unknown",
   ];
   try {
-    const sys = `Classify into: ${labels.join(", ")}. Return ONLY the label.`;
-    const resp = await openai.chat.completions.create({
-      model: OPENAI_MODEL,
+    const sys = await renderActivePrompt("intent.system", { labels: labels.join(", ") });
+    const label = await completeText({
+      purpose: "intent",
       temperature: 0,
       messages: [
-        { role: "system", content: sys },
+        { role: "system", content: sys.text },
         { role: "user", content: text || "" },
       ],
     });
-    const label = resp.choices?.[0]?.message?.content?.trim();
     return labels.includes(label) ? label : "general_info";
   } catch {
     return "general_info";
   }
 }
 
-async function aiReply({ incomingText, property, intent, availabilityContext }) {
-  const context = buildContextFromProperty(property);
-
-  const hours = availabilityContext?.globalHours || {};
-  const availableSlots = availabilityContext?.availableSlots || [];
-  const blockedSlots = availabilityContext?.blockedSlots || [];
+// Model ↔ tool round trips allowed per inbound text before Ava has to answer
+const MAX_TOOL_ROUNDS = 4;
 
-  const system = `
-You are "Ava", a professional and personable leasing assistant for a real estate company.
+/**
+ * 🤖 Ava's reply to one inbound SMS. The model calls AVA_TOOLS to look up
+ * facts and open times and to book, move or cancel; each call runs server-side
+ * with full validation and the result goes back to the model until it answers.
+ * → { text, promptTemplateId } (the "ava.system" version used)
+ */
+async function aiReply({ incomingText, lead, property, tz, upcoming, memory = {}, turnStartedAt, requested }) {
+  const bookingLink = bookingPageUrl(property?.slug);
+  const now = DateTime.now().setZone(tz);
 
-You speak like a real person who works in property management — warm, confident, and natural in tone. 
-You never sound robotic or overly formal.
+  let showing = "None booked yet.";
+  if (upcoming) {
+    const upcomingTz = await getPropertyTimezone(upcoming.property || upcoming.propertyId);
+    const when = formatInZone(upcoming.datetime, upcomingTz);
+    // The hold's exact start, as create_booking takes it — "yes" confirms this one
+    const start = DateTime.fromJSDate(upcoming.datetime, { zone: upcomingTz }).toFormat("yyyy-MM-dd'T'HH:mm");
+    showing =
+      upcoming.status === "pending"
+        ? `${when} — held (start ${start}), waiting for the renter to confirm`
+        : `${when} — confirmed`;
+  }
 
-Your goal is to help renters inquire about properties and book showings.
+  // 📝 Live "ava.system" version (dashboard-editable); only load what it uses
+  const prompt = await getActivePrompt("ava.system");
+  const uses = (name) => new RegExp(`\\{[#^]?${name}\\}`).test(prompt.body);
+  const system = renderPrompt(prompt.body, {
+    leadName: lead.name || "",
+    propertyName: property ? property.facts?.buildingName || property.address || property.slug : "",
+    propertyFacts: uses("propertyFacts") ? buildContextFromProperty(property) : "",
+    openSlots:
+      uses("openSlots") && property
+        ? (await getFreeSlots(property.id, { count: 6, leadId: lead.id })).map((s) => s.label)
+        : [],
+    showing,
+    qualification: formatQualification(lead),
+    summary: memory.summary || "",
+    bookingLink: bookingLink || "",
+    timezone: tz,
+    now: now.toFormat("cccc, LLL d yyyy 'at' h:mm a"),
+  }).trim();
+  const reply = (text) => ({ text, promptTemplateId: prompt.id });
+
+  const messages = [
+    { role: "system", content: system },
+    ...(memory.history || []),
+    { role: "user", content: incomingText },
+  ];
+  const ctx = { lead, property, tz, turnStartedAt, requested };
+
+  for (let round = 0; round <= MAX_TOOL_ROUNDS; round++) {
+    const msg = await complete({
+      purpose: "reply",
+      temperature: 0.7, // give her a bit of tone variation
+      messages,
+      tools: AVA_TOOLS,
+      // Out of rounds → she has to answer with what she has
+      toolChoice: round === MAX_TOOL_ROUNDS ? "none" : "auto",
+    });
 
-### RULES:
-- Base answers only on the provided PROPERTY FACTS and AVAILABILITY INFO below.
-- Offer showing times only within open hours and unblocked slots.
-- If a slot is unavailable, suggest the next available open slot.
-- Never promise times outside open hours.
-- Keep SMS replies short, conversational, and natural.
+    if (!msg?.tool_calls?.length) {
+      return reply(msg?.content?.trim() || "Thanks for reaching out!");
+    }
 
-### PROPERTY FACTS:
-${context}
+    messages.push(msg);
+    for (const call of msg.tool_calls) {
+      const result = await runAvaTool(call.function.name, call.function.arguments, ctx);
+      console.log(`🧰 ${call.function.name}(${call.function.arguments}) →`, JSON.stringify(result));
+      messages.push({ role: "tool", tool_call_id: call.id, content: JSON.stringify(result) });
+    }
+  }
 
-### GLOBAL OPEN HOURS:
-${JSON.stringify(hours, null, 2)}
+  return reply("Thanks for reaching out!");
+}
 
-### AVAILABLE SLOTS:
-${JSON.stringify(availableSlots.slice(0, 5), null, 2)}
 
-### BLOCKED SLOTS:
-${JSON.stringify(blockedSlots.slice(0, 5), null, 2)}
-`;
+/**
+ * 📤 Record an outbound SMS in the thread and queue it (sent by the job worker,
+ * retried on Twilio errors). Pass an idempotencyKey when the same send could be
+ * triggered twice. propertyId defaults to the thread the lead last texted on.
+ *
+ * 📵 Opted-out leads get nothing (returns null) — bypassConsent is only for the
+ * one STOP confirmation the carriers require.
+ * 🧑‍💼 Agent replies pass role "agent" + agentId.
+ * 📝 Ava's generated texts pass the promptTemplateId that produced them.
+ */
+async function sendSms(
+  to,
+  body,
+  { idempotencyKey, propertyId, bypassConsent = false, role = "assistant", agentId, promptTemplateId } = {}
+) {
+  if (!bypassConsent && !(await canTextPhone(to))) {
+    console.log(`📵 Not texting ${to} — opted out`);
+    return null;
+  }
 
+  if (propertyId === undefined) {
+    const last = await prisma.message.findFirst({
+      where: { lead: { phone: to } },
+      orderBy: { createdAt: "desc" },
+      select: { propertyId: true },
+    });
+    propertyId = last?.propertyId ?? null;
+  }
 
-  const resp = await openai.chat.completions.create({
-    model: OPENAI_MODEL,
-    temperature: 0.7, // give her a bit of tone variation
-    messages: [
-      { role: "system", content: system },
-      { role: "user", content: `Lead message: ${incomingText}` },
-    ],
+  const message = await saveMessage({
+    phone: to,
+    role,
+    content: body,
+    propertyId,
+    deliveryStatus: "queued",
+    agentId,
+    promptTemplateId,
   });
+  await prisma.lead.update({ where: { id: message.leadId }, data: { lastOutboundStatus: "queued" } });
 
-  return resp.choices?.[0]?.message?.content?.trim() || "Thanks for reaching out!";
+  const job = await enqueueJob(
+    "sms.send",
+    { to, body, messageId: message.id, bypassConsent },
+    { idempotencyKey }
+  );
+  if (job?.payload?.messageId !== message.id) {
+    // Same send already queued earlier — don't show it twice in the thread
+    await prisma.message.delete({ where: { id: message.id } });
+  } else {
+    publishConversationEvent(to, { type: "message", item: toConversationItem(message) });
+  }
+  return job;
 }
 
+// 📶 Where Twilio posts delivery updates (must be publicly reachable)
+const STATUS_CALLBACK_URL = (() => {
+  const base = process.env.TWILIO_WEBHOOK_BASE_URL || process.env.NEXT_PUBLIC_AI_BACKEND_URL;
+  return base ? `${base.replace(/\/+$/, "")}/twilio/status` : null;
+})();
+
+// 📬 The only place that actually talks to Twilio
+registerJobHandler(
+  "sms.send",
+  async ({ to, body, messageId, bypassConsent }) => {
+    // 📵 They may have texted STOP while this was queued
+    if (!bypassConsent && !(await canTextPhone(to))) {
+      if (messageId) {
+        await applyDeliveryStatus({ messageId, status: "failed", errorMessage: "Lead opted out" });
+      }
+      return { blocked: "opted_out" };
+    }
 
-async function sendSms(to, body) {
-  const msg = { to, body };
-  if (TWILIO_MESSAGING_SERVICE_SID) msg.messagingServiceSid = TWILIO_MESSAGING_SERVICE_SID;
-  else msg.from = TWILIO_FROM_NUMBER;
-  return twilioClient.messages.create(msg);
-}
+    const msg = { to, body };
+    if (TWILIO_MESSAGING_SERVICE_SID) msg.messagingServiceSid = TWILIO_MESSAGING_SERVICE_SID;
+    else msg.from = TWILIO_FROM_NUMBER;
+    if (STATUS_CALLBACK_URL) msg.statusCallback = STATUS_CALLBACK_URL;
+
+    let sent;
+    try {
+      sent = await twilioClient.messages.create(msg);
+    } catch (err) {
+      // 21610 = number unsubscribed at the carrier/Twilio level — retrying won't help
+      if (err.code !== 21610) throw err;
+      const lead = await upsertLeadByPhone(to);
+      if (!isOptedOut(lead)) await recordConsentEvent(lead.id, "opt_out", { source: "carrier" });
+      if (messageId) {
+        await applyDeliveryStatus({ messageId, status: "failed", errorCode: 21610, errorMessage: err.message });
+      }
+      return { blocked: "carrier_opt_out" };
+    }
+
+    if (messageId) {
+      await prisma.message.update({ where: { id: messageId }, data: { providerSid: sent.sid } });
+      await applyDeliveryStatus({ messageId, status: sent.status });
+    }
+    return { sid: sent.sid, status: sent.status };
+  },
+  {
+    // Gave up after retries → show it as failed in the inbox
+    onDead: async ({ messageId }, err) => {
+      if (!messageId) return;
+      await applyDeliveryStatus({
+        messageId,
+        status: "failed",
+        errorCode: err?.code,
+        errorMessage: err?.message,
+      });
+    },
+  }
+);
 
 // ---------- ROUTES ----------
 
@@ -494,10 +747,19 @@ app.get("/api/properties", async (_req, res) => {
   }
 });
 
-app.get("/api/health", (_req, res) => {
-  res.json({
-    ok: true,
+app.get("/api/health", async (_req, res) => {
+  let db = false;
+  try {
+    await prisma.lead.count({ take: 1 });
+    db = true;
+  } catch (err) {
+    console.error("❌ Health DB check failed:", err.message);
+  }
+
+  res.status(db ? 200 : 503).json({
+    ok: db,
     service: "ai-backend-v7",
+    db,
     time: new Date().toISOString(),
   });
 });
@@ -536,21 +798,22 @@ app.post("/init/facts", async (req, res) => {
 
     // ✅ Save the initial inbound message from renter
     if (message) {
-      await saveMessage({
+      const inbound = await saveMessage({
         phone,
         role: "user",  // ✅ renter’s message
         content: message,
         propertyId: propertyRecord.id,
       });
+      publishConversationEvent(phone, { type: "message", item: toConversationItem(inbound) });
     }
 
     // ✅ Ava sends a natural friendly first text
     const initialText = `Hi ${leadName || "there"}! Thanks for your interest in ${propertyRecord.address}. When would you like to come for a showing?`;
 
-    await sendSms(phone, initialText);
-    console.log(`📤 Sent intro SMS to ${phone}: "${initialText}"`);
+    const queued = await sendSms(phone, initialText, { propertyId: propertyRecord.id });
+    if (queued) console.log(`📤 Sent intro SMS to ${phone}: "${initialText}"`);
 
-    res.json({ ok: true, linked: true, smsSent: true });
+    res.json({ ok: true, linked: true, smsSent: !!queued, optedOut: !queued });
   } catch (err) {
     console.error("❌ /init/facts error:", err);
     res.status(500).json({ ok: false, error: "SERVER_ERROR" });
@@ -615,14 +878,41 @@ app.get("/debug/facts/:slug", async (req, res) => {
   }
 });
 
-// 🔹 Leads API — used for dashboard metrics
-app.get("/api/leads", async (_req, res) => {
+// 🔹 Leads API — dashboard metrics, Leads page, Conversations list + unread badge
+// ?agentId= → unread counts from that agent's read cursors
+app.get("/api/leads", async (req, res) => {
   try {
+    const agentId = req.query.agentId || DEFAULT_AGENT;
     const leads = await prisma.lead.findMany({
       orderBy: { createdAt: "desc" },
       take: 100,
+      include: {
+        messages: { orderBy: { id: "desc" }, take: 1, include: { property: true } },
+        properties: { include: { property: true } },
+        states: { orderBy: { updatedAt: "desc" }, take: 1 },
+      },
+    });
+    const unread = await getUnreadCounts(leads.map((l) => l.id), agentId);
+
+    const data = leads.map(({ messages, properties, states, ...lead }) => {
+      const last = messages[0];
+      const property = last?.property || properties[0]?.property || null;
+      return {
+        ...lead,
+        property: property?.address || property?.slug || null,
+        propertySlug: property?.slug || null,
+        state: states[0]?.state || null,
+        lastMessage: last?.content || null,
+        lastTime: last?.createdAt || null,
+        lastRole: last?.role || null,
+        lastOutboundFailed: FAILED_STATUSES.includes(lead.lastOutboundStatus),
+        optedOut: isOptedOut(lead),
+        unreadCount: unread.get(lead.id) || 0,
+        unread: (unread.get(lead.id) || 0) > 0,
+      };
     });
-    res.json({ ok: true, count: leads.length, data: leads });
+
+    res.json({ ok: true, count: data.length, data });
   } catch (err) {
     console.error("GET /api/leads failed:", err);
     res.status(500).json({ ok: false, error: "SERVER_ERROR" });
@@ -658,6 +948,10 @@ app.get("/api/conversations", async (_req, res) => {
           propertyAddress: m.property?.address || null,
           lastMessage: m.content,
           lastTime: m.createdAt,
+          lastOutboundStatus: m.lead?.lastOutboundStatus || null,
+          lastOutboundFailed: FAILED_STATUSES.includes(m.lead?.lastOutboundStatus),
+          optedOut: isOptedOut(m.lead),
+          mode: m.lead?.mode || MODES.AUTO,
         };
       }
     }
@@ -683,6 +977,8 @@ app.get("/history/:phone", async (req, res) => {
           include: { property: true },
           orderBy: { createdAt: "asc" },
         },
+        states: { include: { property: true }, orderBy: { updatedAt: "desc" } },
+        consentEvents: { orderBy: { createdAt: "desc" }, take: 20 },
       },
     });
 
@@ -695,11 +991,23 @@ app.get("/history/:phone", async (req, res) => {
       ok: true,
       id: phone,
       lead: { name: lead.name || phone, phone },
+      states: (lead.states || []).map(serializeConversationState),
+      lastOutboundFailed: FAILED_STATUSES.includes(lead.lastOutboundStatus),
+      consent: serializeConsent(lead),
+      mode: lead.mode || MODES.AUTO,
+      handoffReason: lead.handoffReason || "",
+      owner: lead.owner || "",
+      qualification: serializeQualification(lead),
       messages: (lead.messages || []).map((m) => ({
+        id: m.id,
         text: m.content || m.text || "",
-        sender: m.role === "assistant" ? "ai" : "user",
+        sender: m.role === "assistant" ? "ai" : m.role === "agent" ? "agent" : "user",
+        agentId: m.agentId || null,
         createdAt: m.createdAt ? new Date(m.createdAt).toISOString() : null,
         propertySlug: m.property?.slug || null,
+        deliveryStatus: m.deliveryStatus || null,
+        errorCode: m.errorCode || null,
+        errorMessage: m.errorMessage || null,
       })),
     });
   } catch (err) {
@@ -722,6 +1030,8 @@ app.get("/api/conversations/:phone", async (req, res) => {
           include: { property: true },
           orderBy: { createdAt: "asc" },
         },
+        states: { include: { property: true }, orderBy: { updatedAt: "desc" } },
+        consentEvents: { orderBy: { createdAt: "desc" }, take: 20 },
       },
     });
 
@@ -748,10 +1058,15 @@ app.get("/api/conversations/:phone", async (req, res) => {
         m.createdAt ?? m.timestamp ?? m.time ?? null;
 
       return {
+        id: m.id,
         text: text,
-        sender: m.role === "assistant" ? "ai" : "user",
+        sender: m.role === "assistant" ? "ai" : m.role === "agent" ? "agent" : "user",
+        agentId: m.agentId || null,
         createdAt: created ? new Date(created).toISOString() : null,
         propertySlug: m.property?.slug || null,
+        deliveryStatus: m.deliveryStatus || null,
+        errorCode: m.errorCode || null,
+        errorMessage: m.errorMessage || null,
       };
     });
 
@@ -760,6 +1075,13 @@ app.get("/api/conversations/:phone", async (req, res) => {
       ok: true,
       id: phone,
       lead: { name: lead.name || phone, phone },
+      states: (lead.states || []).map(serializeConversationState),
+      lastOutboundFailed: FAILED_STATUSES.includes(lead.lastOutboundStatus),
+      consent: serializeConsent(lead),
+      mode: lead.mode || MODES.AUTO,
+      handoffReason: lead.handoffReason || "",
+      owner: lead.owner || "",
+      qualification: serializeQualification(lead),
       messages: normalizedMessages,
     });
   } catch (err) {
@@ -778,6 +1100,126 @@ app.get("/api/conversations/:phone", async (req, res) => {
 
 
 
+// ===========================================================
+// 🧑‍💼 AGENT SEND — leasing agent replies from the dashboard
+// body: { to, text, agentId }
+// ===========================================================
+app.post("/send/sms", async (req, res) => {
+  try {
+    const to = normalizePhone(req.body?.to);
+    const text = (req.body?.text || "").trim();
+    const agentId = req.body?.agentId || "dashboard";
+
+    if (!to || !text) return res.status(400).json({ ok: false, error: "Missing to or text" });
+
+    const lead = await prisma.lead.findUnique({ where: { phone: to } });
+    if (!lead) return res.status(404).json({ ok: false, error: "NOT_FOUND" });
+    if (isOptedOut(lead)) {
+      return res.status(409).json({ ok: false, error: "OPTED_OUT" });
+    }
+
+    // 🙋 An agent replying means a human owns the thread now — Ava steps back
+    if (lead.mode !== MODES.HUMAN || lead.owner !== agentId) {
+      await setLeadMode(lead.id, MODES.HUMAN, {
+        owner: agentId,
+        reason: lead.handoffReason || "Agent replied",
+      });
+    }
+
+    const job = await sendSms(to, text, { role: "agent", agentId });
+    if (!job) return res.status(409).json({ ok: false, error: "OPTED_OUT" });
+
+    const message = await prisma.message.findUnique({ where: { id: job.payload.messageId } });
+    await markConversationRead(lead.id, agentId, { messageId: message.id }); // replying = read
+
+    console.log(`🧑‍💼 ${agentId} → ${to}: "${text}"`);
+    res.json({ ok: true, data: toConversationItem(message) });
+  } catch (err) {
+    console.error("❌ POST /send/sms failed:", err);
+    res.status(500).json({ ok: false, error: err.message || "SERVER_ERROR" });
+  }
+});
+
+// 👀 Mark a conversation read for one agent
+// body: { agentId?, messageId? } — messageId defaults to the latest message
+app.post("/api/conversations/:phone/read", async (req, res) => {
+  try {
+    const phone = decodeURIComponent(req.params.phone);
+    const { agentId, messageId } = req.body || {};
+
+    const lead = await prisma.lead.findUnique({ where: { phone } });
+    if (!lead) return res.status(404).json({ ok: false, error: "NOT_FOUND" });
+
+    const cursor = await markConversationRead(lead.id, agentId || DEFAULT_AGENT, { messageId });
+    res.json({
+      ok: true,
+      data: {
+        phone,
+        agentId: cursor.agentId,
+        lastReadMessageId: cursor.lastReadMessageId,
+        lastReadAt: cursor.lastReadAt,
+      },
+    });
+  } catch (err) {
+    console.error("POST /api/conversations/:phone/read failed:", err);
+    res.status(500).json({ ok: false, error: "SERVER_ERROR" });
+  }
+});
+
+// 🙋 Take over / pause / hand back a conversation
+// body: { mode: "auto" | "paused" | "human", owner?, reason? }
+app.post("/api/conversations/:phone/mode", async (req, res) => {
+  try {
+    const phone = decodeURIComponent(req.params.phone);
+    const { mode, owner, reason } = req.body || {};
+
+    if (!Object.values(MODES).includes(mode)) {
+      return res.status(400).json({ ok: false, error: "INVALID_MODE" });
+    }
+
+    const lead = await prisma.lead.findUnique({ where: { phone } });
+    if (!lead) return res.status(404).json({ ok: false, error: "NOT_FOUND" });
+
+    const updated = await setLeadMode(lead.id, mode, {
+      owner: owner || (mode === MODES.HUMAN ? "dashboard" : null),
+      reason: reason || (mode === MODES.HUMAN ? "Taken over from dashboard" : mode === MODES.PAUSED ? "Paused from dashboard" : null),
+    });
+    res.json({
+      ok: true,
+      data: {
+        mode: updated.mode,
+        handoffReason: updated.handoffReason || "",
+        owner: updated.owner || "",
+      },
+    });
+  } catch (err) {
+    console.error("❌ POST /api/conversations/:phone/mode failed:", err);
+    res.status(500).json({ ok: false, error: err.message || "SERVER_ERROR" });
+  }
+});
+
+// 📋 Staff corrections to the lead's summary / qualification
+// body: { summary?, moveInDate?, budget?, bedrooms?, occupants?, pets?, parking?, employment? }
+app.post("/api/conversations/:phone/qualification", async (req, res) => {
+  try {
+    const phone = decodeURIComponent(req.params.phone);
+    const { data, invalid } = cleanQualification(req.body || {});
+    if (invalid.length) {
+      return res.status(400).json({ ok: false, error: `Not a number: ${invalid.join(", ")}` });
+    }
+
+    const lead = await prisma.lead.findUnique({ where: { phone } });
+    if (!lead) return res.status(404).json({ ok: false, error: "NOT_FOUND" });
+
+    const updated = await saveQualificationEdits(lead, data);
+    console.log(`📋 ${req.body?.agentId || DEFAULT_AGENT} updated qualification for ${phone}`);
+    res.json({ ok: true, data: serializeQualification(updated) });
+  } catch (err) {
+    console.error("❌ POST /api/conversations/:phone/qualification failed:", err);
+    res.status(500).json({ ok: false, error: err.message || "SERVER_ERROR" });
+  }
+});
+
 // ===========================================================
 // Property Editor — create or update property + all facts (Ava V7)
 // ===========================================================
@@ -785,11 +1227,19 @@ app.get("/api/conversations/:phone", async (req, res) => {
 // CREATE new property + facts
 app.post("/api/property-editor", async (req, res) => {
   try {
-    const { slug: rawSlug, address, facts = {} } = req.body || {};
+    const { slug: rawSlug, address, timezone, facts = {} } = req.body || {};
     if (!rawSlug) return res.status(400).json({ ok: false, error: "MISSING_SLUG" });
 
+    const tz = parseTimezoneInput(timezone);
+    const rules = parseShowingRulesInput(req.body);
     const slug = slugify(rawSlug);
-    const property = await upsertPropertyBySlug(slug, address);
+    let property = await upsertPropertyBySlug(slug, address);
+    if (tz !== undefined || Object.keys(rules).length) {
+      property = await prisma.property.update({
+        where: { id: property.id },
+        data: { ...(tz !== undefined ? { timezone: tz } : {}), ...rules },
+      });
+    }
     console.log("💾 [PropertyEditor] Creating new:", slug);
 
     // 🩹 Compatibility absorber — handle old "utilitiesIncluded" key safely
@@ -859,6 +1309,7 @@ delete facts.utilitiesIncluded;
     res.json({ ok: true, data: { property, facts: updatedFacts } });
   } catch (err) {
     console.error("POST /api/property-editor failed:", err);
+    if (err.status === 400) return res.status(400).json({ ok: false, error: err.message });
     res.status(500).json({ ok: false, error: "SERVER_ERROR" });
   }
 });
@@ -868,12 +1319,14 @@ delete facts.utilitiesIncluded;
 app.put("/api/property-editor/:slug", async (req, res) => {
   try {
     const slug = slugify(req.params.slug);
-    const { address, facts = {} } = req.body || {};
+    const { address, timezone, facts = {} } = req.body || {};
+    const tz = parseTimezoneInput(timezone);
+    const rules = parseShowingRulesInput(req.body);
 
     const property = await prisma.property.upsert({
       where: { slug },
-      update: { address },
-      create: { slug, address },
+      update: { address, ...(tz !== undefined ? { timezone: tz } : {}), ...rules },
+      create: { slug, address, timezone: tz ?? null, ...rules },
     });
 
     console.log("💾 [PropertyEditor] Updating facts for:", slug);
@@ -911,6 +1364,7 @@ app.put("/api/property-editor/:slug", async (req, res) => {
     res.json({ ok: true, data: updatedFacts });
   } catch (err) {
     console.error("❌ [PropertyEditor] Failed to update:", err);
+    if (err.status === 400) return res.status(400).json({ ok: false, error: err.message });
     res.status(500).json({ ok: false, error: err.message || "SERVER_ERROR" });
   }
 });
@@ -933,89 +1387,208 @@ app.get("/api/bookings", async (_req, res) => {
   }
 });
 
-// Lightweight SSE for bookings "events" (heartbeat)
+// 📡 SSE for the calendar — booking + availability changes from the global feed
 app.get("/api/bookings/events", async (req, res) => {
-  res.setHeader("Content-Type", "text/event-stream");
-  res.setHeader("Cache-Control", "no-cache");
-  res.setHeader("Connection", "keep-alive");
-  res.flushHeaders?.();
-
-  const iv = setInterval(() => {
-    res.write(`event: ping\ndata: ${JSON.stringify({ ts: Date.now() })}\n\n`);
-  }, 15000);
-
-  req.on("close", () => clearInterval(iv));
+  await streamEvents(req, res, GLOBAL_CHANNEL, {
+    filter: (evt) => evt.type === "booking" || evt.type === "availability",
+  });
 });
 
-import { DateTime } from "luxon";
-
 /**
- * 🔍 Find next available 30-minute slots for showings
- * Scans Availability + GlobalSettings and returns next 2 free times
+ * ✅ Finalize a confirmed showing: state → booked, confirmation SMS, Outlook event
  */
-async function findNextAvailableSlots(propertyId, requestedStart, count = 2) {
-  const tz = "America/Edmonton";
-
-  // Load global open hours
-  const settings = await prisma.globalSettings.findFirst();
-  const openStart = settings?.openStart || "08:00";
-  const openEnd = settings?.openEnd || "17:00";
-
-  // Load all busy slots for the property
-  const busy = await prisma.availability.findMany({
-    where: {
-      propertyId,
-      isBlocked: true,
-      endTime: { gte: new Date() },
-    },
-    orderBy: { startTime: "asc" },
+async function confirmShowing({ booking, property, from }) {
+  const tz = await getPropertyTimezone(property || booking.propertyId);
+  const startFmt = formatInZone(booking.datetime, tz);
+
+  await markBooked(booking.leadId, booking.propertyId, booking.id);
+
+  const reply = await generateAvaMessage("booking_confirmed", {
+    startFmt,
+    propertyName: property?.facts?.buildingName || property?.address,
   });
+  await sendSms(from, reply.text, { propertyId: booking.propertyId, promptTemplateId: reply.promptTemplateId });
+  console.log(`✅ Booking confirmed for ${from} at ${startFmt}`);
+
+  // 📅 Sync to Outlook (queued — retried until the event exists)
+  await queueOutlookCreate(booking);
+}
+
+// ===========================================================
+// 🌐 PUBLIC BOOKING PAGE — /book/[slug] on the dashboard (no login)
+// Renter picks a slot from /api/availability/slots, verifies their phone
+// by SMS code, then books through the same hold → confirm path Ava uses
+// ===========================================================
+
+// Only what a renter should see — no internal notes / manager info
+const PUBLIC_FACT_FIELDS = [
+  "buildingName", "buildingType", "unitType", "units", "rent", "deposit", "leaseTerm",
+  "leaseType", "bedrooms", "bathrooms", "sqft", "parking", "parkingOptions", "utilities",
+  "includedUtilities", "description", "petsAllowed", "petPolicy", "furnished",
+  "availability", "amenities", "floorPlans", "listingUrl",
+];
+
+// Texting codes costs money — keep bursts from one IP small
+const publicCodeLimiter = rateLimit({ windowMs: 15 * 60 * 1000, max: 10 });
 
-  const results = [];
-  let start = DateTime.fromJSDate(requestedStart).setZone(tz);
+const isDialablePhone = (phone) => /^\+\d{10,15}$/.test(phone);
 
-  // Step forward in 30-minute increments until we find `count` free slots
-  while (results.length < count) {
-    const dayStart = start.startOf("day").plus({
-      hours: parseInt(openStart.split(":")[0]),
-      minutes: parseInt(openStart.split(":")[1]),
+/* ---- 🔹 GET /api/public/book/:slug ---- */
+app.get("/api/public/book/:slug", async (req, res) => {
+  try {
+    const property = await prisma.property.findUnique({
+      where: { slug: slugify(req.params.slug) },
+      include: { facts: true },
+    });
+    if (!property) return res.status(404).json({ ok: false, error: "NOT_FOUND" });
+
+    const [timezone, rules] = await Promise.all([
+      getPropertyTimezone(property),
+      getShowingRules(property),
+    ]);
+    const facts = Object.fromEntries(
+      PUBLIC_FACT_FIELDS.filter((k) => property.facts?.[k] != null).map((k) => [k, property.facts[k]])
+    );
+
+    res.json({
+      ok: true,
+      data: {
+        slug: property.slug,
+        address: property.facts?.address || property.address,
+        timezone,
+        showingDuration: rules.duration,
+        facts,
+      },
     });
-    const dayEnd = start.startOf("day").plus({
-      hours: parseInt(openEnd.split(":")[0]),
-      minutes: parseInt(openEnd.split(":")[1]),
+  } catch (err) {
+    console.error("❌ GET /api/public/book/:slug failed:", err);
+    res.status(500).json({ ok: false, error: "SERVER_ERROR" });
+  }
+});
+
+/* ---- 🔹 POST /api/public/book/:slug/code ---- body: { phone } */
+app.post("/api/public/book/:slug/code", publicCodeLimiter, async (req, res) => {
+  try {
+    const phone = normalizePhone(req.body?.phone);
+    if (!isDialablePhone(phone)) return res.status(400).json({ ok: false, error: "INVALID_PHONE" });
+
+    const property = await prisma.property.findUnique({
+      where: { slug: slugify(req.params.slug) },
+      include: { facts: true },
     });
+    if (!property) return res.status(404).json({ ok: false, error: "NOT_FOUND" });
+    if (!(await canTextPhone(phone))) return res.status(409).json({ ok: false, error: "OPTED_OUT" });
 
-    // Ensure we're inside open hours
-    if (start < dayStart) start = dayStart;
-    if (start > dayEnd) start = dayEnd.plus({ days: 1 }).set({ hour: 8 });
+    const { code, error } = await createVerification(phone);
+    if (error) return res.status(429).json({ ok: false, error });
 
-    const end = start.plus({ minutes: 30 });
+    // Straight to the queue — a code isn't part of the renter's conversation thread
+    const name = property.facts?.buildingName || property.address || "showing";
+    await enqueueJob("sms.send", {
+      to: phone,
+      body: `Your ${name} booking code is ${code}. It expires in ${CODE_TTL_MINUTES} minutes.`,
+    });
 
-    // Check overlap with busy slots
-    const overlap = busy.some(
-      (b) =>
-        start.toMillis() < new Date(b.endTime).getTime() &&
-        end.toMillis() > new Date(b.startTime).getTime()
-    );
+    console.log(`🔐 Booking code sent to ${phone} for ${property.slug}`);
+    res.json({ ok: true, data: { expiresInMinutes: CODE_TTL_MINUTES } });
+  } catch (err) {
+    console.error("❌ POST /api/public/book/:slug/code failed:", err);
+    res.status(500).json({ ok: false, error: "SERVER_ERROR" });
+  }
+});
 
-    if (!overlap && start >= DateTime.now().setZone(tz)) {
-      results.push(start);
+/* ---- 🔹 POST /api/public/book/:slug ---- body: { phone, code, start, name? } */
+app.post("/api/public/book/:slug", async (req, res) => {
+  try {
+    const phone = normalizePhone(req.body?.phone);
+    const { code, start } = req.body || {};
+    const name = String(req.body?.name || "").trim().slice(0, 80);
+    if (!isDialablePhone(phone) || !code || !start) {
+      return res.status(400).json({ ok: false, error: "Missing phone, code or start" });
     }
 
-    start = start.plus({ minutes: 30 });
+    const property = await prisma.property.findUnique({
+      where: { slug: slugify(req.params.slug) },
+      include: { facts: true },
+    });
+    if (!property) return res.status(404).json({ ok: false, error: "NOT_FOUND" });
+
+    const verified = await checkVerification(phone, code);
+    if (!verified.ok) return res.status(401).json({ ok: false, error: verified.reason });
+
+    let lead = await upsertLeadByPhone(phone);
+    if (isOptedOut(lead)) return res.status(409).json({ ok: false, error: "OPTED_OUT" });
+    if (name && !lead.name) lead = await prisma.lead.update({ where: { id: lead.id }, data: { name } });
+
+    // 🧩 Same availability rules as SMS booking
+    const check = await checkSlot(property.id, new Date(start), { leadId: lead.id });
+    if (!check.ok) {
+      const suggestions = await getFreeSlots(property.id, { from: new Date(), count: 3, leadId: lead.id });
+      return res.status(409).json({ ok: false, error: "SLOT_UNAVAILABLE", reason: check.reason, suggestions });
+    }
+
+    await linkLeadToProperty(lead.id, property.id);
+
+    const hold = await createHold({
+      leadId: lead.id,
+      propertyId: property.id,
+      datetime: check.start.toJSDate(),
+      source: "web",
+    });
+    if (!hold) {
+      // Someone else took it between the check and the hold
+      const suggestions = await getFreeSlots(property.id, { from: new Date(), count: 3, leadId: lead.id });
+      return res.status(409).json({ ok: false, error: "SLOT_UNAVAILABLE", reason: "busy", suggestions });
+    }
+
+    // The code already proved it's them — no "reply YES" step needed
+    const booking = await confirmHold(hold.id);
+    await confirmShowing({ booking, property, from: phone });
+
+    res.json({
+      ok: true,
+      data: {
+        id: booking.id,
+        start: check.start.toISO(),
+        label: check.start.toFormat(SHOWING_TIME_FMT),
+      },
+    });
+  } catch (err) {
+    console.error("❌ POST /api/public/book/:slug failed:", err);
+    res.status(500).json({ ok: false, error: "SERVER_ERROR" });
   }
+});
 
-  return results.map((s) => s.toFormat("ccc, LLL d 'at' h:mm a"));
-}
+// ---------- Twilio delivery status callback ----------
+app.post("/twilio/status", verifyTwilioSignature, async (req, res) => {
+  try {
+    const { MessageSid, MessageStatus, ErrorCode, ErrorMessage } = req.body || {};
+    if (!MessageSid || !MessageStatus) return res.status(400).end();
+
+    const updated = await applyDeliveryStatus({
+      providerSid: MessageSid,
+      status: MessageStatus,
+      errorCode: ErrorCode,
+      errorMessage: ErrorMessage,
+    });
+    if (!updated) console.warn(`⚠️ Status ${MessageStatus} for unknown message ${MessageSid}`);
+
+    res.status(200).end();
+  } catch (err) {
+    console.error("❌ /twilio/status error:", err);
+    res.status(500).end();
+  }
+});
 
 // ---------- Twilio inbound (AI reply uses ONLY manual facts) ----------
-app.post("/twilio/sms", async (req, res) => {
+app.post("/twilio/sms", verifyTwilioSignature, async (req, res) => {
   try {
     // 🧩 STEP 1 — Log full webhook body
     console.log("📩 [Twilio] Incoming webhook:", JSON.stringify(req.body, null, 2));
 
     const from = normalizePhone(req.body.From);
     const incomingText = (req.body.Body || "").trim();
+    const messageSid = req.body.MessageSid || req.body.SmsSid || null;
 
     // 🧩 STEP 2 — Log who and what
     console.log(`💬 Message received from ${from}: "${incomingText}"`);
@@ -1041,364 +1614,148 @@ if (!property) {
 // 🧩 Log which property Ava is using
 console.log("🧩 Using property for", from, "→", property?.slug || "none");
 
+// 🌎 Every time the renter mentions is read (and every slot offered) in the property's zone
+const propertyTz = await getPropertyTimezone(property);
+
 
     // If no property linked yet but message mentions an address-like snippet, you could:
     // - parse and link here (omitted for V7 minimalism)
 
-    const intent = await detectIntent(incomingText);
-console.log("🧠 Detected intent:", intent);
-
-// =======================================================
-// 🔄 RESCHEDULE FLOW — if renter asks to move existing booking
-// =======================================================
-const wantsReschedule = /\b(reschedule|move|change|later|earlier|push|bump|different time|another time|can we do)\b/i.test(incomingText);
-
-if (wantsReschedule) {
-  const existingBooking = await prisma.booking.findFirst({
-    where: {
-      leadId: lead.id,
-      datetime: { gte: new Date() },
-      status: "confirmed",
-    },
-    orderBy: { datetime: "asc" },
-    include: { property: true },
+// 🔁 Record the inbound message exactly once — the unique MessageSid makes a
+// Twilio retry (or a duplicate delivery) stop here instead of booking twice
+let inbound;
+try {
+  inbound = await saveMessage({
+    phone: from,
+    role: "user",
+    content: incomingText,
+    propertyId: property?.id,
+    providerSid: messageSid,
   });
-
-  if (existingBooking) {
-    console.log("🔄 Renter wants to reschedule:", existingBooking.id);
-
-    const parsed = incomingText.match(/\b(\d{1,2})(?::?(\d{2}))?\s*(am|pm)?\b/i);
-    if (!parsed) {
-      await sendSms(from, "Sure — what new time were you thinking?");
-      return res.status(200).end();
-    }
-
-    let hour = parseInt(parsed[1], 10);
-    const minute = parseInt(parsed[2] || "0", 10);
-    let meridian = (parsed[3] || "").toLowerCase();
-    if (!meridian && hour >= 1 && hour <= 6) meridian = "pm";
-    if (meridian === "pm" && hour < 12) hour += 12;
-    if (meridian === "am" && hour === 12) hour = 0;
-
-    const { DateTime } = await import("luxon");
-const tz = "America/Edmonton";
-
-// 🧠 Use the *same date* as the existing booking, just change the time
-const currentStart = DateTime.fromJSDate(existingBooking.datetime).setZone(tz);
-
-// Apply new hour/minute but keep same day
-let newStart = currentStart.set({ hour, minute, second: 0, millisecond: 0 });
-
-// If renter accidentally says a time that's already passed today,
-// bump it by 1 day (safety catch)
-if (newStart <= DateTime.now().setZone(tz)) {
-  newStart = newStart.plus({ days: 1 });
-}
-
-const newEnd = newStart.plus({ minutes: 30 });
-
-
-    // ✅ Check availability
-    const availabilityContext = await getAvailabilityContext(existingBooking.propertyId);
-    const isBlocked = availabilityContext.blockedSlots.some((b) => {
-      const start = DateTime.fromISO(b.start, { zone: tz });
-      const end = DateTime.fromISO(b.end, { zone: tz });
-      return DateTime.fromJSDate(newStart) >= start && DateTime.fromJSDate(newStart) < end;
-    });
-
-    if (isBlocked) {
-      const nextSlots = await findNextAvailableSlots(existingBooking.propertyId, newStart, 2);
-      await sendSms(from, await generateAvaResponse("slot_taken", { nextSlots }));
-      return res.status(200).end();
-    }
-
-    // 🗑️ Delete old Outlook event if exists
-    if (existingBooking.outlookEventId) {
-      try {
-        const token = await ensureValidOutlookToken(); // imported from outlook-sync
-        await fetch(`https://graph.microsoft.com/v1.0/me/events/${existingBooking.outlookEventId}`, {
-          method: "DELETE",
-          headers: { Authorization: `Bearer ${token}` },
-        });
-        console.log(`🗑️ Deleted old Outlook event ${existingBooking.outlookEventId}`);
-      } catch (err) {
-        console.warn("⚠️ Failed to delete old Outlook event:", err.message);
-      }
-    }
-
-    // 🆕 Create new Outlook event
-    try {
-      if (!newStart.isValid) {
-  console.error("❌ Invalid newStart DateTime:", newStart.invalidReason);
-  await sendSms(from, "Sorry — that time didn’t parse. Could you rephrase (e.g., '1:00pm')?");
-  return res.status(200).end();
-}
-
-      const reschedulePayload = {
-  subject: `Showing — ${existingBooking.property?.facts?.buildingName || existingBooking.property?.address}`,
-  startTime: newStart.toISO(),  // ✅ fixed
-  endTime: newEnd.toISO(),      // ✅ fixed
-  location: existingBooking.property?.address || "TBD",
-  leadEmail: "renter@example.com",
-};
-
-      const url = `${process.env.NEXT_PUBLIC_AI_BACKEND_URL}/api/outlook-sync/create-event`;
-      const createRes = await fetch(url, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify(reschedulePayload),
-      });
-      const data = await createRes.json();
-
-      await prisma.booking.update({
-        where: { id: existingBooking.id },
-        data: {
-          datetime: newStart,
-          outlookEventId: data.event?.id || null,
-          notes: "Rescheduled via SMS",
-        },
-      });
-
-      const newTimeStr = DateTime.fromJSDate(newStart).toFormat("ccc, LLL d 'at' h:mm a");
-      await sendSms(from, `Got it — I’ve moved your showing to ${newTimeStr}. See you then!`);
-      console.log(`🔁 Booking ${existingBooking.id} moved to ${newTimeStr}`);
-      return res.status(200).end();
-    } catch (err) {
-      console.error("❌ Reschedule failed:", err);
-      await sendSms(from, "Sorry — I couldn’t update your showing just now. Can you try again?");
-      return res.status(200).end();
-    }
+  publishConversationEvent(from, { type: "message", item: toConversationItem(inbound) });
+} catch (err) {
+  if (err.code === "P2002") {
+    console.log(`♻️ Duplicate Twilio delivery ${messageSid} — already processed`);
+    return res.status(200).end();
   }
+  throw err;
 }
 
-
-
-    // =======================================================
-// 🧩 AI scheduling flow — checks availability, books via DB
 // =======================================================
-if (
-  intent === "book_showing" ||
-  /\b(?:am|pm|tomorrow|today|\b\d{1,2}[: ]?\d{0,2}\b)\b/i.test(incomingText)
-) {
-  const { DateTime } = await import("luxon");
-  const tz = "America/Edmonton"; // default; can be refined later per property
-  const now = DateTime.now().setZone(tz);
-
-// 🗣️ Handle casual phrases like “evening” or “after dinner”
-if (/evening/i.test(incomingText)) incomingText += " 7pm";
-else if (/afternoon/i.test(incomingText)) incomingText += " 2pm";
-else if (/morning/i.test(incomingText)) incomingText += " 10am";
-else if (/lunch/i.test(incomingText)) incomingText += " 12pm";
-else if (/dinner/i.test(incomingText)) incomingText += " 6pm";
-
-// 🧠 If renter says “same time” or “that works”, reuse last booking time
-const lastBooking = await prisma.booking.findFirst({
-  where: { leadId: lead.id },
-  orderBy: { createdAt: "desc" },
-});
-if (/same time|that works|let's do it/i.test(incomingText) && lastBooking) {
-  const prev = DateTime.fromJSDate(lastBooking.datetime).setZone(tz);
-  incomingText += " " + prev.toFormat("h:mma");
+// 📵 STOP / START / HELP — compliance keywords come before anything else
+// =======================================================
+let consentKeyword = detectConsentKeyword(incomingText, lead);
+
+// ❓ Bare "CANCEL" with a showing booked — the showing, or every text? Ask before opting out
+if (consentKeyword === "cancel") {
+  const showing = await findUpcomingBooking(lead.id);
+  if (showing) {
+    const when = formatInZone(showing.datetime, await getPropertyTimezone(showing.property || showing.propertyId));
+    await sendSms(from, cancelOrStopQuestion(when), { propertyId: showing.propertyId });
+    return res.status(200).end();
+  }
+  consentKeyword = "opt_out";
 }
 
-// 🧠 Smart time parser with common-sense defaults
-const match = incomingText.match(
-  /\b(?:(mon|tue|wed|thu|fri|sat|sun)\w*)?\s*(\d{1,2})(?::?(\d{2}))?\s*(am|pm)?\b/i
-);
-
-if (!match) {
-  await sendSms(from, "What day and time works best for you?");
+if (consentKeyword) {
+  await recordConsentEvent(lead.id, consentKeyword, { keyword: incomingText.trim().toUpperCase() });
+  await sendSms(from, KEYWORD_REPLIES[consentKeyword], {
+    propertyId: property?.id,
+    bypassConsent: true, // STOP confirmation + HELP must reach opted-out numbers too
+  });
   return res.status(200).end();
 }
 
-const weekday = match[1]?.toLowerCase();
-let hour = parseInt(match[2], 10);
-const minute = parseInt(match[3] || "0", 10);
-let meridian = (match[4] || "").toLowerCase();
-
-// 🧩 If no AM/PM, guess based on realistic showing hours
-if (!meridian) {
-  if (hour >= 7 && hour <= 11) meridian = "am";
-  else meridian = "pm";
-}
-
-// 🕑 Convert to 24h time
-if (meridian === "pm" && hour < 12) hour += 12;
-if (meridian === "am" && hour === 12) hour = 0;
-
-// 📅 Build target date
-let date = now;
-if (weekday) {
-  const target = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"].indexOf(
-    weekday.slice(0, 3)
-  );
-  const diff = (target - date.weekday + 7) % 7 || 7;
-  date = date.plus({ days: diff });
-} else if (incomingText.toLowerCase().includes("tomorrow")) {
-  date = date.plus({ days: 1 });
-}
-
-const requestedStart = date
-  .set({ hour, minute, second: 0, millisecond: 0 })
-  .toJSDate();
-
-const availabilityContext = await getAvailabilityContext(property?.id);
-const { blockedSlots } = availabilityContext;
-const requestedDT = DateTime.fromJSDate(requestedStart).setZone(tz);
-
-// ⛔ Prevent bookings in the past
-if (requestedDT <= DateTime.now().setZone(tz)) {
-  await sendSms(from, await generateAvaResponse("past_time"));
+if (isOptedOut(lead)) {
+  console.log(`📵 ${from} is opted out — message stored, no reply`);
   return res.status(200).end();
 }
 
-// 🔍 Check blocked slots
-const isBlocked = blockedSlots.some((b) => {
-  const bStart = DateTime.fromISO(b.start, { zone: tz });
-  const bEnd = DateTime.fromISO(b.end, { zone: tz });
-  return requestedDT >= bStart && requestedDT < bEnd;
-});
-
-console.log("[BOOKING CHECK]", requestedDT.toISO(), "blockedSlots:", blockedSlots.length);
+// 📋 Refresh move-in / budget / summary from this text — even when a human owns the thread
+await queueLeadQualification(lead.id, inbound.id).catch((err) => console.error("❌ queueLeadQualification failed:", err));
 
-// 🧩 Case 1: Slot already blocked
-if (isBlocked) {
-  const nextSlots = await findNextAvailableSlots(property.id, requestedStart, 2);
-  if (nextSlots.length) {
-    await sendSms(from, await generateAvaResponse("slot_taken", { nextSlots }));
-  } else {
-    await sendSms(from, await generateAvaResponse("no_slots"));
-  }
+// 🙋 A human owns this thread (or Ava is paused) — store only, no automated reply
+if (!isAutoMode(lead)) {
+  console.log(`🙋 ${from} is in ${lead.mode} mode${lead.owner ? ` (${lead.owner})` : ""} — Ava stays quiet`);
   return res.status(200).end();
 }
 
-// 🛑 Case 2: Lead already booked same time
-const existing = await prisma.booking.findFirst({
-  where: {
-    lead: { phone: from },
-    datetime: requestedDT,
-  },
-});
-
-if (existing) {
-  console.log(`⚠️ Skipping duplicate booking for ${from} at ${requestedDT}`);
-
-  const existingTime = DateTime.fromJSDate(existing.datetime)
-    .setZone(tz)
-    .toFormat("ccc, LLL d 'at' h:mm a");
+    const intent = await detectIntent(incomingText);
+console.log("🧠 Detected intent:", intent);
 
+// 🚨 Negotiation, complaints, "let me talk to a person", repeated confusion → hand to staff
+const handoffReason = await detectHandoffTrigger({ lead, text: incomingText, intent });
+if (handoffReason) {
+  await setLeadMode(lead.id, MODES.HUMAN, { reason: handoffReason });
   await sendSms(
     from,
-    await generateAvaResponse("duplicate_booking", { existingTime })
+    "Thanks for your patience — I'm looping in someone from our leasing team who'll follow up with you shortly.",
+    { propertyId: property?.id }
   );
-
   return res.status(200).end();
 }
 
-// ✅ Case 3: Create new booking
-let booking;
-try {
-  booking = await prisma.booking.create({
-    data: {
-      leadId: lead.id,
-      propertyId: property.id,
-      datetime: requestedStart,
-      status: "confirmed",
-    },
-  });
-} catch (err) {
-  if (err.code === "P2002") {
-    console.warn("⚠️ Duplicate booking prevented by unique constraint:", {
-      propertyId: property.id,
-      datetime: requestedStart,
-    });
-    await sendSms(
-      from,
-      await generateAvaResponse("slot_taken", { nextSlots: [] })
+// 🔀 Multi-turn booking state for this lead + property
+const convo = await getConversationState(lead.id, property?.id);
+console.log("🔀 Conversation state:", convo.state);
+
+// =======================================================
+// 🔔 ATTENDANCE — renter answering "Reply YES to confirm you're still coming"
+// =======================================================
+if (convo.state !== STATES.AWAITING_CONFIRMATION && isAffirmative(incomingText)) {
+  const reminded = await findBookingAwaitingAttendance(lead.id);
+  if (reminded) {
+    await confirmAttendance(reminded.id);
+
+    const when = formatInZone(
+      reminded.datetime,
+      await getPropertyTimezone(reminded.property || reminded.propertyId),
+      "ccc 'at' h:mm a"
     );
+    const reply = `Great, thanks for confirming — see you ${when}! 😊`;
+    await sendSms(from, reply, { propertyId: reminded.propertyId });
+    console.log(`🙋 Attendance confirmed for booking ${reminded.id}`);
     return res.status(200).end();
   }
-  throw err;
-}
-
-const startFmt = requestedDT.toFormat("ccc, LLL d 'at' h:mm a");
-await sendSms(
-  from,
-  await generateAvaResponse("booking_confirmed", {
-    startFmt,
-    propertyName: property?.facts?.buildingName || property?.address,
-  })
-);
-console.log(`✅ Booking confirmed for ${from} at ${startFmt}`);
-
-
-// 💾 Save message record
-await saveMessage({
-  phone: from,
-  role: "assistant",
-  content: `Perfect — you're booked for ${startFmt}.`,
-  propertyId: property?.id,
-});
-
-// 📅 Sync to Outlook
-try {
-  const outlookUrl = `${process.env.NEXT_PUBLIC_AI_BACKEND_URL || "https://aivoice-rental.onrender.com"}/api/outlook-sync/create-event`;
-  const outlookPayload = {
-    subject: `Showing — ${property?.facts?.buildingName || property?.address || "Property"}`,
-    startTime: requestedDT.toISO(),
-    endTime: requestedDT.plus({ minutes: 30 }).toISO(),
-    location: property?.facts?.address || property?.address || "TBD",
-    leadEmail: "renter@example.com",
-  };
-
-  const outlookRes = await fetch(outlookUrl, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(outlookPayload),
-  });
-
-  const outlookData = await outlookRes.json();
-  if (outlookData.success) {
-    console.log("📆 Outlook event created:", outlookData.event.id);
-    await prisma.booking.update({
-      where: { id: booking.id },
-      data: { notes: `Outlook Event ID: ${outlookData.event.id}` },
-    });
-  } else {
-    console.warn("⚠️ Failed to create Outlook event:", outlookData);
-  }
-} catch (err) {
-  console.error("❌ Outlook calendar sync failed:", err.message);
 }
 
-return res.status(200).end();
-
-
-  // 🧠 Step 4: Fallback (error)
-  console.error("❌ Booking API error:", json.error);
-  await sendSms(from, "Sorry, I couldn’t confirm that time. Can you try another?");
-  return res.status(200).end();
+// =======================================================
+// 🧰 Everything else — Ava picks the action (answer, find times, book,
+// move, cancel, hand off) through tool calls; the tools enforce the rules
+// =======================================================
+const upcoming = await findUpcomingBooking(lead.id);
+
+// 🕒 The time the renter asked for (if any), on top of what they told us before —
+// "Thursday" then "at 8" then "pm" adds up. The booking tools hold Ava to it; a
+// half answer is kept so the next text can finish it.
+const requested = resolvePendingTime(convo, incomingText, { tz: propertyTz });
+if (property && requested.kind !== "none" && requested.ambiguous) {
+  const collecting = upcoming?.status === "confirmed" ? STATES.RESCHEDULING : STATES.AWAITING_TIME;
+  await savePartialTime(lead.id, property.id, collecting, convo, requested);
 }
 
+// 🧠 Earlier turns (token-budgeted) + rolling summary of anything older
+const memory = await loadConversationMemory(lead.id, { beforeId: inbound.id });
 
-// 🧠 Fetch live availability context
-const availabilityContext = await getAvailabilityContext(property?.id);
-
-// 🧩 Combine property facts and showing availability
     console.log("🧠 Generating AI reply...");
-const reply = await aiReply({
+const { text: reply, promptTemplateId } = await aiReply({
   incomingText,
+  lead,
   property,
-  intent,
-  availabilityContext,
+  tz: propertyTz,
+  upcoming,
+  memory,
+  turnStartedAt: inbound.createdAt,
+  requested,
 });
     console.log("🤖 AI reply generated:", reply);
 
 
 
-    await saveMessage({ phone: from, role: "user", content: incomingText, propertyId: property?.id });
-    await saveMessage({ phone: from, role: "assistant", content: reply, propertyId: property?.id });
-    await sendSms(from, reply);
+    await sendSms(from, reply, { propertyId: property?.id, promptTemplateId });
+
+    // 🗜️ Fold older messages into the summary once the thread outgrows the window
+    await queueHistorySummary(lead.id).catch((err) => console.error("❌ queueHistorySummary failed:", err));
 
     console.log("💬 AI reply sent to", from, ":", reply);
     res.status(200).end();
@@ -1419,6 +1776,7 @@ async function refreshOutlookTokens() {
   const accounts = await prisma.calendarAccount.findMany({
     where: { provider: "outlook" },
   });
+  const failed = [];
 
   for (const account of accounts) {
     try {
@@ -1443,6 +1801,7 @@ async function refreshOutlookTokens() {
       const tokens = await res.json();
       if (!tokens.access_token) {
         console.warn("⚠️ Failed to refresh token for", account.email, tokens);
+        failed.push(account.email);
         continue;
       }
 
@@ -1458,13 +1817,35 @@ async function refreshOutlookTokens() {
       console.log(`✅ Token refreshed successfully for ${account.email}`);
     } catch (err) {
       console.error(`❌ Error refreshing token for ${account.email}:`, err);
+      failed.push(account.email);
     }
   }
+
+  // Throwing hands it back to the job queue for a retry
+  if (failed.length) throw new Error(`Token refresh failed for ${failed.join(", ")}`);
+  return { refreshed: accounts.length };
 }
 
+registerJobHandler("outlook.refresh_tokens", refreshOutlookTokens);
+
+
+// Run every 24 hours (Render keeps your dyno hot) — one queued job per day
+setInterval(
+  () =>
+    enqueueJob("outlook.refresh_tokens", {}, {
+      idempotencyKey: `outlook.refresh_tokens:${new Date().toISOString().slice(0, 10)}`,
+    }).catch((err) => console.error("❌ Failed to queue token refresh:", err)),
+  24 * 60 * 60 * 1000
+);
+
+// 📬 Work through queued SMS / Outlook jobs (and their retries)
+startJobWorker();
+
+// 🔓 Release unconfirmed SMS booking holds every minute
+setInterval(releaseExpiredHolds, 60 * 1000);
 
-// Run every 24 hours (Render keeps your dyno hot)
-setInterval(refreshOutlookTokens, 24 * 60 * 60 * 1000);
+// 🔔 Showing reminders + post-showing follow-ups every minute
+setInterval(() => runReminderSweep({ sendSms }), 60 * 1000);
 
 
 app.use((req, res) => {
@@ -0,0 +1,22 @@
+-- Migration: add_conversation_state (Ava V9.1)
+-- Purpose: Persist multi-turn booking state per Lead + Property
+-- Safe for repeated runs (uses IF NOT EXISTS)
+
+------------------------------------------------------------
+-- 🔀 CONVERSATION STATE
+------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS "ConversationState" (
+  "id" SERIAL PRIMARY KEY,
+  "leadId" INTEGER NOT NULL REFERENCES "Lead"("id") ON DELETE CASCADE,
+  "propertyId" INTEGER NOT NULL REFERENCES "Property"("id") ON DELETE CASCADE,
+  "state" TEXT NOT NULL DEFAULT 'idle',
+  "pendingDate" TEXT,
+  "pendingTime" TEXT,
+  "pendingOptions" JSONB,
+  "bookingId" INTEGER,
+  "createdAt" TIMESTAMP(3) NOT NULL DEFAULT NOW(),
+  "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "ConversationState_leadId_propertyId_key"
+ON "ConversationState" ("leadId", "propertyId");
@@ -0,0 +1,12 @@
+-- Migration: add_booking_holds (Ava V9.2)
+-- Purpose: Propose-then-confirm SMS bookings — pending holds expire automatically
+-- Safe for repeated runs (uses IF NOT EXISTS)
+
+------------------------------------------------------------
+-- ⏳ BOOKING HOLD EXPIRY
+------------------------------------------------------------
+ALTER TABLE "Booking"
+ADD COLUMN IF NOT EXISTS "holdExpiresAt" TIMESTAMP(3);
+
+CREATE INDEX IF NOT EXISTS "Booking_status_holdExpiresAt_idx"
+ON "Booking" ("status", "holdExpiresAt");
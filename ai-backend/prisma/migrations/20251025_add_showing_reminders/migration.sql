@@ -0,0 +1,38 @@
+-- Migration: add_showing_reminders (Ava V9.3)
+-- Purpose: Reminder SMS before showings, follow-ups / no-show rebooking after
+-- Safe for repeated runs (uses IF NOT EXISTS)
+
+------------------------------------------------------------
+-- 🔔 BOOKING ATTENDANCE
+------------------------------------------------------------
+ALTER TABLE "Booking"
+ADD COLUMN IF NOT EXISTS "attendanceConfirmedAt" TIMESTAMP(3);
+
+------------------------------------------------------------
+-- 🧾 REMINDER LOG (one row per reminder sent — no double sends)
+------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS "ReminderLog" (
+  "id" SERIAL PRIMARY KEY,
+  "bookingId" INTEGER NOT NULL REFERENCES "Booking"("id") ON DELETE CASCADE,
+  "kind" TEXT NOT NULL,
+  "offsetMinutes" INTEGER NOT NULL DEFAULT 0,
+  "status" TEXT NOT NULL DEFAULT 'sent',
+  "body" TEXT,
+  "sentAt" TIMESTAMP(3) NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "ReminderLog_bookingId_kind_offsetMinutes_key"
+ON "ReminderLog" ("bookingId", "kind", "offsetMinutes");
+
+------------------------------------------------------------
+-- ⚙️ REMINDER SETTINGS
+------------------------------------------------------------
+ALTER TABLE "GlobalSettings"
+ADD COLUMN IF NOT EXISTS "remindersEnabled" BOOLEAN NOT NULL DEFAULT true,
+ADD COLUMN IF NOT EXISTS "reminderOffsets" INTEGER[] DEFAULT ARRAY[1440, 120]::INTEGER[],
+ADD COLUMN IF NOT EXISTS "reminderTemplate" TEXT NOT NULL DEFAULT 'Hi {name}! Just a reminder about your showing at {property} on {time}. Reply YES to confirm you''re still coming, or let me know if you need to reschedule.',
+ADD COLUMN IF NOT EXISTS "followUpEnabled" BOOLEAN NOT NULL DEFAULT true,
+ADD COLUMN IF NOT EXISTS "followUpDelayMinutes" INTEGER NOT NULL DEFAULT 120,
+ADD COLUMN IF NOT EXISTS "followUpTemplate" TEXT NOT NULL DEFAULT 'Thanks for coming to see {property}, {name}! If you''d like to move forward, you can apply here: {link}',
+ADD COLUMN IF NOT EXISTS "noShowTemplate" TEXT NOT NULL DEFAULT 'Hi {name}, sorry we missed you at {property} today. Want to pick another time? Just reply with a day and time that works.',
+ADD COLUMN IF NOT EXISTS "applicationUrl" TEXT;
@@ -0,0 +1,29 @@
+-- Migration: add_job_queue (Ava V9.4)
+-- Purpose: Durable queue for outbound SMS + Outlook writes (retries, backoff, dead letters)
+-- Safe for repeated runs (uses IF NOT EXISTS)
+
+------------------------------------------------------------
+-- 📬 JOBS
+------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS "Job" (
+  "id" SERIAL PRIMARY KEY,
+  "type" TEXT NOT NULL,
+  "payload" JSONB NOT NULL,
+  "status" TEXT NOT NULL DEFAULT 'queued',
+  "attempts" INTEGER NOT NULL DEFAULT 0,
+  "maxAttempts" INTEGER NOT NULL DEFAULT 5,
+  "runAt" TIMESTAMP(3) NOT NULL DEFAULT NOW(),
+  "lockedAt" TIMESTAMP(3),
+  "lastError" TEXT,
+  "result" JSONB,
+  "idempotencyKey" TEXT,
+  "createdAt" TIMESTAMP(3) NOT NULL DEFAULT NOW(),
+  "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT NOW(),
+  "completedAt" TIMESTAMP(3)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "Job_idempotencyKey_key"
+ON "Job" ("idempotencyKey");
+
+CREATE INDEX IF NOT EXISTS "Job_status_runAt_idx"
+ON "Job" ("status", "runAt");
@@ -0,0 +1,12 @@
+-- Migration: add_message_provider_sid (Ava V9.5)
+-- Purpose: Store Twilio MessageSid so each inbound SMS is processed exactly once
+-- Safe for repeated runs (uses IF NOT EXISTS)
+
+------------------------------------------------------------
+-- 🔁 PROVIDER MESSAGE ID
+------------------------------------------------------------
+ALTER TABLE "Message"
+ADD COLUMN IF NOT EXISTS "providerSid" TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS "Message_providerSid_key"
+ON "Message" ("providerSid");
@@ -0,0 +1,21 @@
+-- Migration: add_message_delivery_status (Ava V9.6)
+-- Purpose: Track Twilio delivery status for outbound SMS + flag leads we can't reach
+-- Safe for repeated runs (uses IF NOT EXISTS)
+
+------------------------------------------------------------
+-- 📶 MESSAGE DELIVERY
+------------------------------------------------------------
+ALTER TABLE "Message"
+ADD COLUMN IF NOT EXISTS "deliveryStatus" TEXT,
+ADD COLUMN IF NOT EXISTS "errorCode" TEXT,
+ADD COLUMN IF NOT EXISTS "errorMessage" TEXT,
+ADD COLUMN IF NOT EXISTS "sentAt" TIMESTAMP(3),
+ADD COLUMN IF NOT EXISTS "deliveredAt" TIMESTAMP(3),
+ADD COLUMN IF NOT EXISTS "failedAt" TIMESTAMP(3),
+ADD COLUMN IF NOT EXISTS "statusUpdatedAt" TIMESTAMP(3);
+
+------------------------------------------------------------
+-- 🚩 LEAD FLAG
+------------------------------------------------------------
+ALTER TABLE "Lead"
+ADD COLUMN IF NOT EXISTS "lastOutboundStatus" TEXT;
@@ -0,0 +1,25 @@
+-- Migration: add_sms_consent (Ava V9.7)
+-- Purpose: STOP / START / HELP handling — consent state on Lead + history
+-- Safe for repeated runs (uses IF NOT EXISTS)
+
+------------------------------------------------------------
+-- 📵 LEAD CONSENT
+------------------------------------------------------------
+ALTER TABLE "Lead"
+ADD COLUMN IF NOT EXISTS "smsConsent" TEXT NOT NULL DEFAULT 'subscribed',
+ADD COLUMN IF NOT EXISTS "optedOutAt" TIMESTAMP(3);
+
+------------------------------------------------------------
+-- 🧾 CONSENT HISTORY
+------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS "ConsentEvent" (
+  "id" SERIAL PRIMARY KEY,
+  "leadId" INTEGER NOT NULL REFERENCES "Lead"("id") ON DELETE CASCADE,
+  "action" TEXT NOT NULL,
+  "keyword" TEXT,
+  "source" TEXT NOT NULL DEFAULT 'sms',
+  "createdAt" TIMESTAMP(3) NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS "ConsentEvent_leadId_createdAt_idx"
+ON "ConsentEvent" ("leadId", "createdAt");
@@ -0,0 +1,12 @@
+-- Migration: add_conversation_mode (Ava V9.8)
+-- Purpose: Human takeover — auto / paused / human mode per lead + handoff reason
+-- Safe for repeated runs (uses IF NOT EXISTS)
+
+------------------------------------------------------------
+-- 🙋 CONVERSATION MODE
+------------------------------------------------------------
+ALTER TABLE "Lead"
+ADD COLUMN IF NOT EXISTS "mode" TEXT NOT NULL DEFAULT 'auto',
+ADD COLUMN IF NOT EXISTS "handoffReason" TEXT,
+ADD COLUMN IF NOT EXISTS "owner" TEXT,
+ADD COLUMN IF NOT EXISTS "modeChangedAt" TIMESTAMP(3);
@@ -0,0 +1,9 @@
+-- Migration: add_message_agent (Ava V9.9)
+-- Purpose: Agent replies from the dashboard — remember who sent each message
+-- Safe for repeated runs (uses IF NOT EXISTS)
+
+------------------------------------------------------------
+-- 🧑‍💼 MESSAGE AGENT
+------------------------------------------------------------
+ALTER TABLE "Message"
+ADD COLUMN IF NOT EXISTS "agentId" TEXT;
@@ -0,0 +1,17 @@
+-- Migration: add_conversation_reads (Ava V9.10)
+-- Purpose: Unread counts without Redis — per-agent read cursor per conversation
+-- Safe for repeated runs (uses IF NOT EXISTS)
+
+------------------------------------------------------------
+-- 👀 CONVERSATION READ CURSORS
+------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS "ConversationRead" (
+  "id" SERIAL PRIMARY KEY,
+  "leadId" INTEGER NOT NULL REFERENCES "Lead"("id") ON DELETE CASCADE,
+  "agentId" TEXT NOT NULL,
+  "lastReadMessageId" INTEGER NOT NULL DEFAULT 0,
+  "lastReadAt" TIMESTAMP(3) NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "ConversationRead_leadId_agentId_key"
+ON "ConversationRead" ("leadId", "agentId");
@@ -0,0 +1,15 @@
+-- Migration: add_property_timezone (Ava V9.11)
+-- Purpose: Properties outside Alberta — per-property IANA timezone + global default
+-- Safe for repeated runs (uses IF NOT EXISTS)
+
+------------------------------------------------------------
+-- 🌎 PROPERTY TIMEZONE (null = use the global default)
+------------------------------------------------------------
+ALTER TABLE "Property"
+ADD COLUMN IF NOT EXISTS "timezone" TEXT;
+
+------------------------------------------------------------
+-- ⚙️ GLOBAL DEFAULT TIMEZONE
+------------------------------------------------------------
+ALTER TABLE "GlobalSettings"
+ADD COLUMN IF NOT EXISTS "timezone" TEXT NOT NULL DEFAULT 'America/Edmonton';
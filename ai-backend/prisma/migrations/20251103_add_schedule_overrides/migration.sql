@@ -0,0 +1,28 @@
+-- Migration: add_schedule_overrides (Ava V9.12)
+-- Purpose: Holiday closures + date-specific hours (global or per property)
+-- Safe for repeated runs (uses IF NOT EXISTS)
+
+------------------------------------------------------------
+-- 📆 SCHEDULE OVERRIDES
+------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS "ScheduleOverride" (
+  "id" SERIAL PRIMARY KEY,
+  "propertyId" INTEGER REFERENCES "Property"("id") ON DELETE CASCADE,
+  "date" TEXT NOT NULL,
+  "recurring" BOOLEAN NOT NULL DEFAULT FALSE,
+  "closed" BOOLEAN NOT NULL DEFAULT TRUE,
+  "start" TEXT,
+  "end" TEXT,
+  "label" TEXT,
+  "createdAt" TIMESTAMP(3) NOT NULL DEFAULT NOW(),
+  "updatedAt" TIMESTAMP(3) NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS "ScheduleOverride_propertyId_date_idx"
+ON "ScheduleOverride" ("propertyId", "date");
+
+------------------------------------------------------------
+-- 🎉 RECURRING HOLIDAY CALENDAR (null = off)
+------------------------------------------------------------
+ALTER TABLE "GlobalSettings"
+ADD COLUMN IF NOT EXISTS "holidayCalendar" TEXT;
@@ -0,0 +1,34 @@
+-- Migration: add_showing_rules (Ava V9.13)
+-- Purpose: Configurable showing length, buffer between showings and group-showing capacity
+-- Safe for repeated runs (uses IF NOT EXISTS)
+
+------------------------------------------------------------
+-- 🏠 PER-PROPERTY SHOWING RULES (null = use the global default)
+------------------------------------------------------------
+ALTER TABLE "Property"
+ADD COLUMN IF NOT EXISTS "showingDuration" INTEGER,
+ADD COLUMN IF NOT EXISTS "bufferMinutes" INTEGER,
+ADD COLUMN IF NOT EXISTS "slotCapacity" INTEGER;
+
+------------------------------------------------------------
+-- ⚙️ GLOBAL DEFAULTS
+------------------------------------------------------------
+ALTER TABLE "GlobalSettings"
+ADD COLUMN IF NOT EXISTS "showingDuration" INTEGER NOT NULL DEFAULT 30,
+ADD COLUMN IF NOT EXISTS "bufferMinutes" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS "slotCapacity" INTEGER NOT NULL DEFAULT 1;
+
+------------------------------------------------------------
+-- 👥 BOOKING SEATS (group showings share a start time)
+------------------------------------------------------------
+ALTER TABLE "Booking"
+ADD COLUMN IF NOT EXISTS "seat" INTEGER NOT NULL DEFAULT 0;
+
+-- Existing rows all get seat 0, so they still satisfy the wider key
+DROP INDEX IF EXISTS "Booking_propertyId_datetime_key";
+
+CREATE UNIQUE INDEX IF NOT EXISTS "Booking_propertyId_datetime_seat_key"
+ON "Booking" ("propertyId", "datetime", "seat");
+
+-- Old showings predate configurable lengths
+UPDATE "Booking" SET "duration" = 30 WHERE "duration" IS NULL;
@@ -0,0 +1,19 @@
+-- Migration: add_phone_verifications (Ava V9.14)
+-- Purpose: Self-serve booking page — renters verify their phone with an SMS code
+-- Safe for repeated runs (uses IF NOT EXISTS)
+
+------------------------------------------------------------
+-- 🔐 PHONE VERIFICATION CODES (stored hashed)
+------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS "PhoneVerification" (
+  "id" SERIAL PRIMARY KEY,
+  "phone" TEXT NOT NULL,
+  "codeHash" TEXT NOT NULL,
+  "attempts" INTEGER NOT NULL DEFAULT 0,
+  "expiresAt" TIMESTAMP(3) NOT NULL,
+  "verifiedAt" TIMESTAMP(3),
+  "createdAt" TIMESTAMP(3) NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS "PhoneVerification_phone_createdAt_idx"
+ON "PhoneVerification" ("phone", "createdAt");
@@ -0,0 +1,10 @@
+-- Migration: add_lead_history_summary (Ava V9.15)
+-- Purpose: Conversation memory — rolling summary of older messages per lead
+-- Safe for repeated runs (uses IF NOT EXISTS)
+
+------------------------------------------------------------
+-- 🧠 LEAD HISTORY SUMMARY
+------------------------------------------------------------
+ALTER TABLE "Lead"
+ADD COLUMN IF NOT EXISTS "historySummary" TEXT,
+ADD COLUMN IF NOT EXISTS "historySummaryMessageId" INTEGER;
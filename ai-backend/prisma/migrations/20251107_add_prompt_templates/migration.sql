@@ -0,0 +1,25 @@
+-- Migration: add_prompt_templates (Ava V9.16)
+-- Purpose: Versioned prompts edited from the dashboard; messages remember which version wrote them
+-- Safe for repeated runs (uses IF NOT EXISTS)
+
+------------------------------------------------------------
+-- 📝 PROMPT TEMPLATE VERSIONS
+------------------------------------------------------------
+CREATE TABLE IF NOT EXISTS "PromptTemplate" (
+  "id" SERIAL PRIMARY KEY,
+  "key" TEXT NOT NULL,
+  "version" INTEGER NOT NULL,
+  "body" TEXT NOT NULL,
+  "note" TEXT,
+  "createdBy" TEXT,
+  "createdAt" TIMESTAMP(3) NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS "PromptTemplate_key_version_key"
+ON "PromptTemplate" ("key", "version");
+
+------------------------------------------------------------
+-- 💬 MESSAGE → PROMPT VERSION
+------------------------------------------------------------
+ALTER TABLE "Message"
+ADD COLUMN IF NOT EXISTS "promptTemplateId" INTEGER REFERENCES "PromptTemplate"("id") ON DELETE SET NULL;
@@ -0,0 +1,19 @@
+-- Migration: add_lead_qualification (Ava V9.17)
+-- Purpose: Lead summary + qualification fields (move-in, budget, bedrooms, …) kept up to date after each turn
+-- Safe for repeated runs (uses IF NOT EXISTS)
+
+------------------------------------------------------------
+-- 📋 LEAD QUALIFICATION
+------------------------------------------------------------
+ALTER TABLE "Lead"
+ADD COLUMN IF NOT EXISTS "summary" TEXT,
+ADD COLUMN IF NOT EXISTS "moveInDate" TEXT,
+ADD COLUMN IF NOT EXISTS "budget" INTEGER,
+ADD COLUMN IF NOT EXISTS "bedrooms" INTEGER,
+ADD COLUMN IF NOT EXISTS "occupants" INTEGER,
+ADD COLUMN IF NOT EXISTS "pets" TEXT,
+ADD COLUMN IF NOT EXISTS "parking" TEXT,
+ADD COLUMN IF NOT EXISTS "employment" TEXT,
+ADD COLUMN IF NOT EXISTS "qualificationEdited" TEXT[] NOT NULL DEFAULT ARRAY[]::TEXT[],
+ADD COLUMN IF NOT EXISTS "qualifiedThroughId" INTEGER,
+ADD COLUMN IF NOT EXISTS "qualificationUpdatedAt" TIMESTAMP(3);
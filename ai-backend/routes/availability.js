@@ -1,13 +1,15 @@
 import express from "express";
 import fetch from "node-fetch";
 import { PrismaClient } from "@prisma/client";
+import { GLOBAL_CHANNEL, publishAvailabilityEvent } from "../utils/eventBus.js";
+import { streamEvents } from "../utils/sse.js";
+import { FALLBACK_TIMEZONE, isValidTimezone } from "../utils/timezone.js";
+import { HOLIDAY_CALENDARS, holidaysFor, isValidHolidayCalendar } from "../utils/holidays.js";
+import { getFreeSlots } from "../utils/availabilityEngine.js";
 
 const prisma = new PrismaClient();
 const router = express.Router();
 
-// 🔹 In-memory list of SSE clients
-const clients = new Set();
-
 /* -------------------------------------------------------------
    📅 GET /api/availability
    Returns global open hours + all availability slots + Outlook events
@@ -88,6 +90,11 @@ router.get("/", async (req, res) => {
       data: {
         openStart: settings.openStart,
         openEnd: settings.openEnd,
+        timezone: settings.timezone || FALLBACK_TIMEZONE,
+        holidayCalendar: settings.holidayCalendar || null,
+        showingDuration: settings.showingDuration,
+        bufferMinutes: settings.bufferMinutes,
+        slotCapacity: settings.slotCapacity,
         days: {
           monday: { start: settings.mondayStart, end: settings.mondayEnd },
           tuesday: { start: settings.tuesdayStart, end: settings.tuesdayEnd },
@@ -121,13 +128,40 @@ router.post("/", async (req, res) => {
       openStart,
       openEnd,
       days,
+      timezone,
+      holidayCalendar,
+      showingDuration,
+      bufferMinutes,
+      slotCapacity,
     } = req.body;
 
-    // 🕒 Case 1: Update global open hours (including per-day)
-    if (days || openStart || openEnd) {
+    if (timezone !== undefined && !isValidTimezone(timezone)) {
+      return res.status(400).json({ ok: false, error: `Unknown timezone "${timezone}"` });
+    }
+    if (holidayCalendar && !isValidHolidayCalendar(holidayCalendar)) {
+      return res.status(400).json({ ok: false, error: `Unknown holiday calendar "${holidayCalendar}"` });
+    }
+
+    // ⏱️ Default showing rules (properties can override each one)
+    const rules = {};
+    for (const [key, value, min] of [
+      ["showingDuration", showingDuration, 5],
+      ["bufferMinutes", bufferMinutes, 0],
+      ["slotCapacity", slotCapacity, 1],
+    ]) {
+      if (value === undefined) continue;
+      const n = Number(value);
+      if (!Number.isInteger(n) || n < min) {
+        return res.status(400).json({ ok: false, error: `${key} must be a whole number ≥ ${min}` });
+      }
+      rules[key] = n;
+    }
+
+    // 🕒 Case 1: Update global open hours (including per-day), timezone, holidays and/or showing rules
+    if (days || openStart || openEnd || timezone || holidayCalendar !== undefined || Object.keys(rules).length) {
       console.log("🕓 [API] Saving global calendar settings:", req.body);
 
-      const updateData = {
+      const hoursData = !(days || openStart || openEnd) ? {} : {
         openStart: openStart ?? "08:00",
         openEnd: openEnd ?? "17:00",
         mondayStart: days?.monday?.start ?? "08:00",
@@ -144,6 +178,12 @@ router.post("/", async (req, res) => {
         saturdayEnd: days?.saturday?.end ?? "14:00",
         sundayStart: days?.sunday?.start ?? "00:00",
         sundayEnd: days?.sunday?.end ?? "00:00",
+      };
+      const updateData = {
+        ...hoursData,
+        ...(timezone ? { timezone } : {}),
+        ...(holidayCalendar !== undefined ? { holidayCalendar: holidayCalendar || null } : {}),
+        ...rules,
         updatedAt: new Date(),
       };
 
@@ -174,8 +214,7 @@ router.post("/", async (req, res) => {
       },
     });
 
-    const msg = JSON.stringify({ type: "created", data: slot });
-    clients.forEach((res) => res.write(`data: ${msg}\n\n`));
+    publishAvailabilityEvent("created", slot);
 
     res.json({ ok: true, data: slot });
   } catch (err) {
@@ -184,6 +223,166 @@ router.post("/", async (req, res) => {
   }
 });
 
+const MAX_SLOT_RANGE_DAYS = 62;
+const MAX_SLOTS = 500;
+
+/* -------------------------------------------------------------
+   🔍 GET /api/availability/slots?propertySlug=&from=&to=&limit=
+   Free showing times — open hours, overrides, blocks, bookings and
+   Outlook busy time all applied. from/to are ISO (default: now → +14 days)
+------------------------------------------------------------- */
+router.get("/slots", async (req, res) => {
+  try {
+    const { propertySlug } = req.query;
+    if (!propertySlug) return res.status(400).json({ ok: false, error: "Missing propertySlug" });
+
+    const property = await prisma.property.findUnique({ where: { slug: propertySlug } });
+    if (!property) return res.status(404).json({ ok: false, error: "Property not found" });
+
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    const to = req.query.to
+      ? new Date(req.query.to)
+      : new Date(from.getTime() + 14 * 24 * 60 * 60 * 1000);
+    if (isNaN(from) || isNaN(to) || to <= from) {
+      return res.status(400).json({ ok: false, error: "from/to must be ISO dates with from < to" });
+    }
+    if (to - from > MAX_SLOT_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({ ok: false, error: `Range is limited to ${MAX_SLOT_RANGE_DAYS} days` });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit) || MAX_SLOTS, MAX_SLOTS);
+    const slots = await getFreeSlots(property.id, { from, to, count: limit });
+
+    res.json({
+      ok: true,
+      data: {
+        propertySlug,
+        from: from.toISOString(),
+        to: to.toISOString(),
+        slots,
+      },
+    });
+  } catch (err) {
+    console.error("❌ GET /api/availability/slots:", err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+/* -------------------------------------------------------------
+   🎉 GET /api/availability/holidays?year=2026
+   Built-in holiday calendars + the selected one's dates for a year
+------------------------------------------------------------- */
+router.get("/holidays", async (req, res) => {
+  try {
+    const year = parseInt(req.query.year) || new Date().getFullYear();
+    const settings = await prisma.globalSettings.findFirst({ select: { holidayCalendar: true } });
+    const selected = settings?.holidayCalendar || null;
+
+    res.json({
+      ok: true,
+      data: {
+        calendars: Object.entries(HOLIDAY_CALENDARS).map(([id, c]) => ({ id, label: c.label })),
+        selected,
+        year,
+        holidays: selected ? holidaysFor(selected, year) : [],
+      },
+    });
+  } catch (err) {
+    console.error("❌ GET /api/availability/holidays:", err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+/* -------------------------------------------------------------
+   📆 GET /api/availability/overrides?propertySlug=
+   Date-specific closures / special hours (global ones always included)
+------------------------------------------------------------- */
+router.get("/overrides", async (req, res) => {
+  try {
+    const { propertySlug } = req.query;
+    const where = propertySlug
+      ? { OR: [{ propertyId: null }, { property: { slug: propertySlug } }] }
+      : undefined;
+
+    const overrides = await prisma.scheduleOverride.findMany({
+      where,
+      include: { property: { select: { slug: true, address: true } } },
+      orderBy: [{ date: "asc" }, { id: "asc" }],
+    });
+
+    res.json({ ok: true, data: overrides });
+  } catch (err) {
+    console.error("❌ GET /api/availability/overrides:", err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/* -------------------------------------------------------------
+   💾 POST /api/availability/overrides
+   { date, closed?, start?, end?, recurring?, label?, propertySlug? }
+   No propertySlug → applies to every property
+------------------------------------------------------------- */
+router.post("/overrides", async (req, res) => {
+  try {
+    const { propertySlug, date, recurring, label } = req.body;
+    const closed = req.body.closed !== false;
+    const { start, end } = req.body;
+
+    if (!DATE_RE.test(date || "")) {
+      return res.status(400).json({ ok: false, error: "date must be YYYY-MM-DD" });
+    }
+    if (!closed && !(TIME_RE.test(start || "") && TIME_RE.test(end || "") && start < end)) {
+      return res.status(400).json({ ok: false, error: "Special hours need start < end (HH:mm)" });
+    }
+
+    let propertyId = null;
+    if (propertySlug) {
+      const property = await prisma.property.findUnique({ where: { slug: propertySlug } });
+      if (!property) return res.status(404).json({ ok: false, error: "Property not found" });
+      propertyId = property.id;
+    }
+
+    const override = await prisma.scheduleOverride.create({
+      data: {
+        propertyId,
+        date,
+        recurring: !!recurring,
+        closed,
+        start: closed ? null : start,
+        end: closed ? null : end,
+        label: label?.trim() || null,
+      },
+    });
+
+    publishAvailabilityEvent("override_created", override);
+
+    res.json({ ok: true, data: override });
+  } catch (err) {
+    console.error("❌ POST /api/availability/overrides:", err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+/* -------------------------------------------------------------
+   ❌ DELETE /api/availability/overrides/:id
+------------------------------------------------------------- */
+router.delete("/overrides/:id", async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    const deleted = await prisma.scheduleOverride.delete({ where: { id } });
+
+    publishAvailabilityEvent("override_deleted", { id });
+
+    res.json({ ok: true, data: deleted });
+  } catch (err) {
+    console.error("❌ DELETE /api/availability/overrides/:id:", err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
 /* -------------------------------------------------------------
    ❌ DELETE /api/availability/:id
 ------------------------------------------------------------- */
@@ -192,8 +391,7 @@ router.delete("/:id", async (req, res) => {
     const id = parseInt(req.params.id);
     const deleted = await prisma.availability.delete({ where: { id } });
 
-    const msg = JSON.stringify({ type: "deleted", data: { id } });
-    clients.forEach((res) => res.write(`data: ${msg}\n\n`));
+    publishAvailabilityEvent("deleted", { id });
 
     res.json({ ok: true, data: deleted });
   } catch (err) {
@@ -205,18 +403,12 @@ router.delete("/:id", async (req, res) => {
 /* -------------------------------------------------------------
    📡 SSE Stream — /api/availability/events
 ------------------------------------------------------------- */
-router.get("/events", (req, res) => {
-  res.setHeader("Content-Type", "text/event-stream");
-  res.setHeader("Cache-Control", "no-cache");
-  res.setHeader("Connection", "keep-alive");
-  res.flushHeaders();
-
-  clients.add(res);
+router.get("/events", async (req, res) => {
   console.log("📡 [SSE] Client connected (availability)");
+  req.on("close", () => console.log("❌ [SSE] Client disconnected (availability)"));
 
-  req.on("close", () => {
-    clients.delete(res);
-    console.log("❌ [SSE] Client disconnected (availability)");
+  await streamEvents(req, res, GLOBAL_CHANNEL, {
+    filter: (evt) => evt.type === "availability",
   });
 });
 
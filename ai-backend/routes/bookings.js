@@ -1,44 +1,46 @@
 // ai-backend/routes/bookings.js
 import express from "express";
 import { PrismaClient } from "@prisma/client";
-import { DateTime } from "luxon";
+import { publishBookingEvent } from "../utils/eventBus.js";
+import { bookSlot, describeSlot, findSlotsInSchedule } from "../utils/availabilityEngine.js";
+import { cancelBooking } from "../utils/bookingActions.js";
 
 const prisma = new PrismaClient();
 const router = express.Router();
 
-// 🧩 Helper — check if requested slot is available
-async function isTimeAvailable(propertyId, requestedStart, duration = 30) {
-  const requestedEnd = DateTime.fromJSDate(requestedStart).plus({ minutes: duration }).toJSDate();
-
-  // Check for existing bookings that overlap
-  const conflicts = await prisma.booking.findMany({
-    where: {
-      propertyId,
-      status: { not: "cancelled" },
-      OR: [
-        {
-          datetime: { lte: requestedEnd },
-          // booking end overlaps with requested start
+/**
+ * 🚫 409 body the dashboard can act on: what's in the way + the next open times
+ */
+async function conflictResponse(res, schedule, check) {
+  const ids = (check.conflicts || []).filter((c) => c.type === "booking").map((c) => c.id);
+  const bookings = ids.length
+    ? await prisma.booking.findMany({
+        where: { id: { in: ids } },
+        select: {
+          id: true,
+          datetime: true,
+          duration: true,
+          status: true,
+          lead: { select: { name: true, phone: true } },
         },
-      ],
-    },
+      })
+    : [];
+
+  const suggestions = findSlotsInSchedule(schedule, { from: check.start, count: 3 });
+
+  return res.status(409).json({
+    ok: false,
+    conflict: true,
+    reason: check.reason || "busy",
+    error: "Requested time is unavailable",
+    conflicts: [
+      ...bookings.map((b) => ({ type: "booking", ...b })),
+      ...(check.conflicts || [])
+        .filter((c) => c.type === "block")
+        .map((c) => ({ type: "block", start: new Date(c.start), end: new Date(c.end) })),
+    ],
+    suggestions: suggestions.map((s) => describeSlot(schedule, s)),
   });
-
-  // Check availability table
-  const blocked = await prisma.availability.findMany({
-    where: {
-      propertyId,
-      isBlocked: true,
-      OR: [
-        {
-          startTime: { lte: requestedEnd },
-          endTime: { gte: requestedStart },
-        },
-      ],
-    },
-  });
-
-  return conflicts.length === 0 && blocked.length === 0;
 }
 
 // 🗓️ GET /api/bookings
@@ -69,7 +71,7 @@ router.get("/", async (req, res) => {
 // 📅 POST /api/bookings — schedule a showing
 router.post("/", async (req, res) => {
   try {
-    const { leadPhone, propertySlug, datetime } = req.body;
+    const { leadPhone, propertySlug, datetime, notes } = req.body;
 
     if (!leadPhone || !propertySlug || !datetime)
       return res.status(400).json({ ok: false, error: "Missing fields" });
@@ -79,30 +81,32 @@ router.post("/", async (req, res) => {
     if (!lead || !property)
       return res.status(404).json({ ok: false, error: "Lead or property not found" });
 
-    // 🕒 Normalize start time to exact 30-minute slot to prevent duplicate entries
+    // 🕒 Normalize to the whole minute so the same slot always compares equal
     const requestedStart = new Date(datetime);
+    if (isNaN(requestedStart)) return res.status(400).json({ ok: false, error: "Invalid datetime" });
     requestedStart.setSeconds(0, 0);
 
-    // 🧩 Check if the requested time is available
-    const available = await isTimeAvailable(property.id, requestedStart, 30);
-    if (!available) {
-      return res.json({
-        ok: false,
-        conflict: true,
-        message: "Requested time is unavailable",
-      });
-    }
-
-    // 🧠 Create the booking record
-    const booking = await prisma.booking.create({
-      data: {
-        propertyId: property.id,
-        leadId: lead.id,
-        datetime: requestedStart,
-        status: "pending",
-        source: "dashboard",
-      },
-    });
+    // 🧩 Same rules as SMS booking: per-day hours, closed days, blocks, other bookings
+    // (duration + buffer overlap; cancelled, expired and soft-deleted bookings don't count).
+    // Checked under the booking lock, so a racing party can't take the same seat.
+    // Staff booked it, so it's confirmed (no hold to expire).
+    const result = await bookSlot(property.id, requestedStart, {}, (tx, { seat, schedule }) =>
+      tx.booking.create({
+        data: {
+          propertyId: property.id,
+          leadId: lead.id,
+          datetime: requestedStart,
+          duration: schedule.duration,
+          seat,
+          status: "confirmed",
+          source: "dashboard",
+          notes: notes || null,
+        },
+      })
+    );
+    if (!result.ok) return conflictResponse(res, result.schedule, result);
+    const { booking } = result;
+    publishBookingEvent("created", booking, { phone: lead.phone });
 
     res.json({ ok: true, data: booking });
   } catch (err) {
@@ -119,7 +123,9 @@ router.put("/:id", async (req, res) => {
     const booking = await prisma.booking.update({
       where: { id: Number(req.params.id) },
       data: { status, notes },
+      include: { lead: true },
     });
+    publishBookingEvent("updated", booking);
     res.json({ ok: true, data: booking });
   } catch (err) {
     res.status(500).json({ ok: false, error: err.message });
@@ -132,14 +138,11 @@ router.delete("/:id", async (req, res) => {
     const id = parseInt(req.params.id);
     if (isNaN(id)) return res.status(400).json({ ok: false, error: "Invalid ID" });
 
-    const booking = await prisma.booking.findUnique({ where: { id } });
+    const booking = await prisma.booking.findUnique({ where: { id }, include: { lead: true } });
     if (!booking) return res.status(404).json({ ok: false, error: "Booking not found" });
 
-    // 🧹 Soft delete instead of hard delete to avoid breaking sync
-    await prisma.booking.update({
-      where: { id },
-      data: { status: "cancelled", cancelledAt: new Date() },
-    });
+    // 🧹 Cancel (row kept) instead of hard delete to avoid breaking sync — frees the slot too
+    await cancelBooking(booking, { reason: "Removed from dashboard" });
 
     res.json({ ok: true });
   } catch (err) {
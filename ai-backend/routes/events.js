@@ -0,0 +1,44 @@
+// ai-backend/routes/events.js
+import express from "express";
+import { PrismaClient } from "@prisma/client";
+import { GLOBAL_CHANNEL, conversationChannel } from "../utils/eventBus.js";
+import { streamEvents } from "../utils/sse.js";
+
+const prisma = new PrismaClient();
+const router = express.Router();
+
+/* -------------------------------------------------------------
+   📡 GET /events
+   Everything: messages (tagged with phone), bookings, availability
+   ?types=message,booking narrows it down
+------------------------------------------------------------- */
+router.get("/", async (req, res) => {
+  const types = String(req.query.types || "")
+    .split(",")
+    .map((t) => t.trim())
+    .filter(Boolean);
+
+  await streamEvents(req, res, GLOBAL_CHANNEL, {
+    filter: types.length ? (evt) => types.includes(evt.type) : null,
+  });
+});
+
+/* -------------------------------------------------------------
+   💬 GET /events/conversation/:phone
+   One renter's thread — opens with the current mode so the header is right
+------------------------------------------------------------- */
+router.get("/conversation/:phone", async (req, res) => {
+  const phone = decodeURIComponent(req.params.phone);
+
+  const lead = await prisma.lead.findUnique({ where: { phone } }).catch(() => null);
+  await streamEvents(req, res, conversationChannel(phone), {
+    snapshot: {
+      type: "snapshot",
+      mode: lead?.mode || "auto",
+      handoffReason: lead?.handoffReason || "",
+      owner: lead?.owner || "",
+    },
+  });
+});
+
+export default router;
@@ -0,0 +1,60 @@
+// ai-backend/routes/jobs.js
+import express from "express";
+import { PrismaClient } from "@prisma/client";
+import { retryJob } from "../utils/jobQueue.js";
+
+const prisma = new PrismaClient();
+const router = express.Router();
+
+/* -------------------------------------------------------------
+   📬 GET /api/jobs?status=dead&type=sms.send
+   Recent jobs (dead letters first thing to check when something didn't go out)
+------------------------------------------------------------- */
+router.get("/", async (req, res) => {
+  try {
+    const { status, type } = req.query;
+    const jobs = await prisma.job.findMany({
+      where: {
+        ...(status ? { status } : {}),
+        ...(type ? { type } : {}),
+      },
+      orderBy: { createdAt: "desc" },
+      take: Math.min(Number(req.query.limit) || 100, 500),
+    });
+
+    const counts = await prisma.job.groupBy({ by: ["status"], _count: { _all: true } });
+
+    res.json({
+      ok: true,
+      data: jobs,
+      counts: Object.fromEntries(counts.map((c) => [c.status, c._count._all])),
+    });
+  } catch (err) {
+    console.error("❌ GET /api/jobs:", err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+/* -------------------------------------------------------------
+   🩹 POST /api/jobs/:id/retry — requeue a dead job
+------------------------------------------------------------- */
+router.post("/:id/retry", async (req, res) => {
+  try {
+    const id = parseInt(req.params.id);
+    if (isNaN(id)) return res.status(400).json({ ok: false, error: "Invalid ID" });
+
+    const job = await prisma.job.findUnique({ where: { id } });
+    if (!job) return res.status(404).json({ ok: false, error: "Job not found" });
+    if (job.status !== "dead")
+      return res.status(409).json({ ok: false, error: `Job is ${job.status}, not dead` });
+
+    const requeued = await retryJob(id);
+    console.log(`🩹 Job ${id} (${job.type}) requeued`);
+    res.json({ ok: true, data: requeued });
+  } catch (err) {
+    console.error("❌ POST /api/jobs/:id/retry:", err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+export default router;
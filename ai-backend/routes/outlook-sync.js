@@ -2,6 +2,10 @@
 import express from "express";
 import fetch from "node-fetch";
 import { PrismaClient } from "@prisma/client";
+import { DateTime } from "luxon";
+import { publishAvailabilityEvent, publishBookingEvent } from "../utils/eventBus.js";
+import { getDefaultTimezone } from "../utils/timezone.js";
+import { DEFAULT_SHOWING_MINUTES } from "../utils/availabilityEngine.js";
 
 const prisma = new PrismaClient();
 const router = express.Router();
@@ -99,7 +103,7 @@ router.get("/events", async (req, res) => {
     const graphRes = await fetch(graphUrl, {
       headers: {
         Authorization: `Bearer ${accessToken}`,
-        Prefer: 'outlook.timezone="America/Edmonton"',
+        Prefer: 'outlook.timezone="UTC"',
       },
     });
 
@@ -109,11 +113,15 @@ router.get("/events", async (req, res) => {
       return res.status(400).json({ ok: false, error: data.error.message });
     }
 
+    // Graph sends UTC wall times without an offset → ISO with offset in the default zone
+    const tz = await getDefaultTimezone();
+    const toLocalIso = (dt) => (dt ? DateTime.fromISO(dt, { zone: "UTC" }).setZone(tz).toISO() : null);
+
     const events = (data.value || []).map((e) => ({
       id: e.id,
       title: e.subject || "Busy",
-      start: e.start?.dateTime,
-      end: e.end?.dateTime,
+      start: toLocalIso(e.start?.dateTime),
+      end: toLocalIso(e.end?.dateTime),
       location: e.location?.displayName || "",
       showAs: e.showAs || "busy",
       source: "Outlook",
@@ -198,7 +206,7 @@ router.get("/poll", async (req, res) => {
     const resp = await fetch(url, {
       headers: {
         Authorization: `Bearer ${accessToken}`,
-        Prefer: 'outlook.timezone="America/Edmonton"',
+        Prefer: 'outlook.timezone="UTC"',
       },
     });
 
@@ -240,9 +248,11 @@ for (const e of json.value) {
       // Skip malformed events
       if (!e.start?.dateTime || !e.end?.dateTime) continue;
 
-      const startTime = new Date(e.start.dateTime);
-      startTime.setSeconds(0, 0);
-      const endTime = new Date(e.end.dateTime);
+      // Graph returns UTC (see Prefer header) without a "Z" — parse it as UTC, not server-local
+      const startTime = DateTime.fromISO(e.start.dateTime, { zone: "UTC" })
+        .set({ second: 0, millisecond: 0 })
+        .toJSDate();
+      const endTime = DateTime.fromISO(e.end.dateTime, { zone: "UTC" }).toJSDate();
 
       // Skip long or multi-day events (>12h)
       const durationHours = (endTime - startTime) / (1000 * 60 * 60);
@@ -267,7 +277,7 @@ for (const e of json.value) {
 // 🧠 Skip events that were just created by Ava in the last 2 minutes
 const recentBooking = await prisma.booking.findFirst({
   where: {
-    datetime: new Date(e.start.dateTime),
+    datetime: startTime,
     createdAt: {
       gt: new Date(Date.now() - 2 * 60 * 1000), // last 2 minutes
     },
@@ -305,9 +315,10 @@ if (booking) {
   // 🆕 Otherwise, create or update based on propertyId+datetime
   await prisma.booking.upsert({
     where: {
-      propertyId_datetime: {
+      propertyId_datetime_seat: {
         propertyId,
         datetime: startTime,
+        seat: 0,
       },
     },
     update: {
@@ -319,6 +330,7 @@ if (booking) {
     create: {
       propertyId,
       datetime: startTime,
+      duration: Math.round((endTime - startTime) / 60000),
       status: "confirmed",
       notes: e.subject || "Showing synced from Outlook",
       outlookEventId: e.id,
@@ -364,6 +376,10 @@ count++;
 
     }
 
+    // 📡 One refresh signal per poll rather than an event per Outlook row
+    publishBookingEvent("synced", null);
+    publishAvailabilityEvent("synced", { count });
+
     res.json({ ok: true, synced: count });
   } catch (err) {
     console.error("❌ Outlook Poll Error:", err);
@@ -393,12 +409,13 @@ subject =
 }
 
 
-    // ✅ Default to 30 minutes if endTime not provided or invalid
+    // ✅ No valid endTime → durationMinutes from the caller, else the default showing length
     const start = new Date(startTime);
+    const durationMinutes = parseInt(req.body.durationMinutes) || DEFAULT_SHOWING_MINUTES;
     const end =
       endTime && !isNaN(new Date(endTime).getTime())
         ? new Date(endTime)
-        : new Date(start.getTime() + 30 * 60 * 1000); // 30-minute slot
+        : new Date(start.getTime() + durationMinutes * 60 * 1000);
 
     const response = await fetch("https://graph.microsoft.com/v1.0/me/events", {
       method: "POST",
@@ -419,8 +436,8 @@ body: {
     <b>Summary:</b> ${req.body.chatSummary || "No additional notes"}<br/>
   `,
 },
-        start: { dateTime: start.toISOString(), timeZone: "America/Edmonton" },
-        end: { dateTime: end.toISOString(), timeZone: "America/Edmonton" },
+        start: { dateTime: start.toISOString(), timeZone: "UTC" },
+        end: { dateTime: end.toISOString(), timeZone: "UTC" },
         location: { displayName: location || "TBD" },
         attendees: leadEmail
           ? [{ emailAddress: { address: leadEmail }, type: "required" }]
@@ -0,0 +1,118 @@
+// ai-backend/routes/prompts.js
+import express from "express";
+import { DEFAULT_AGENT } from "../utils/readCursors.js";
+import {
+  PROMPTS,
+  isPromptKey,
+  getActivePrompt,
+  getPromptHistory,
+  savePromptVersion,
+  rollbackPrompt,
+  unknownVariables,
+} from "../utils/promptTemplates.js";
+
+const router = express.Router();
+
+const MAX_BODY_CHARS = 20000;
+
+function describe(key, active) {
+  const { label, description = "", variables } = PROMPTS[key];
+  return {
+    key,
+    label,
+    description,
+    variables,
+    version: active.version,
+    body: active.body,
+    note: active.note || null,
+    createdBy: active.createdBy || null,
+    createdAt: active.createdAt || null,
+  };
+}
+
+/* -------------------------------------------------------------
+   📝 GET /api/prompts — every prompt with its live version
+------------------------------------------------------------- */
+router.get("/", async (_req, res) => {
+  try {
+    const keys = Object.keys(PROMPTS);
+    const active = await Promise.all(keys.map((key) => getActivePrompt(key)));
+    res.json({ ok: true, data: keys.map((key, i) => describe(key, active[i])) });
+  } catch (err) {
+    console.error("❌ GET /api/prompts:", err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+/* -------------------------------------------------------------
+   📜 GET /api/prompts/:key/versions — history, newest first (v0 = built-in)
+------------------------------------------------------------- */
+router.get("/:key/versions", async (req, res) => {
+  const { key } = req.params;
+  if (!isPromptKey(key)) return res.status(404).json({ ok: false, error: "Unknown prompt" });
+
+  try {
+    res.json({ ok: true, data: await getPromptHistory(key) });
+  } catch (err) {
+    console.error("❌ GET /api/prompts/:key/versions:", err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+/* -------------------------------------------------------------
+   💾 POST /api/prompts/:key — publish a new version { body, note, agentId }
+------------------------------------------------------------- */
+router.post("/:key", async (req, res) => {
+  const { key } = req.params;
+  if (!isPromptKey(key)) return res.status(404).json({ ok: false, error: "Unknown prompt" });
+
+  const body = String(req.body?.body ?? "").trim();
+  if (!body) return res.status(400).json({ ok: false, error: "Prompt cannot be empty" });
+  if (body.length > MAX_BODY_CHARS)
+    return res.status(400).json({ ok: false, error: `Prompt is too long (max ${MAX_BODY_CHARS} characters)` });
+
+  const unknown = unknownVariables(key, body);
+  if (unknown.length) {
+    return res.status(400).json({
+      ok: false,
+      error: `Unknown variable${unknown.length > 1 ? "s" : ""}: ${unknown.map((v) => `{${v}}`).join(", ")}`,
+    });
+  }
+
+  try {
+    const active = await getActivePrompt(key);
+    if (active.body === body) return res.status(400).json({ ok: false, error: "No changes to save" });
+
+    await savePromptVersion(key, body, {
+      note: req.body?.note?.trim() || null,
+      createdBy: req.body?.agentId || DEFAULT_AGENT,
+    });
+    res.json({ ok: true, data: describe(key, await getActivePrompt(key)) });
+  } catch (err) {
+    console.error("❌ POST /api/prompts/:key:", err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+/* -------------------------------------------------------------
+   ⏪ POST /api/prompts/:key/rollback — { version } becomes the newest version
+------------------------------------------------------------- */
+router.post("/:key/rollback", async (req, res) => {
+  const { key } = req.params;
+  if (!isPromptKey(key)) return res.status(404).json({ ok: false, error: "Unknown prompt" });
+
+  const version = parseInt(req.body?.version, 10);
+  if (!Number.isFinite(version) || version < 0)
+    return res.status(400).json({ ok: false, error: "version must be a number ≥ 0" });
+
+  try {
+    const row = await rollbackPrompt(key, version, { createdBy: req.body?.agentId || DEFAULT_AGENT });
+    if (!row) return res.status(404).json({ ok: false, error: `No version ${version}` });
+    res.json({ ok: true, data: describe(key, await getActivePrompt(key)) });
+  } catch (err) {
+    console.error("❌ POST /api/prompts/:key/rollback:", err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,102 @@
+// ai-backend/routes/reminders.js
+import express from "express";
+import { PrismaClient } from "@prisma/client";
+import { getReminderSettings } from "../utils/reminders.js";
+
+const prisma = new PrismaClient();
+const router = express.Router();
+
+const FIELDS = [
+  "remindersEnabled",
+  "reminderOffsets",
+  "reminderTemplate",
+  "followUpEnabled",
+  "followUpDelayMinutes",
+  "followUpTemplate",
+  "noShowTemplate",
+  "applicationUrl",
+];
+
+function pickSettings(s) {
+  return Object.fromEntries(FIELDS.map((k) => [k, s[k]]));
+}
+
+/* -------------------------------------------------------------
+   🔔 GET /api/reminders/settings
+------------------------------------------------------------- */
+router.get("/settings", async (req, res) => {
+  try {
+    const settings = await getReminderSettings();
+    res.json({ ok: true, data: pickSettings(settings) });
+  } catch (err) {
+    console.error("❌ GET /api/reminders/settings:", err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+/* -------------------------------------------------------------
+   💾 PUT /api/reminders/settings
+------------------------------------------------------------- */
+router.put("/settings", async (req, res) => {
+  try {
+    const body = req.body || {};
+    const data = {};
+
+    if (body.remindersEnabled !== undefined) data.remindersEnabled = !!body.remindersEnabled;
+    if (body.followUpEnabled !== undefined) data.followUpEnabled = !!body.followUpEnabled;
+
+    if (body.reminderOffsets !== undefined) {
+      const offsets = (Array.isArray(body.reminderOffsets) ? body.reminderOffsets : [])
+        .map((m) => parseInt(m, 10))
+        .filter((m) => Number.isFinite(m) && m > 0);
+      data.reminderOffsets = [...new Set(offsets)].sort((a, b) => b - a);
+    }
+
+    if (body.followUpDelayMinutes !== undefined) {
+      const delay = parseInt(body.followUpDelayMinutes, 10);
+      if (!Number.isFinite(delay) || delay < 0)
+        return res.status(400).json({ ok: false, error: "followUpDelayMinutes must be ≥ 0" });
+      data.followUpDelayMinutes = delay;
+    }
+
+    for (const key of ["reminderTemplate", "followUpTemplate", "noShowTemplate"]) {
+      if (body[key] === undefined) continue;
+      if (!String(body[key]).trim())
+        return res.status(400).json({ ok: false, error: `${key} cannot be empty` });
+      data[key] = String(body[key]).trim();
+    }
+
+    if (body.applicationUrl !== undefined) data.applicationUrl = body.applicationUrl?.trim() || null;
+
+    const current = await getReminderSettings();
+    const updated = await prisma.globalSettings.update({ where: { id: current.id }, data });
+
+    console.log("🔔 Reminder settings updated");
+    res.json({ ok: true, data: pickSettings(updated) });
+  } catch (err) {
+    console.error("❌ PUT /api/reminders/settings:", err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+/* -------------------------------------------------------------
+   🧾 GET /api/reminders/log?bookingId=
+   Recently sent reminders / follow-ups
+------------------------------------------------------------- */
+router.get("/log", async (req, res) => {
+  try {
+    const bookingId = req.query.bookingId ? Number(req.query.bookingId) : undefined;
+    const logs = await prisma.reminderLog.findMany({
+      where: bookingId ? { bookingId } : undefined,
+      include: { booking: { include: { lead: true, property: true } } },
+      orderBy: { sentAt: "desc" },
+      take: 100,
+    });
+    res.json({ ok: true, data: logs });
+  } catch (err) {
+    console.error("❌ GET /api/reminders/log:", err);
+    res.status(500).json({ ok: false, error: err.message });
+  }
+});
+
+export default router;
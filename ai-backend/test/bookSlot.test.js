@@ -0,0 +1,75 @@
+// ai-backend/test/bookSlot.test.js
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+
+/**
+ * 🔒 Two parties racing for one seat. Needs a migrated, throwaway Postgres:
+ *   TEST_DATABASE_URL=postgresql://… npm test
+ */
+const DB_URL = process.env.TEST_DATABASE_URL;
+const skip = !DB_URL && "set TEST_DATABASE_URL to run";
+
+let prisma;
+let bookSlot;
+let property;
+let start;
+const leads = [];
+
+before(async () => {
+  if (skip) return;
+  process.env.DATABASE_URL = DB_URL; // the engine's own client reads it on import
+  const { PrismaClient } = await import("@prisma/client");
+  const engine = await import("../utils/availabilityEngine.js");
+  bookSlot = engine.bookSlot;
+  prisma = new PrismaClient({ datasourceUrl: DB_URL });
+
+  property = await prisma.property.create({
+    data: { slug: `book-slot-test-${Date.now()}`, timezone: "America/Edmonton", slotCapacity: 1 },
+  });
+  for (const n of [1, 2]) {
+    leads.push(await prisma.lead.create({ data: { phone: `+1780556${String((Date.now() + n) % 10000).padStart(4, "0")}` } }));
+  }
+
+  const [slot] = await engine.getFreeSlots(property.id, { count: 1 });
+  assert.ok(slot, "test property needs an open slot");
+  start = new Date(slot.start);
+});
+
+after(async () => {
+  if (skip) return;
+  if (property) await prisma.booking.deleteMany({ where: { propertyId: property.id } });
+  for (const lead of leads) await prisma.lead.delete({ where: { id: lead.id } }).catch(() => {});
+  if (property) await prisma.property.delete({ where: { id: property.id } }).catch(() => {});
+  await prisma?.$disconnect();
+});
+
+const confirmedFor = (lead) => (tx, { seat, schedule }) =>
+  tx.booking.create({
+    data: { leadId: lead.id, propertyId: property.id, datetime: start, duration: schedule.duration, seat, status: "confirmed", source: "test" },
+  });
+
+test("capacity 1: B books while A is between its check and its insert → B is refused", { skip }, async () => {
+  let second;
+  const first = await bookSlot(property.id, start, {}, async (tx, args) => {
+    second = bookSlot(property.id, start, {}, confirmedFor(leads[1]));
+    await new Promise((r) => setTimeout(r, 300)); // B is waiting on the lock by now
+    return confirmedFor(leads[0])(tx, args);
+  });
+
+  assert.equal(first.ok, true);
+  const refused = await second;
+  assert.equal(refused.ok, false);
+  assert.equal(refused.reason, "busy");
+  assert.equal(refused.booking, undefined);
+
+  const live = await prisma.booking.count({ where: { propertyId: property.id, datetime: start, status: "confirmed" } });
+  assert.equal(live, 1);
+});
+
+test("capacity 1: once A cancels, B gets the slot on a new seat", { skip }, async () => {
+  await prisma.booking.updateMany({ where: { propertyId: property.id, leadId: leads[0].id }, data: { status: "cancelled" } });
+
+  const retry = await bookSlot(property.id, start, {}, confirmedFor(leads[1]));
+  assert.equal(retry.ok, true);
+  assert.equal(retry.booking.seat, 1); // the cancelled row keeps seat 0
+});
@@ -0,0 +1,61 @@
+// ai-backend/test/llmFake.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createFakeProvider } from "../utils/llm.js";
+
+// The shipped fixtures (fixtures/llm-fake.json)
+const fake = createFakeProvider();
+
+const system = (showing) => `You are "Ava"…\n\n### RENTER'S SHOWING:\n${showing}`;
+const reply = (showing, text, extra = []) =>
+  fake.complete({
+    purpose: "reply",
+    messages: [{ role: "system", content: system(showing) }, { role: "user", content: text }, ...extra],
+  });
+const toolCalls = (msg) =>
+  (msg.tool_calls || []).map((c) => ({ name: c.function.name, arguments: JSON.parse(c.function.arguments) }));
+
+test("booking request → find_slots, then a hold on the first slot", async () => {
+  const first = await reply("None booked yet.", "Can I book a showing?");
+  assert.deepEqual(toolCalls(first), [{ name: "find_slots", arguments: { count: 2 } }]);
+
+  const afterSlots = await reply("None booked yet.", "Can I book a showing?", [
+    first,
+    {
+      role: "tool",
+      tool_call_id: first.tool_calls[0].id,
+      content: JSON.stringify({ ok: true, slots: [{ start: "2025-11-04T10:00", label: "Tue, Nov 4 at 10:00 AM" }] }),
+    },
+  ]);
+  assert.deepEqual(toolCalls(afterSlots), [
+    { name: "create_booking", arguments: { start: "2025-11-04T10:00", confirmed: false } },
+  ]);
+});
+
+test('"yes" confirms the held slot, not the first free one', async () => {
+  const msg = await reply(
+    "Thu, Nov 6 at 4:30 PM — held (start 2025-11-06T16:30), waiting for the renter to confirm",
+    "yes please"
+  );
+  assert.deepEqual(toolCalls(msg), [
+    { name: "create_booking", arguments: { start: "2025-11-06T16:30", confirmed: true } },
+  ]);
+});
+
+test('"yes" with nothing held books nothing', async () => {
+  const msg = await reply("None booked yet.", "yes");
+  assert.equal(msg.tool_calls, undefined);
+  assert.match(msg.content, /find you a time/);
+});
+
+test("tool results are templated into the reply", async () => {
+  const confirmed = await fake.complete({
+    purpose: "reply",
+    messages: [
+      { role: "user", content: "yes" },
+      { role: "assistant", content: null, tool_calls: [{ id: "c1", type: "function", function: { name: "create_booking", arguments: "{}" } }] },
+      { role: "tool", tool_call_id: "c1", content: JSON.stringify({ ok: true, status: "confirmed", label: "Thu, Nov 6 at 4:30 PM" }) },
+    ],
+  });
+  assert.equal(confirmed.content, "You’re booked for Thu, Nov 6 at 4:30 PM — see you then! 😊");
+});
@@ -0,0 +1,94 @@
+// ai-backend/test/parseDateTime.test.js
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DateTime } from "luxon";
+import { parseDateTime, clarifyingQuestion } from "../utils/parseDateTime.js";
+
+const tz = "America/Edmonton";
+// Monday, Nov 3 2025, 10:00 AM
+const now = DateTime.fromISO("2025-11-03T10:00", { zone: tz });
+
+const parse = (text, opts = {}) => parseDateTime(text, { tz, now, ...opts });
+const local = (dt) => dt.toFormat("yyyy-MM-dd HH:mm");
+
+test("next Thursday at 4:30 — same-week Thursday asks which week", () => {
+  const r = parse("next Thursday at 4:30");
+  assert.equal(r.kind, "datetime");
+  assert.equal(local(r.start), "2025-11-06 16:30");
+  assert.equal(r.ambiguity, "which_week");
+  assert.deepEqual(r.options.map(local), ["2025-11-06 16:30", "2025-11-13 16:30"]);
+  assert.equal(clarifyingQuestion(r), "Did you mean Thu, Nov 6 or Thu, Nov 13?");
+});
+
+test("next Thursday from a Friday is simply the coming one", () => {
+  const r = parse("next Thursday at 4:30", { now: DateTime.fromISO("2025-11-07T10:00", { zone: tz }) });
+  assert.equal(local(r.start), "2025-11-13 16:30");
+  assert.equal(r.ambiguous, false);
+});
+
+test("Oct 24th around noon — past date rolls to next year, approximate", () => {
+  const r = parse("Oct 24th around noon");
+  assert.equal(r.kind, "datetime");
+  assert.equal(local(r.start), "2026-10-24 12:00");
+  assert.equal(r.ambiguous, false);
+  assert.ok(r.confidence < 0.95);
+});
+
+test("this weekend — Saturday–Sunday range", () => {
+  const r = parse("this weekend");
+  assert.equal(r.kind, "range");
+  assert.equal(r.start.toISODate(), "2025-11-08");
+  assert.equal(r.end.toISODate(), "2025-11-09");
+  assert.equal(r.ambiguity, "date_range");
+  assert.equal(clarifyingQuestion(r), "Which day works better — Sat, Nov 8 or Sun, Nov 9?");
+});
+
+test("in two hours", () => {
+  const r = parse("in two hours");
+  assert.equal(r.kind, "datetime");
+  assert.equal(local(r.start), "2025-11-03 12:00");
+  assert.equal(r.ambiguous, false);
+  assert.equal(r.inPast, false);
+});
+
+for (const text of ["2 bedrooms", "$1500", "we have 2 cats", "budget is around 1800"]) {
+  test(`"${text}" is not a time`, () => {
+    const r = parse(text);
+    assert.equal(r.kind, "none");
+    assert.equal(r.start, null);
+    assert.equal(clarifyingQuestion(r), null);
+  });
+}
+
+test('"at 8" after 8am means tonight, not earlier today', () => {
+  const r = parse("at 8");
+  assert.equal(r.kind, "datetime");
+  assert.equal(local(r.start), "2025-11-03 20:00");
+  assert.equal(r.ambiguous, false);
+  assert.equal(r.inPast, false);
+});
+
+test('"at 8" before 8am asks AM or PM today', () => {
+  const r = parse("at 8", { now: DateTime.fromISO("2025-11-03T07:00", { zone: tz }) });
+  assert.equal(r.ambiguity, "meridiem");
+  assert.deepEqual(r.options.map(local), ["2025-11-03 08:00", "2025-11-03 20:00"]);
+});
+
+test('"at 8" after 8pm asks AM or PM tomorrow', () => {
+  const r = parse("at 8", { now: DateTime.fromISO("2025-11-03T21:00", { zone: tz }) });
+  assert.equal(r.ambiguity, "meridiem");
+  assert.deepEqual(r.options.map(local), ["2025-11-04 08:00", "2025-11-04 20:00"]);
+  assert.equal(r.inPast, false);
+});
+
+test('"see you at 10." — sentence punctuation after the hour', () => {
+  const r = parse("see you at 10.");
+  assert.equal(r.kind, "datetime");
+  assert.equal(local(r.start), "2025-11-04 10:00");
+  assert.equal(local(parse("Thursday at 3, works?").start), "2025-11-06 15:00");
+});
+
+test("decimals and thousands after an anchor are not hours", () => {
+  assert.equal(parse("looking at 1,500 a month").kind, "none");
+  assert.equal(parse("about 2.5 baths").kind, "none");
+});
@@ -0,0 +1,143 @@
+// ai-backend/test/twilioSmsFake.test.js
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { DateTime } from "luxon";
+
+/**
+ * 📱 SMS → booking, end to end: the real server (index.js) with LLM_PROVIDER=fake,
+ * driven through /twilio/sms. Needs a migrated, throwaway Postgres:
+ *   TEST_DATABASE_URL=postgresql://… npm test
+ * (never your real DATABASE_URL — it creates and deletes leads, bookings and messages)
+ */
+const DB_URL = process.env.TEST_DATABASE_URL;
+const skip = !DB_URL && "set TEST_DATABASE_URL to run";
+
+const backendDir = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+const port = 18000 + Math.floor(Math.random() * 1000);
+const phone = `+1780555${String(Date.now() % 10000).padStart(4, "0")}`;
+
+let prisma;
+let server;
+let output = "";
+let property;
+let lead;
+
+before(async () => {
+  if (skip) return;
+  const { PrismaClient } = await import("@prisma/client"); // generated client only needed when running
+  prisma = new PrismaClient({ datasourceUrl: DB_URL });
+
+  property = await prisma.property.create({
+    data: { slug: `sms-fake-test-${Date.now()}`, address: "1 Fixture Way", timezone: "America/Edmonton" },
+  });
+  lead = await prisma.lead.create({ data: { phone, name: "Fixture Renter" } });
+  await prisma.leadProperty.create({ data: { leadId: lead.id, propertyId: property.id } });
+
+  server = spawn(process.execPath, ["index.js"], {
+    cwd: backendDir,
+    env: {
+      ...process.env,
+      NODE_ENV: "development", // listens on PORT; unsigned webhooks are allowed
+      PORT: String(port),
+      DATABASE_URL: DB_URL,
+      LLM_PROVIDER: "fake",
+      TWILIO_ACCOUNT_SID: "ACtest",
+      TWILIO_AUTH_TOKEN: "test",
+      VERIFICATION_SECRET: "test",
+    },
+    stdio: ["ignore", "pipe", "pipe"],
+  });
+  server.stdout.on("data", (chunk) => (output += chunk));
+  server.stderr.on("data", (chunk) => (output += chunk));
+
+  const deadline = Date.now() + 30_000;
+  while (!output.includes("listening on port")) {
+    if (server.exitCode != null) throw new Error(`Server exited:\n${output}`);
+    if (Date.now() > deadline) throw new Error(`Server didn't start:\n${output}`);
+    await new Promise((r) => setTimeout(r, 200));
+  }
+});
+
+after(async () => {
+  if (skip) return;
+  server?.kill();
+  if (lead) {
+    await prisma.booking.deleteMany({ where: { leadId: lead.id } });
+    await prisma.message.deleteMany({ where: { leadId: lead.id } });
+    await prisma.conversationState.deleteMany({ where: { leadId: lead.id } });
+    await prisma.leadProperty.deleteMany({ where: { leadId: lead.id } });
+    await prisma.lead.delete({ where: { id: lead.id } }).catch(() => {});
+  }
+  if (property) await prisma.property.delete({ where: { id: property.id } }).catch(() => {});
+  await prisma?.$disconnect();
+});
+
+let sid = 0;
+// One inbound SMS → { toolCalls: [{ name, arguments }], reply } for that turn
+async function text(body) {
+  const from = output.length;
+  const res = await fetch(`http://localhost:${port}/twilio/sms`, {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams({ From: phone, Body: body, MessageSid: `SMfake${Date.now()}${++sid}` }),
+  });
+  assert.equal(res.status, 200);
+
+  const toolCalls = [...output.slice(from).matchAll(/🧰 (\w+)\((.*?)\) →/g)].map((m) => ({
+    name: m[1],
+    arguments: JSON.parse(m[2]),
+  }));
+  const reply = await prisma.message.findFirst({
+    where: { leadId: lead.id, role: "assistant" },
+    orderBy: { id: "desc" },
+  });
+  return { toolCalls, reply: reply?.content };
+}
+
+test("booking request holds a slot, then YES confirms that same hold", { skip }, async () => {
+  const ask = await text("Hi, can I book a showing?");
+  assert.deepEqual(
+    ask.toolCalls.map((c) => c.name),
+    ["find_slots", "create_booking"]
+  );
+  assert.equal(ask.toolCalls[1].arguments.confirmed, false);
+  assert.match(ask.reply, /reply YES to lock it in/);
+
+  const hold = await prisma.booking.findFirst({ where: { leadId: lead.id, status: "pending" } });
+  assert.ok(hold?.holdExpiresAt, "slot is held");
+
+  const yes = await text("yes");
+  assert.deepEqual(
+    yes.toolCalls.map((c) => c.name),
+    ["create_booking"]
+  );
+  const { start, confirmed } = yes.toolCalls[0].arguments;
+  assert.equal(confirmed, true);
+  assert.equal(DateTime.fromISO(start, { zone: property.timezone }).toMillis(), hold.datetime.getTime());
+  assert.match(yes.reply, /You’re booked for/);
+
+  const booked = await prisma.booking.findUnique({ where: { id: hold.id } });
+  assert.equal(booked.status, "confirmed");
+  assert.equal(booked.datetime.getTime(), hold.datetime.getTime());
+});
+
+test("bare CANCEL with a showing booked asks instead of opting out", { skip }, async () => {
+  const cancel = await text("CANCEL");
+  assert.deepEqual(cancel.toolCalls, []);
+  assert.match(cancel.reply, /cancel your showing .*, or stop all texts/);
+
+  const { smsConsent } = await prisma.lead.findUnique({ where: { id: lead.id } });
+  assert.equal(smsConsent, "subscribed");
+});
+
+test("cancel releases the showing", { skip }, async () => {
+  const cancel = await text("I can't make it, please cancel");
+  assert.deepEqual(
+    cancel.toolCalls.map((c) => c.name),
+    ["cancel_booking"]
+  );
+  assert.match(cancel.reply, /is cancelled/);
+});
@@ -0,0 +1,372 @@
+// ai-backend/utils/avaTools.js
+import { PrismaClient } from "@prisma/client";
+import { DateTime } from "luxon";
+import { bookSlot, checkSlot, describeOpenHours, getFreeSlots } from "./availabilityEngine.js";
+import { HOLD_MINUTES, createHold, confirmHold, releaseHold } from "./bookingHolds.js";
+import { findUpcomingBooking, cancelBooking } from "./bookingActions.js";
+import {
+  STATES,
+  getConversationState,
+  setConversationState,
+  markBooked,
+  markAwaitingConfirmation,
+} from "./conversationState.js";
+import { MODES, setLeadMode } from "./handoff.js";
+import { getOutlookEventId, queueOutlookCreate, queueOutlookDelete } from "./outlookEvents.js";
+import { publishBookingEvent } from "./eventBus.js";
+import { SHOWING_TIME_FMT, getPropertyTimezone } from "./timezone.js";
+import { clarifyingQuestion } from "./parseDateTime.js";
+
+const prisma = new PrismaClient();
+
+/**
+ * 🧰 Ava's tools — the model picks the action, these enforce the rules.
+ * Each tool validates its arguments, applies the same checks as the dashboard
+ * (open hours, holds, capacity) and returns a small JSON result the model reads
+ * before writing its reply. Tools never text the renter themselves — Ava's
+ * final reply is the one SMS per turn.
+ *
+ * ctx: { lead, property, tz, turnStartedAt, requested }
+ * - turnStartedAt = when the inbound text being answered arrived
+ * - requested     = parseDateTime() of that text on top of the renter's earlier
+ *                   partial answers (resolvePendingTime) — booking tools check
+ *                   Ava's `start` against it instead of trusting her reading
+ */
+
+const MAX_SLOTS = 8;
+
+export const AVA_TOOLS = [
+  {
+    type: "function",
+    function: {
+      name: "find_slots",
+      description:
+        "List open showing times for the current property. Use before suggesting any time. " +
+        "Optionally narrow to a window (e.g. one day, or 'after 5pm').",
+      parameters: {
+        type: "object",
+        properties: {
+          from: { type: "string", description: "Earliest start, local ISO date or datetime (e.g. 2025-11-06 or 2025-11-06T17:00)" },
+          to: { type: "string", description: "Latest start (exclusive), local ISO date or datetime" },
+          count: { type: "integer", minimum: 1, maximum: MAX_SLOTS, description: "How many times to return (default 4)" },
+        },
+        additionalProperties: false,
+      },
+    },
+  },
+  {
+    type: "function",
+    function: {
+      name: "create_booking",
+      description:
+        "Book a showing at the current property. The first call holds the time (status \"held\") and you must " +
+        "ask the renter to confirm it. Pass confirmed=true only when the renter has clearly agreed to the time " +
+        "you held in an earlier message — any other call just holds the time.",
+      parameters: {
+        type: "object",
+        properties: {
+          start: { type: "string", description: "Local ISO datetime, ideally a `start` returned by find_slots" },
+          confirmed: { type: "boolean", description: "True only if the renter explicitly said yes to the time already held" },
+        },
+        required: ["start", "confirmed"],
+        additionalProperties: false,
+      },
+    },
+  },
+  {
+    type: "function",
+    function: {
+      name: "reschedule_booking",
+      description: "Move the renter's upcoming confirmed showing to a new time.",
+      parameters: {
+        type: "object",
+        properties: {
+          start: { type: "string", description: "New local ISO datetime" },
+        },
+        required: ["start"],
+        additionalProperties: false,
+      },
+    },
+  },
+  {
+    type: "function",
+    function: {
+      name: "cancel_booking",
+      description: "Cancel the renter's upcoming showing (or the time currently held for them).",
+      parameters: { type: "object", properties: {}, additionalProperties: false },
+    },
+  },
+  {
+    type: "function",
+    function: {
+      name: "get_property_facts",
+      description:
+        "Verified facts about the current property (rent, deposit, pets, parking, utilities, lease…). " +
+        "Call before answering any question about the property — never guess.",
+      parameters: { type: "object", properties: {}, additionalProperties: false },
+    },
+  },
+  {
+    type: "function",
+    function: {
+      name: "handoff_to_human",
+      description:
+        "Hand the conversation to the leasing team: price negotiation, complaints, applications, " +
+        "anything you can't answer from the facts, or when the renter asks for a person.",
+      parameters: {
+        type: "object",
+        properties: {
+          reason: { type: "string", description: "Short reason staff will see" },
+        },
+        required: ["reason"],
+        additionalProperties: false,
+      },
+    },
+  },
+];
+
+const HANDLERS = {
+  find_slots: findSlots,
+  create_booking: createBooking,
+  reschedule_booking: rescheduleBooking,
+  cancel_booking: cancelShowing,
+  get_property_facts: getPropertyFacts,
+  handoff_to_human: handoffToHuman,
+};
+
+/**
+ * ▶️ Run one tool call from the model → plain object (always; errors become { ok: false, error })
+ */
+export async function runAvaTool(name, rawArgs, ctx) {
+  const handler = HANDLERS[name];
+  if (!handler) return { ok: false, error: "UNKNOWN_TOOL" };
+
+  let args;
+  try {
+    args = typeof rawArgs === "string" ? JSON.parse(rawArgs || "{}") : rawArgs || {};
+  } catch {
+    return { ok: false, error: "BAD_ARGUMENTS" };
+  }
+
+  try {
+    return await handler(args, ctx);
+  } catch (err) {
+    console.error(`❌ Tool ${name} failed:`, err);
+    return { ok: false, error: "SERVER_ERROR" };
+  }
+}
+
+// ---------- helpers ----------
+
+function parseLocal(value, tz) {
+  if (typeof value !== "string" || !value.trim()) return null;
+  const dt = DateTime.fromISO(value.trim(), { zone: tz });
+  return dt.isValid ? dt : null;
+}
+
+const slotView = (s) => ({ start: s.start, label: s.label });
+
+// Why a time was refused, plus what to offer instead
+async function refusal(propertyId, check, opts) {
+  const alternatives = await getFreeSlots(propertyId, { from: check.start, count: 3, ...opts });
+  return {
+    ok: false,
+    error: (check.reason || "invalid").toUpperCase(),
+    requested: check.start?.isValid ? check.start.toFormat(SHOWING_TIME_FMT) : null,
+    openHours: describeOpenHours(check.hours),
+    dayLabel: check.label || null,
+    alternatives: alternatives.map(slotView),
+  };
+}
+
+// Within this much of the time the renter named counts as "that time" ("around 4", "in two hours")
+const REQUEST_TOLERANCE_MINUTES = 30;
+
+/**
+ * 🗣️ Does `startDt` match what the renter wrote this turn? null = fine.
+ * - "8" / "next Thursday" (AM or PM? which week?) → ask, never pick one
+ * - strict (confirming or moving a booking): the time must be the one they named,
+ *   or inside the day / window they named. A plain hold is only a proposal, so
+ *   Ava may hold an alternative without it.
+ * Texts with no time in them ("yes", "2 bedrooms") have nothing to check.
+ */
+function checkAgainstRequest(startDt, requested, { strict }) {
+  if (!requested || requested.kind === "none") return null;
+
+  if (["meridiem", "which_week"].includes(requested.ambiguity)) {
+    return { ok: false, error: "AMBIGUOUS_TIME", question: clarifyingQuestion(requested) };
+  }
+  if (!strict) return null;
+
+  const fits =
+    requested.kind === "datetime"
+      ? Math.abs(startDt.diff(requested.start, "minutes").minutes) <= REQUEST_TOLERANCE_MINUTES
+      : startDt >= requested.start && startDt <= requested.end;
+  if (fits) return null;
+
+  return {
+    ok: false,
+    error: "NOT_REQUESTED_TIME",
+    renterAsked:
+      requested.kind === "datetime"
+        ? requested.start.toFormat(SHOWING_TIME_FMT)
+        : `${requested.start.toFormat(SHOWING_TIME_FMT)} – ${requested.end.toFormat(SHOWING_TIME_FMT)}`,
+    question: clarifyingQuestion(requested),
+  };
+}
+
+async function finalizeBooking(booking) {
+  await markBooked(booking.leadId, booking.propertyId, booking.id);
+  await queueOutlookCreate(booking);
+}
+
+// ---------- tools ----------
+
+async function findSlots({ from, to, count = 4 }, { lead, property, tz }) {
+  if (!property) return { ok: false, error: "NO_PROPERTY" };
+
+  const fromDt = from ? parseLocal(from, tz) : null;
+  const toDt = to ? parseLocal(to, tz) : null;
+  if ((from && !fromDt) || (to && !toDt)) return { ok: false, error: "INVALID_TIME" };
+
+  const slots = await getFreeSlots(property.id, {
+    from: fromDt || new Date(),
+    to: toDt,
+    count: Math.min(Math.max(parseInt(count, 10) || 4, 1), MAX_SLOTS),
+    leadId: lead.id,
+  });
+  return { ok: true, timezone: tz, slots: slots.map(slotView) };
+}
+
+async function createBooking({ start, confirmed }, { lead, property, tz, turnStartedAt = new Date(), requested }) {
+  if (!property) return { ok: false, error: "NO_PROPERTY" };
+  const startDt = parseLocal(start, tz);
+  if (!startDt) return { ok: false, error: "INVALID_TIME" };
+  const label = startDt.toFormat(SHOWING_TIME_FMT);
+
+  const mismatch = checkAgainstRequest(startDt, requested, { strict: !!confirmed });
+  if (mismatch) return mismatch;
+
+  // 🛑 Already booked at exactly this time
+  const existing = await prisma.booking.findFirst({
+    where: { leadId: lead.id, datetime: startDt.toJSDate(), status: "confirmed", deletedAt: null },
+  });
+  if (existing) return { ok: false, error: "ALREADY_BOOKED", label };
+
+  // ✅ Renter said yes to the time we held for them → confirm that hold.
+  // Only a hold offered before this text counts: confirmed=true never books a
+  // fresh time, whatever the model decides.
+  const convo = await getConversationState(lead.id, property.id);
+  if (convo.state === STATES.AWAITING_CONFIRMATION && convo.bookingId) {
+    const held = await prisma.booking.findUnique({ where: { id: convo.bookingId } });
+    const sameTime = held && held.datetime.getTime() === startDt.toMillis();
+    const offeredEarlier = held && held.createdAt < turnStartedAt;
+    if (sameTime && confirmed && offeredEarlier) {
+      const booking = await confirmHold(held.id);
+      if (booking) {
+        await finalizeBooking(booking);
+        return { ok: true, status: "confirmed", label };
+      }
+      // ⏳ Hold ran out — fall through and re-check the slot
+    } else if (sameTime) {
+      return { ok: true, status: "held", label, holdMinutes: HOLD_MINUTES };
+    } else {
+      await releaseHold(held?.id ?? convo.bookingId);
+    }
+  }
+
+  const check = await checkSlot(property.id, startDt, { leadId: lead.id });
+  if (!check.ok) return refusal(property.id, check, { leadId: lead.id });
+
+  // Someone else took it between the check and the hold
+  const hold = await createHold({ leadId: lead.id, propertyId: property.id, datetime: startDt.toJSDate() });
+  if (!hold) return refusal(property.id, { ...check, reason: "busy" }, { leadId: lead.id });
+
+  await markAwaitingConfirmation(lead.id, property.id, hold.id, startDt);
+  return { ok: true, status: "held", label, holdMinutes: HOLD_MINUTES };
+}
+
+async function rescheduleBooking({ start }, { lead, requested }) {
+  const booking = await prisma.booking.findFirst({
+    where: { leadId: lead.id, datetime: { gte: new Date() }, status: "confirmed", deletedAt: null },
+    orderBy: { datetime: "asc" },
+    include: { property: true },
+  });
+  if (!booking) return { ok: false, error: "NO_BOOKING" };
+
+  // The booking's own property decides the zone (may differ from the one this text matched)
+  const tz = await getPropertyTimezone(booking.property || booking.propertyId);
+  const startDt = parseLocal(start, tz);
+  if (!startDt) return { ok: false, error: "INVALID_TIME" };
+
+  // Moving is immediate (no confirm step), so it has to be the time they asked for
+  const mismatch = checkAgainstRequest(startDt, requested, { strict: true });
+  if (mismatch) return mismatch;
+
+  const opts = { excludeBookingId: booking.id, leadId: lead.id };
+  const result = await bookSlot(booking.propertyId, startDt, opts, (tx, { seat }) =>
+    tx.booking.update({
+      where: { id: booking.id },
+      data: {
+        datetime: startDt.toJSDate(),
+        seat,
+        outlookEventId: null,
+        notes: "Rescheduled via SMS",
+      },
+    })
+  );
+  if (!result.ok) return refusal(booking.propertyId, result, opts);
+  const moved = result.booking;
+
+  // 📅 Swap the calendar event (queued — the booking is already moved either way)
+  await queueOutlookDelete(getOutlookEventId(booking));
+  await queueOutlookCreate(moved);
+  publishBookingEvent("rescheduled", moved, { phone: lead.phone });
+  await markBooked(lead.id, booking.propertyId, booking.id);
+
+  console.log(`🔁 Booking ${booking.id} moved to ${startDt.toISO()}`);
+  return {
+    ok: true,
+    previous: DateTime.fromJSDate(booking.datetime).setZone(tz).toFormat(SHOWING_TIME_FMT),
+    label: startDt.toFormat(SHOWING_TIME_FMT),
+  };
+}
+
+async function cancelShowing(_args, { lead }) {
+  const upcoming = await findUpcomingBooking(lead.id);
+  if (!upcoming) return { ok: false, error: "NO_BOOKING" };
+
+  const tz = await getPropertyTimezone(upcoming.property || upcoming.propertyId);
+  const label = DateTime.fromJSDate(upcoming.datetime).setZone(tz).toFormat(SHOWING_TIME_FMT);
+
+  if (upcoming.status === "pending" && upcoming.holdExpiresAt) {
+    await releaseHold(upcoming.id);
+  } else {
+    await cancelBooking(upcoming, { reason: "Cancelled by renter via SMS" });
+  }
+
+  // 🔁 Leave the door open: a new time books straight from here
+  await setConversationState(lead.id, upcoming.propertyId, STATES.AWAITING_TIME, {
+    bookingId: null,
+    pendingDate: null,
+    pendingTime: null,
+    pendingOptions: null,
+  });
+  return { ok: true, cancelled: label };
+}
+
+async function getPropertyFacts(_args, { property, tz }) {
+  if (!property) return { ok: false, error: "NO_PROPERTY" };
+
+  const facts = Object.fromEntries(
+    Object.entries(property.facts || {}).filter(
+      ([key, val]) => val != null && val !== "" && !["id", "propertyId", "slug", "createdAt", "updatedAt"].includes(key)
+    )
+  );
+  return { ok: true, address: property.address, timezone: tz, facts };
+}
+
+async function handoffToHuman({ reason }, { lead }) {
+  await setLeadMode(lead.id, MODES.HUMAN, { reason: String(reason || "Ava handed off").slice(0, 200) });
+  return { ok: true, note: "Tell the renter someone from the leasing team will follow up shortly." };
+}
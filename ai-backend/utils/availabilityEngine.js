@@ -0,0 +1,333 @@
+// ai-backend/utils/availabilityEngine.js
+import { PrismaClient } from "@prisma/client";
+import { DateTime } from "luxon";
+import { getAvailabilityContext } from "./getAvailabilityContext.js";
+import { holidayOn } from "./holidays.js";
+import { SHOWING_TIME_FMT, atLocalTime, getPropertyTimezone } from "./timezone.js";
+import { getOutlookEventId } from "./outlookEvents.js";
+
+const prisma = new PrismaClient();
+
+/**
+ * 🗓️ One place that decides when a showing can happen.
+ *
+ * A slot is bookable when it:
+ * - is in the future
+ * - fits inside that day's open hours, wall-clock in the property's timezone:
+ *   a ScheduleOverride for the date (property first, then global) wins, then the
+ *   holiday calendar (GlobalSettings.holidayCalendar), then the weekly pattern
+ *   (GlobalSettings.mondayStart … sundayEnd; "00:00"–"00:00" = closed)
+ * - leaves the property's buffer clear around blocked Availability rows, Outlook
+ *   busy events and other live bookings (confirmed, or a pending hold that hasn't expired)
+ * - has a free seat: up to slotCapacity parties may share the exact same start
+ *
+ * Showing length / buffer / capacity come from the Property, falling back to GlobalSettings.
+ *
+ * Used by the SMS booking + reschedule flows, POST /api/bookings and the
+ * times Ava offers in free-form replies.
+ */
+
+export const DEFAULT_SHOWING_MINUTES = 30;
+const MIN_STEP_MINUTES = 15;
+const DEFAULT_HORIZON_DAYS = 14;
+
+const WEEKDAY_KEYS = ["monday", "tuesday", "wednesday", "thursday", "friday", "saturday", "sunday"];
+
+/**
+ * 🕘 Open hours for the day `dt` falls on → { start, end } DateTimes, or null if closed
+ */
+export function openHoursOn(settings, dt) {
+  const key = WEEKDAY_KEYS[dt.weekday - 1];
+  const startStr = settings?.[`${key}Start`] ?? settings?.openStart ?? "08:00";
+  const endStr = settings?.[`${key}End`] ?? settings?.openEnd ?? "17:00";
+
+  const start = atLocalTime(dt, startStr);
+  const end = atLocalTime(dt, endStr);
+  if (end <= start) return null; // "00:00"–"00:00" (or a typo) = closed all day
+  return { start, end };
+}
+
+/**
+ * 📆 The override that applies to a local day, if any —
+ * property beats global, an exact date beats a yearly one
+ */
+function overrideFor(schedule, day) {
+  const iso = day.toISODate();
+  const matches = (schedule.overrides || []).filter((o) =>
+    o.recurring ? o.date.slice(5) === iso.slice(5) : o.date === iso
+  );
+  const rank = (o) => (o.propertyId ? 0 : 2) + (o.recurring ? 1 : 0);
+  return matches.sort((a, b) => rank(a) - rank(b))[0] || null;
+}
+
+/**
+ * 🗓️ Final hours for one local day → { start, end, label } or { closed: true, label }
+ */
+export function resolveDayHours(schedule, day) {
+  const override = overrideFor(schedule, day);
+  if (override) {
+    const label = override.label || (override.closed ? "Closed" : "Special hours");
+    if (override.closed) return { closed: true, label };
+    const start = atLocalTime(day, override.start);
+    const end = atLocalTime(day, override.end);
+    return end > start ? { start, end, label } : { closed: true, label };
+  }
+
+  const holiday = holidayOn(schedule.settings?.holidayCalendar, day.toISODate());
+  if (holiday) return { closed: true, label: holiday };
+
+  return openHoursOn(schedule.settings, day) || { closed: true, label: null };
+}
+
+const positive = (n) => (Number.isInteger(n) && n > 0 ? n : null);
+
+/**
+ * ⏱️ Showing length, buffer and capacity for a property (property → global → built-in)
+ * Accepts a property object (with the rule fields loaded) or an id.
+ */
+export async function getShowingRules(propertyOrId, settings) {
+  let property = propertyOrId;
+  if (typeof propertyOrId === "number") {
+    property = await prisma.property.findUnique({
+      where: { id: propertyOrId },
+      select: { showingDuration: true, bufferMinutes: true, slotCapacity: true },
+    });
+  }
+  const global = settings === undefined ? await prisma.globalSettings.findFirst() : settings;
+
+  const buffer = property?.bufferMinutes ?? global?.bufferMinutes ?? 0;
+  return {
+    duration: positive(property?.showingDuration) || positive(global?.showingDuration) || DEFAULT_SHOWING_MINUTES,
+    buffer: Number.isInteger(buffer) && buffer > 0 ? buffer : 0,
+    capacity: positive(property?.slotCapacity) || positive(global?.slotCapacity) || 1,
+  };
+}
+
+/**
+ * 📦 Everything a slot check needs for one property, loaded once
+ * - excludeBookingId: the booking being moved doesn't block its own new time
+ * - leadId: a renter's own pending hold never blocks them (createHold replaces it)
+ */
+export async function loadSchedule(propertyId, { excludeBookingId, leadId } = {}) {
+  const [tz, settings, overrides, context, bookings] = await Promise.all([
+    getPropertyTimezone(propertyId ?? null),
+    prisma.globalSettings.findFirst(),
+    prisma.scheduleOverride.findMany({
+      where: { OR: [{ propertyId: null }, ...(propertyId ? [{ propertyId }] : [])] },
+    }),
+    getAvailabilityContext(propertyId ?? null),
+    propertyId
+      ? prisma.booking.findMany({
+          where: {
+            propertyId,
+            deletedAt: null,
+            datetime: { gte: new Date(Date.now() - 24 * 60 * 60 * 1000) },
+            OR: [
+              { status: "confirmed" },
+              { status: "pending", OR: [{ holdExpiresAt: null }, { holdExpiresAt: { gt: new Date() } }] },
+            ],
+          },
+          select: { id: true, leadId: true, status: true, datetime: true, duration: true, outlookEventId: true, notes: true },
+        })
+      : [],
+  ]);
+
+  const rules = await getShowingRules(propertyId ?? null, settings);
+
+  // Our own bookings' Outlook events count once — as bookings (seat sharing, and
+  // excludeBookingId for a reschedule), not as busy blocks
+  const bookingEvents = new Set(bookings.map(getOutlookEventId).filter(Boolean));
+
+  const blocks = (context.blockedSlots || [])
+    .filter((b) => !(b.eventId && bookingEvents.has(b.eventId)))
+    .map((b) => ({
+      start: DateTime.fromISO(b.start).toMillis(),
+      end: DateTime.fromISO(b.end).toMillis(),
+    }))
+    .filter((b) => Number.isFinite(b.start) && Number.isFinite(b.end));
+
+  const taken = bookings
+    .filter((b) => b.id !== excludeBookingId)
+    .filter((b) => !(leadId && b.leadId === leadId && b.status === "pending"))
+    .map((b) => ({
+      id: b.id,
+      leadId: b.leadId,
+      status: b.status,
+      start: b.datetime.getTime(),
+      end: b.datetime.getTime() + (b.duration || rules.duration) * 60 * 1000,
+    }));
+
+  return { propertyId, tz, settings, overrides, ...rules, blocks, bookings: taken };
+}
+
+/**
+ * 🚧 What stops [start, end) from being booked? → [] when free.
+ * Blocks and other showings need the buffer kept clear; parties starting at
+ * the exact same time share a group slot up to capacity.
+ */
+function findConflicts(schedule, start, end) {
+  const s = start.toMillis();
+  const e = end.toMillis();
+  const gap = schedule.buffer * 60 * 1000;
+  const clashes = (b) => s < b.end + gap && e + gap > b.start;
+
+  const sameStart = schedule.bookings.filter((b) => b.start === s);
+  return [
+    ...schedule.blocks.filter(clashes).map((b) => ({ type: "block", ...b })),
+    ...(sameStart.length >= schedule.capacity ? sameStart : []).map((b) => ({ type: "booking", ...b })),
+    ...schedule.bookings.filter((b) => b.start !== s && clashes(b)).map((b) => ({ type: "booking", ...b })),
+  ];
+}
+
+function toZoned(start, tz) {
+  return DateTime.isDateTime(start) ? start.setZone(tz) : DateTime.fromJSDate(new Date(start)).setZone(tz);
+}
+
+/**
+ * ✅ Can a showing start at `start`? → { ok, reason, start, hours, label, duration, conflicts, tz }
+ * reason: "past" | "closed" | "outside_hours" | "busy" | null
+ * label: why the day is closed / special ("Canada Day", "Open house")
+ * conflicts: when busy, the blocks / bookings in the way ({ type, start, end, id? } in ms)
+ */
+export function checkSlotInSchedule(schedule, start) {
+  const dt = toZoned(start, schedule.tz);
+  if (!dt.isValid) return { start: dt, hours: null, conflicts: [], tz: schedule.tz, ok: false, reason: "invalid" };
+
+  const end = dt.plus({ minutes: schedule.duration });
+  const day = resolveDayHours(schedule, dt);
+  const hours = day.closed ? null : day;
+  const base = { start: dt, hours, label: day.label || null, duration: schedule.duration, conflicts: [], tz: schedule.tz };
+
+  if (dt <= DateTime.now()) return { ...base, ok: false, reason: "past" };
+  if (!hours) return { ...base, ok: false, reason: "closed" };
+  if (dt < hours.start || end > hours.end) return { ...base, ok: false, reason: "outside_hours" };
+  const conflicts = findConflicts(schedule, dt, end);
+  if (conflicts.length) return { ...base, conflicts, ok: false, reason: "busy" };
+  return { ...base, ok: true, reason: null };
+}
+
+export async function checkSlot(propertyId, start, opts = {}) {
+  return checkSlotInSchedule(await loadSchedule(propertyId, opts), start);
+}
+
+/**
+ * 🔍 Free slots on or after `from` (and before `to`, if given), stepping through
+ * each open day from opening time in showing + buffer steps.
+ * Returns DateTimes in the property's zone.
+ */
+export function findSlotsInSchedule(
+  schedule,
+  { from = new Date(), to = null, count = 2, horizonDays = DEFAULT_HORIZON_DAYS } = {}
+) {
+  const now = DateTime.now();
+  let cursor = toZoned(from, schedule.tz);
+  if (cursor < now) cursor = now.setZone(schedule.tz);
+
+  const step = Math.max(MIN_STEP_MINUTES, schedule.duration + schedule.buffer);
+  const results = [];
+  const until = to ? toZoned(to, schedule.tz) : null;
+  const lastDay = until ? until.startOf("day") : cursor.startOf("day").plus({ days: horizonDays });
+
+  for (let day = cursor.startOf("day"); day <= lastDay && results.length < count; day = day.plus({ days: 1 })) {
+    const hours = resolveDayHours(schedule, day);
+    if (hours.closed) continue;
+
+    for (
+      let slot = hours.start;
+      slot.plus({ minutes: schedule.duration }) <= hours.end && results.length < count;
+      slot = slot.plus({ minutes: step })
+    ) {
+      if (slot < cursor) continue;
+      if (until && slot >= until) break;
+      if (checkSlotInSchedule(schedule, slot).ok) results.push(slot);
+    }
+  }
+
+  return results;
+}
+
+/**
+ * 🧾 Slot DateTime → the shape GET /api/availability/slots returns
+ */
+export function describeSlot(schedule, slot) {
+  const taken = schedule.bookings.filter((b) => b.start === slot.toMillis()).length;
+  return {
+    start: slot.toISO(),
+    end: slot.plus({ minutes: schedule.duration }).toISO(),
+    label: slot.toFormat(SHOWING_TIME_FMT),
+    timezone: schedule.tz,
+    duration: schedule.duration,
+    seatsLeft: Math.max(0, schedule.capacity - taken),
+  };
+}
+
+/**
+ * 📋 Structured free slots for a property — backs GET /api/availability/slots,
+ * the times Ava offers and the SMS flow's alternatives.
+ * opts: { from, to, count, excludeBookingId, leadId }
+ */
+export async function getFreeSlots(propertyId, opts = {}) {
+  const { excludeBookingId, leadId, ...search } = opts;
+  const schedule = await loadSchedule(propertyId, { excludeBookingId, leadId });
+  return findSlotsInSchedule(schedule, search).map((slot) => describeSlot(schedule, slot));
+}
+
+/**
+ * 💺 Lowest seat number not used at an exact (property, start) — the unique
+ * (propertyId, datetime, seat) key counts cancelled rows too, so seats are never
+ * reused. Capacity is checked by counting live bookings, in bookSlot().
+ */
+async function nextSeat(client, propertyId, datetime, { excludeBookingId } = {}) {
+  const rows = await client.booking.findMany({
+    where: { propertyId, datetime: new Date(datetime), ...(excludeBookingId ? { id: { not: excludeBookingId } } : {}) },
+    select: { seat: true },
+  });
+  const used = new Set(rows.map((r) => r.seat));
+  let seat = 0;
+  while (used.has(seat)) seat += 1;
+  return seat;
+}
+
+const BOOKING_LOCK_TIMEOUT_MS = 15 * 1000;
+
+/**
+ * 🔒 Check a slot and write its booking as one step. Writers for a property take
+ * turns (Postgres advisory lock, held until the transaction ends), so the check
+ * below always sees the other party's booking: two renters racing for the last
+ * seat → the second gets "busy", never a double booking. Locking the whole
+ * property (not one start time) also covers overlaps through duration + buffer.
+ *
+ * opts: same as loadSchedule ({ excludeBookingId, leadId })
+ * write(tx, { seat, schedule }) creates / updates the booking through tx and returns it
+ * → the checkSlot result + { schedule, booking } (booking only when ok)
+ */
+export async function bookSlot(propertyId, start, opts, write) {
+  try {
+    return await prisma.$transaction(
+      async (tx) => {
+        await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext(${`booking:${propertyId}`}))`;
+
+        const schedule = await loadSchedule(propertyId, opts);
+        const check = checkSlotInSchedule(schedule, start);
+        if (!check.ok) return { ...check, schedule };
+
+        const seat = await nextSeat(tx, propertyId, check.start.toJSDate(), opts);
+        const booking = await write(tx, { seat, schedule });
+        return { ...check, schedule, booking };
+      },
+      { maxWait: BOOKING_LOCK_TIMEOUT_MS, timeout: BOOKING_LOCK_TIMEOUT_MS }
+    );
+  } catch (err) {
+    // A write outside bookSlot (Outlook import) took the seat number first
+    if (err.code !== "P2002") throw err;
+    const schedule = await loadSchedule(propertyId, opts);
+    return { ...checkSlotInSchedule(schedule, start), ok: false, reason: "busy", schedule };
+  }
+}
+
+/**
+ * 🕘 "9:00 AM–5:00 PM" for checkSlot().hours, or null when closed
+ */
+export function describeOpenHours(hours) {
+  return hours ? `${hours.start.toFormat("h:mm a")}–${hours.end.toFormat("h:mm a")}` : null;
+}
@@ -0,0 +1,57 @@
+// ai-backend/utils/bookingActions.js
+import { PrismaClient } from "@prisma/client";
+import { getOutlookEventId, queueOutlookDelete } from "./outlookEvents.js";
+import { publishAvailabilityEvent, publishBookingEvent } from "./eventBus.js";
+
+const prisma = new PrismaClient();
+
+/**
+ * 🔍 The renter's next showing that could still be cancelled or moved
+ */
+export async function findUpcomingBooking(leadId) {
+  return prisma.booking.findFirst({
+    where: {
+      leadId,
+      datetime: { gte: new Date() },
+      status: { in: ["confirmed", "pending"] },
+    },
+    orderBy: { datetime: "asc" },
+    include: { lead: true, property: { include: { facts: true } } },
+  });
+}
+
+/**
+ * ❌ Cancel a booking everywhere:
+ * - Booking → status "cancelled" (row kept for history)
+ * - Outlook event removal queued (retried until Graph accepts it)
+ * - Availability block for that slot removed so the time is offered again
+ */
+export async function cancelBooking(booking, { reason = "Cancelled" } = {}) {
+  const eventId = getOutlookEventId(booking);
+
+  const cancelled = await prisma.booking.update({
+    where: { id: booking.id },
+    data: {
+      status: "cancelled",
+      holdExpiresAt: null,
+      notes: [booking.notes, reason].filter(Boolean).join(" — "),
+    },
+  });
+
+  if (booking.propertyId) {
+    const { count } = await prisma.availability.deleteMany({
+      where: {
+        propertyId: booking.propertyId,
+        startTime: booking.datetime,
+        isBlocked: true,
+      },
+    });
+    if (count) publishAvailabilityEvent("deleted", { propertyId: booking.propertyId, startTime: booking.datetime });
+  }
+
+  await queueOutlookDelete(eventId);
+  publishBookingEvent("cancelled", cancelled, { phone: booking.lead?.phone });
+
+  console.log(`❌ Booking ${booking.id} cancelled (${reason})${eventId ? " — Outlook delete queued" : ""}`);
+  return { booking: cancelled };
+}
@@ -0,0 +1,117 @@
+// ai-backend/utils/bookingHolds.js
+import { PrismaClient } from "@prisma/client";
+import { publishBookingEvent } from "./eventBus.js";
+import { bookSlot } from "./availabilityEngine.js";
+
+const prisma = new PrismaClient();
+
+// How long a proposed slot stays reserved while we wait for "yes"
+export const HOLD_MINUTES = parseInt(process.env.BOOKING_HOLD_MINUTES || "15", 10);
+
+const AFFIRMATIVE =
+  /^\s*(?:y|ya|yes|yess+|yeah|yea|yep|yup|sure|ok|okay|k|kk|confirm(?:ed)?|perfect|great|awesome|sounds good|sounds great|that works|that'?s fine|works for me|book it|let'?s do (?:it|that)|see you then|absolutely|definitely|👍)\b/i;
+const NEGATIVE =
+  /\b(?:no|nope|nah|not really|not sure|doesn'?t work|does not work|won'?t work|can'?t|cannot|never ?mind|cancel)\b/i;
+
+/**
+ * Did the renter say yes to the slot we proposed?
+ */
+export function isAffirmative(text) {
+  const t = String(text || "").trim();
+  if (!t || NEGATIVE.test(t)) return false;
+  return AFFIRMATIVE.test(t) || /^👍+$/.test(t);
+}
+
+/**
+ * 🕒 Reserve a slot as a "pending" booking until the renter confirms.
+ * Any older hold from the same lead is released first (one open hold per renter).
+ * The slot is re-checked under the booking lock → null when someone took it meanwhile.
+ */
+export async function createHold({ leadId, propertyId, datetime, source = "sms" }) {
+  await releaseExpiredHolds();
+  await releaseHoldsForLead(leadId);
+
+  const result = await bookSlot(propertyId, datetime, { leadId }, (tx, { seat, schedule }) =>
+    tx.booking.create({
+      data: {
+        leadId,
+        propertyId,
+        datetime,
+        duration: schedule.duration,
+        seat,
+        status: "pending",
+        source,
+        holdExpiresAt: new Date(Date.now() + HOLD_MINUTES * 60 * 1000),
+      },
+      include: { lead: true },
+    })
+  );
+  if (!result.ok) return null;
+
+  publishBookingEvent("held", result.booking);
+  return result.booking;
+}
+
+/**
+ * ✅ Turn a live hold into a confirmed booking. Returns null if the hold is gone.
+ */
+export async function confirmHold(bookingId) {
+  const hold = await prisma.booking.findUnique({ where: { id: bookingId } });
+  if (!hold || hold.status !== "pending") return null;
+  if (hold.holdExpiresAt && hold.holdExpiresAt <= new Date()) {
+    await releaseHold(bookingId);
+    return null;
+  }
+
+  const confirmed = await prisma.booking.update({
+    where: { id: bookingId },
+    data: { status: "confirmed", holdExpiresAt: null },
+    include: { property: { include: { facts: true } }, lead: true },
+  });
+  publishBookingEvent("confirmed", confirmed);
+  return confirmed;
+}
+
+/**
+ * 🗑️ Drop a hold so the slot is free again (holds were never real bookings)
+ */
+export async function releaseHold(bookingId) {
+  const { count } = await prisma.booking.deleteMany({
+    where: { id: bookingId, status: "pending", holdExpiresAt: { not: null } },
+  });
+  if (count) {
+    console.log(`🔓 Released hold ${bookingId}`);
+    publishBookingEvent("released", { id: bookingId });
+  }
+  return count > 0;
+}
+
+export async function releaseHoldsForLead(leadId) {
+  const { count } = await prisma.booking.deleteMany({
+    where: { leadId, status: "pending", holdExpiresAt: { not: null } },
+  });
+  if (count) {
+    console.log(`🔓 Released ${count} earlier hold(s) for lead ${leadId}`);
+    publishBookingEvent("released", { leadId });
+  }
+  return count;
+}
+
+/**
+ * 🧹 Release every hold whose time ran out (runs on an interval from index.js)
+ */
+export async function releaseExpiredHolds() {
+  try {
+    const { count } = await prisma.booking.deleteMany({
+      where: { status: "pending", holdExpiresAt: { lt: new Date() } },
+    });
+    if (count) {
+      console.log(`🔓 Released ${count} expired booking hold(s)`);
+      publishBookingEvent("released", null);
+    }
+    return count;
+  } catch (err) {
+    console.error("❌ releaseExpiredHolds failed:", err);
+    return 0;
+  }
+}
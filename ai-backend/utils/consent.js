@@ -0,0 +1,90 @@
+// ai-backend/utils/consent.js
+import { PrismaClient } from "@prisma/client";
+
+const prisma = new PrismaClient();
+
+/**
+ * 📵 SMS consent (carrier / CTIA keywords). Keywords only count when they are
+ * the whole message — "can we cancel?" is a booking question, "CANCEL" is an opt-out.
+ * Except for a renter with a showing booked: a bare "CANCEL" may mean the showing,
+ * so detectConsentKeyword() returns "cancel" and the webhook asks which one.
+ */
+const OPT_OUT = ["stop", "stopall", "unsubscribe", "end", "quit", "optout", "revoke"];
+const CANCEL = "cancel";
+const OPT_IN = ["start", "unstop", "subscribe"];
+const HELP = ["help", "info"];
+
+export const CONSENT = { SUBSCRIBED: "subscribed", OPTED_OUT: "opted_out" };
+
+const BRAND = process.env.SMS_BRAND_NAME || "Ava Rental Assistant";
+
+export const KEYWORD_REPLIES = {
+  opt_out: `You have been unsubscribed from ${BRAND} and will not receive any more messages. Reply START to resubscribe.`,
+  opt_in: `You have been resubscribed to ${BRAND}. Reply HELP for help or STOP to unsubscribe. Msg & data rates may apply.`,
+  help: `${BRAND}: we text about rental listings and showings.${
+    process.env.SMS_HELP_CONTACT ? ` For help contact ${process.env.SMS_HELP_CONTACT}.` : ""
+  } Reply STOP to unsubscribe. Msg & data rates may apply.`,
+};
+
+// "CANCEL" from a renter with a showing on `when`
+export const cancelOrStopQuestion = (when) =>
+  `Do you want to cancel your showing on ${when}, or stop all texts from us? Reply "cancel my showing" or STOP.`;
+
+/**
+ * 🔑 Which compliance keyword (if any) is this message?
+ * "yes" only counts as an opt-in for someone who is currently opted out.
+ * "cancel" = an opt-out, unless the renter has a showing (the caller checks).
+ * @returns {"opt_out"|"opt_in"|"help"|"cancel"|null}
+ */
+export function detectConsentKeyword(text, lead) {
+  const word = String(text || "")
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z]/g, "");
+  if (!word) return null;
+  if (OPT_OUT.includes(word)) return "opt_out";
+  if (word === CANCEL) return isOptedOut(lead) ? "opt_out" : "cancel";
+  if (OPT_IN.includes(word)) return "opt_in";
+  if (word === "yes" && isOptedOut(lead)) return "opt_in";
+  if (HELP.includes(word)) return "help";
+  return null;
+}
+
+export function isOptedOut(lead) {
+  return lead?.smsConsent === CONSENT.OPTED_OUT;
+}
+
+/**
+ * 💾 Apply an opt-out / opt-in / help keyword and record it in the lead's history
+ */
+export async function recordConsentEvent(leadId, action, { keyword, source = "sms" } = {}) {
+  const data =
+    action === "opt_out"
+      ? { smsConsent: CONSENT.OPTED_OUT, optedOutAt: new Date() }
+      : action === "opt_in"
+      ? { smsConsent: CONSENT.SUBSCRIBED, optedOutAt: null }
+      : null;
+
+  const [lead] = await prisma.$transaction([
+    data
+      ? prisma.lead.update({ where: { id: leadId }, data })
+      : prisma.lead.findUnique({ where: { id: leadId } }),
+    prisma.consentEvent.create({
+      data: { leadId, action, keyword: keyword || null, source },
+    }),
+  ]);
+
+  console.log(`📵 Lead ${leadId} consent: ${action} (${keyword || source})`);
+  return lead;
+}
+
+/**
+ * 🔍 Is this phone number allowed to receive texts?
+ */
+export async function canTextPhone(phone) {
+  const lead = await prisma.lead.findUnique({
+    where: { phone },
+    select: { smsConsent: true },
+  });
+  return !isOptedOut(lead);
+}
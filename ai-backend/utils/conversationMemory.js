@@ -0,0 +1,159 @@
+// ai-backend/utils/conversationMemory.js
+import { PrismaClient } from "@prisma/client";
+import { enqueueJob, registerJobHandler } from "./jobQueue.js";
+import { FAILED_STATUSES } from "./messageStatus.js";
+import { completeText } from "./llm.js";
+
+const prisma = new PrismaClient();
+
+/**
+ * 🧠 What Ava remembers about a thread:
+ * - recent Message rows, newest first, until HISTORY_TOKEN_BUDGET is spent
+ * - everything older folded into Lead.historySummary (a rolling summary,
+ *   extended in the background once the unsummarized tail outgrows the budget;
+ *   it then keeps about half the budget verbatim so the window never has gaps)
+ *
+ * Lead.historySummaryMessageId = last message already folded into the summary.
+ */
+export const HISTORY_TOKEN_BUDGET = parseInt(process.env.AVA_HISTORY_TOKENS || "1500", 10);
+const HISTORY_MAX_MESSAGES = 40;
+
+const SUMMARY_MAX_CHARS = 1200;
+const SUMMARY_BATCH = 200; // most messages folded in per job (first run on an old thread)
+
+// Texts that never reached the renter aren't part of the conversation
+export const DELIVERED = { OR: [{ deliveryStatus: null }, { deliveryStatus: { notIn: FAILED_STATUSES } }] };
+
+// Rough OpenAI token count (~4 chars per token) — close enough for budgeting
+const estimateTokens = (text) => Math.ceil(String(text || "").length / 4) + 4;
+
+function toChatMessage(m) {
+  if (m.role === "user") return { role: "user", content: m.content };
+  // Staff replies read as Ava's side of the thread, but she should know someone else wrote them
+  if (m.role === "agent") return { role: "assistant", content: `(Leasing team) ${m.content}` };
+  return { role: "assistant", content: m.content };
+}
+
+/**
+ * 📜 Summary + token-budgeted recent history for a lead, oldest first.
+ * beforeId: skip this message and anything newer (the inbound text being answered).
+ * → { summary, history: [{ role, content }] }
+ */
+export async function loadConversationMemory(leadId, { beforeId } = {}) {
+  const lead = await prisma.lead.findUnique({
+    where: { id: leadId },
+    select: { historySummary: true, historySummaryMessageId: true },
+  });
+
+  const rows = await prisma.message.findMany({
+    where: {
+      leadId,
+      id: {
+        gt: lead?.historySummaryMessageId ?? 0,
+        ...(beforeId ? { lt: beforeId } : {}),
+      },
+      ...DELIVERED,
+    },
+    orderBy: { id: "desc" },
+    take: HISTORY_MAX_MESSAGES,
+    select: { role: true, content: true },
+  });
+
+  const history = [];
+  let budget = HISTORY_TOKEN_BUDGET;
+  for (const m of rows) {
+    const cost = estimateTokens(m.content);
+    if (cost > budget) break;
+    budget -= cost;
+    history.unshift(toChatMessage(m));
+  }
+
+  return { summary: lead?.historySummary || "", history };
+}
+
+/**
+ * 🗜️ Queue a summary refresh once the unsummarized messages no longer fit the
+ * history window (call after each turn). Keyed on the cutoff message, so
+ * repeated calls queue it once.
+ */
+export async function queueHistorySummary(leadId) {
+  const lead = await prisma.lead.findUnique({
+    where: { id: leadId },
+    select: { historySummaryMessageId: true },
+  });
+  const rows = await prisma.message.findMany({
+    where: { leadId, id: { gt: lead?.historySummaryMessageId ?? 0 }, ...DELIVERED },
+    orderBy: { id: "desc" },
+    select: { id: true, content: true },
+  });
+
+  let tokens = 0;
+  let keep = 0; // newest messages that stay verbatim (about half the budget)
+  for (const m of rows) {
+    tokens += estimateTokens(m.content);
+    if (tokens <= HISTORY_TOKEN_BUDGET / 2 && keep < HISTORY_MAX_MESSAGES / 2) keep += 1;
+  }
+  if (tokens <= HISTORY_TOKEN_BUDGET && rows.length <= HISTORY_MAX_MESSAGES) return null;
+
+  const throughId = rows[keep].id;
+  return enqueueJob(
+    "lead.summarize_history",
+    { leadId, throughId },
+    { idempotencyKey: `lead.summary:${leadId}:${throughId}` }
+  );
+}
+
+registerJobHandler("lead.summarize_history", async ({ leadId, throughId }) => {
+  const lead = await prisma.lead.findUnique({
+    where: { id: leadId },
+    select: { historySummary: true, historySummaryMessageId: true },
+  });
+  if (!lead) return;
+
+  const since = lead.historySummaryMessageId ?? 0;
+  if (throughId <= since) return; // a later job already covered this
+
+  const rows = await prisma.message.findMany({
+    where: { leadId, id: { gt: since, lte: throughId }, ...DELIVERED },
+    orderBy: { id: "asc" },
+    take: SUMMARY_BATCH,
+    select: { id: true, role: true, content: true, createdAt: true },
+  });
+  if (!rows.length) {
+    await prisma.lead.update({ where: { id: leadId }, data: { historySummaryMessageId: throughId } });
+    return;
+  }
+
+  const transcript = rows
+    .map((m) => `[${m.createdAt.toISOString().slice(0, 16)}] ${m.role === "user" ? "Renter" : m.role === "agent" ? "Leasing team" : "Ava"}: ${m.content}`)
+    .join("\n");
+
+  const summary = await completeText({
+    purpose: "history_summary",
+    temperature: 0,
+    messages: [
+      {
+        role: "system",
+        content:
+          "You maintain a running summary of an SMS conversation between a renter and a leasing assistant (Ava). " +
+          "Merge the earlier summary with the new messages. Keep facts the assistant must not re-ask " +
+          "(name, property, move-in date, budget, pets, questions already answered, showings booked/cancelled) " +
+          `and drop small talk. Plain text, under ${SUMMARY_MAX_CHARS} characters.`,
+      },
+      {
+        role: "user",
+        content: `EARLIER SUMMARY:\n${lead.historySummary || "(none)"}\n\nNEW MESSAGES:\n${transcript}`,
+      },
+    ],
+  });
+
+  const lastId = rows[rows.length - 1].id;
+  if (!summary) throw new Error("Empty summary from model"); // retried by the queue
+
+  // Only move forward — never overwrite a newer summary from a racing job
+  await prisma.lead.updateMany({
+    where: { id: leadId, historySummaryMessageId: lead.historySummaryMessageId },
+    data: { historySummary: summary.slice(0, SUMMARY_MAX_CHARS * 2), historySummaryMessageId: lastId },
+  });
+  console.log(`🗜️ Summarized ${rows.length} message(s) for lead ${leadId} (through #${lastId})`);
+});
@@ -0,0 +1,198 @@
+// ai-backend/utils/conversationState.js
+import { PrismaClient } from "@prisma/client";
+import { DateTime } from "luxon";
+import { parseDateTime } from "./parseDateTime.js";
+import { releaseHold } from "./bookingHolds.js";
+
+const prisma = new PrismaClient();
+
+/**
+ * Booking conversation states (one row per Lead + Property)
+ * - idle           → nothing in progress
+ * - awaiting_time  → renter wants a showing, we're still collecting day/time
+ * - awaiting_confirmation → we proposed a slot (pending hold = bookingId), waiting on "yes"
+ * - booked         → a showing exists for this pair (bookingId)
+ * - rescheduling   → renter asked to move their showing, waiting on the new time
+ */
+export const STATES = {
+  IDLE: "idle",
+  AWAITING_TIME: "awaiting_time",
+  AWAITING_CONFIRMATION: "awaiting_confirmation",
+  BOOKED: "booked",
+  RESCHEDULING: "rescheduling",
+};
+
+// Half-finished flows older than this are forgotten (renter moved on)
+const STALE_AFTER_HOURS = 48;
+
+const EMPTY_PENDING = {
+  pendingDate: null,
+  pendingTime: null,
+  pendingOptions: null,
+};
+
+/**
+ * 🔍 Load the state for a lead/property pair (defaults to idle, never throws)
+ */
+export async function getConversationState(leadId, propertyId) {
+  if (!leadId || !propertyId) return { state: STATES.IDLE, ...EMPTY_PENDING };
+
+  try {
+    const row = await prisma.conversationState.findUnique({
+      where: { leadId_propertyId: { leadId, propertyId } },
+    });
+    if (!row) return { leadId, propertyId, state: STATES.IDLE, ...EMPTY_PENDING };
+
+    const inFlight = [
+      STATES.AWAITING_TIME,
+      STATES.AWAITING_CONFIRMATION,
+      STATES.RESCHEDULING,
+    ].includes(row.state);
+    const ageHours = (Date.now() - new Date(row.updatedAt).getTime()) / 36e5;
+    if (inFlight && ageHours > STALE_AFTER_HOURS) {
+      console.log(`🧹 Stale ${row.state} state for lead ${leadId} — resetting`);
+      return { ...row, state: row.bookingId ? STATES.BOOKED : STATES.IDLE, ...EMPTY_PENDING };
+    }
+
+    return row;
+  } catch (err) {
+    console.error("❌ getConversationState failed:", err);
+    return { leadId, propertyId, state: STATES.IDLE, ...EMPTY_PENDING };
+  }
+}
+
+/**
+ * 💾 Move a lead/property pair to a new state (patch = any extra columns)
+ */
+export async function setConversationState(leadId, propertyId, state, patch = {}) {
+  if (!leadId || !propertyId) return null;
+
+  const data = { state, ...patch };
+  const row = await prisma.conversationState.upsert({
+    where: { leadId_propertyId: { leadId, propertyId } },
+    update: data,
+    create: { leadId, propertyId, ...data },
+  });
+  console.log(`🔀 Conversation ${leadId}/${propertyId} → ${state}`);
+  return row;
+}
+
+/**
+ * 🧩 Save whatever part of a date/time we have so the next SMS can complete it.
+ * Asking for a new time while a proposed slot is held drops that hold — "yes"
+ * would have nothing to confirm and it would only block the slot until it expired.
+ */
+export async function savePartialTime(leadId, propertyId, state, convo, parsed) {
+  const keepTime = parsed.hasTime && parsed.ambiguity !== "meridiem";
+  const leavingHold =
+    convo?.state === STATES.AWAITING_CONFIRMATION && convo.bookingId && state !== STATES.AWAITING_CONFIRMATION;
+  if (leavingHold) await releaseHold(convo.bookingId);
+
+  return setConversationState(leadId, propertyId, state, {
+    ...(leavingHold ? { bookingId: null } : {}),
+    pendingDate:
+      parsed.hasDate && parsed.kind !== "range"
+        ? parsed.start.toISODate()
+        : convo?.pendingDate ?? null,
+    pendingTime: keepTime ? parsed.start.toFormat("HH:mm") : convo?.pendingTime ?? null,
+    pendingOptions: parsed.options?.length ? parsed.options.map((o) => o.toISO()) : null,
+  });
+}
+
+/**
+ * 🙋 Slot proposed and held — remember which hold and when, so "yes" can confirm it
+ */
+export async function markAwaitingConfirmation(leadId, propertyId, bookingId, start) {
+  return setConversationState(leadId, propertyId, STATES.AWAITING_CONFIRMATION, {
+    bookingId,
+    pendingDate: start.toISODate(),
+    pendingTime: start.toFormat("HH:mm"),
+    pendingOptions: null,
+  });
+}
+
+/**
+ * ✅ Booking done — remember it and clear the partial answers
+ */
+export async function markBooked(leadId, propertyId, bookingId) {
+  return setConversationState(leadId, propertyId, STATES.BOOKED, {
+    bookingId,
+    ...EMPTY_PENDING,
+  });
+}
+
+/**
+ * 🧠 Parse the incoming text on top of what the renter already told us.
+ *
+ * "Thursday" then "3pm" → Thursday 3pm; "3pm" then "Thursday" → same.
+ * If we asked "8 AM or 8 PM?" a reply of "pm" / "evening" / "the second" picks one.
+ *
+ * @returns same shape as parseDateTime()
+ */
+export function resolvePendingTime(convo, text, { tz, baseDate } = {}) {
+  const hasPending = convo && (convo.pendingDate || convo.pendingTime || convo.pendingOptions);
+  const pendingDay = convo?.pendingDate
+    ? DateTime.fromISO(convo.pendingDate, { zone: tz })
+    : null;
+
+  const parsed = parseDateTime(text, { tz, baseDate: pendingDay || baseDate });
+  if (!hasPending) return parsed;
+
+  // 1️⃣ Answering a "which one did you mean?" question
+  const options = (convo.pendingOptions || []).map((iso) => DateTime.fromISO(iso, { zone: tz }));
+  if (options.length === 2 && !(parsed.hasDate && parsed.hasTime && !parsed.ambiguous)) {
+    const t = String(text || "").toLowerCase();
+    let pick = null;
+    const sameDay = options[0].toISODate() === options[1].toISODate();
+
+    if (sameDay && /\b(pm|p\.m|evening|night|afternoon|after work)\b/.test(t)) {
+      pick = options.find((o) => o.hour >= 12);
+    } else if (sameDay && /\b(am|a\.m|morning)\b/.test(t)) {
+      pick = options.find((o) => o.hour < 12);
+    } else if (/\b(first|earlier|sooner|this one|this week|former)\b/.test(t)) {
+      pick = options[0];
+    } else if (/\b(second|later|latter|next week|the other)\b/.test(t)) {
+      pick = options[1];
+    } else if (parsed.hasDate) {
+      pick = options.find((o) => o.toISODate() === parsed.start.toISODate());
+    }
+
+    if (pick) {
+      // A clean time in this reply wins; otherwise use the time we already had
+      if (parsed.hasTime && parsed.ambiguity !== "meridiem") {
+        return resolved(pick.set({ hour: parsed.start.hour, minute: parsed.start.minute }), true);
+      }
+      if (convo.pendingTime) return resolved(applyTime(pick, convo.pendingTime), true);
+      return resolved(pick, sameDay); // AM/PM options already carry the time
+    }
+  }
+
+  // 2️⃣ We had a time, now they gave the day ("3pm" … "Thursday")
+  if (convo.pendingTime && parsed.hasDate && !parsed.hasTime && parsed.kind === "date") {
+    return resolved(applyTime(parsed.start, convo.pendingTime), true);
+  }
+
+  // 3️⃣ We had a day, now they gave the time — already handled via baseDate above
+  return parsed;
+}
+
+function applyTime(day, hhmm) {
+  const [hour, minute] = hhmm.split(":").map((n) => parseInt(n, 10));
+  return day.set({ hour, minute, second: 0, millisecond: 0 });
+}
+
+function resolved(start, hasTime) {
+  return {
+    kind: hasTime ? "datetime" : "date",
+    start,
+    end: hasTime ? null : start.endOf("day"),
+    hasDate: true,
+    hasTime,
+    confidence: 0.9,
+    ambiguous: !hasTime,
+    ambiguity: hasTime ? null : "time_missing",
+    options: [],
+    dayPart: null,
+    inPast: start <= DateTime.now().setZone(start.zoneName),
+  };
+}
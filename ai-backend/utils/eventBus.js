@@ -0,0 +1,175 @@
+// ai-backend/utils/eventBus.js
+import { EventEmitter } from "events";
+
+/**
+ * 📡 Pub/sub for live dashboard updates (messages, bookings, availability)
+ *
+ * Channels:
+ * - "global"                → everything (inbox list, calendar)
+ * - "conversation:<phone>"  → one renter's thread
+ *
+ * Every published event gets an increasing `id` so SSE clients can resume with
+ * Last-Event-ID after a reconnect. The transport is an adapter:
+ *
+ *   {
+ *     publish(channel, event)        → stamped event ({ id, ts, ...event })
+ *     subscribe(channel, listener)   → unsubscribe()
+ *     since(channel, lastEventId)    → events after lastEventId (oldest first)
+ *   }
+ *
+ * Any of those may return a promise. The in-memory adapter below is the
+ * default; swap in a shared one (Redis, Postgres LISTEN/NOTIFY) with
+ * setEventBusAdapter() when running more than one instance.
+ */
+
+export const GLOBAL_CHANNEL = "global";
+
+export function conversationChannel(phone) {
+  return `conversation:${phone}`;
+}
+
+/**
+ * 🧠 Single-process adapter with a small replay buffer per channel
+ */
+export function createMemoryEventAdapter({ historySize = 200 } = {}) {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0); // one listener per open dashboard tab
+  const history = new Map();
+
+  // Seeded from the clock so ids keep increasing across restarts —
+  // a client resuming with a pre-restart id just gets nothing replayed
+  let seq = Date.now();
+
+  return {
+    publish(channel, event) {
+      const stamped = { ...event, id: String(++seq), ts: new Date().toISOString() };
+
+      const buf = history.get(channel) || [];
+      buf.push(stamped);
+      if (buf.length > historySize) buf.shift();
+      history.set(channel, buf);
+
+      emitter.emit(channel, stamped);
+      return stamped;
+    },
+
+    subscribe(channel, listener) {
+      emitter.on(channel, listener);
+      return () => emitter.off(channel, listener);
+    },
+
+    since(channel, lastEventId) {
+      const after = Number(lastEventId);
+      if (!Number.isFinite(after)) return [];
+      return (history.get(channel) || []).filter((e) => Number(e.id) > after);
+    },
+  };
+}
+
+let adapter = createMemoryEventAdapter();
+
+export function setEventBusAdapter(next) {
+  adapter = next;
+}
+
+/**
+ * 📣 Publish to one channel. Never throws — a broken stream must not break an SMS reply.
+ */
+export function publishEvent(channel, event) {
+  Promise.resolve()
+    .then(() => adapter.publish(channel, event))
+    .catch((err) => console.warn(`⚠️ Failed to publish ${event?.type} on ${channel}:`, err.message));
+}
+
+/**
+ * 👂 Subscribe to a channel, first replaying anything after lastEventId.
+ * Live events that arrive while the replay is loading are held back and
+ * de-duplicated, so nothing is missed or sent twice.
+ */
+export async function subscribeEvents(channel, listener, { lastEventId } = {}) {
+  let replaying = true;
+  const pending = [];
+  let lastSent = 0;
+
+  const emit = (evt) => {
+    if (Number(evt.id) <= lastSent) return;
+    lastSent = Number(evt.id);
+    listener(evt);
+  };
+
+  const unsubscribe = await adapter.subscribe(channel, (evt) => {
+    if (replaying) pending.push(evt);
+    else emit(evt);
+  });
+
+  try {
+    if (lastEventId) {
+      for (const evt of (await adapter.since(channel, lastEventId)) || []) emit(evt);
+    }
+  } catch (err) {
+    console.warn(`⚠️ Replay for ${channel} failed:`, err.message);
+  }
+
+  replaying = false;
+  pending.forEach(emit);
+  return unsubscribe;
+}
+
+/* -------------------------------------------------------------
+   🧩 Typed helpers used around the app
+------------------------------------------------------------- */
+
+/**
+ * 💬 Conversation update → that thread + the global feed (tagged with the phone)
+ * { type: "message", item } | { type: "message_status", ... } | { type: "mode", ... }
+ */
+export function publishConversationEvent(phone, event) {
+  if (!phone) return;
+  publishEvent(conversationChannel(phone), event);
+  publishEvent(GLOBAL_CHANNEL, { ...event, phone });
+}
+
+/**
+ * 📅 Booking created / confirmed / moved / cancelled / released
+ * Goes to the renter's thread too when we know their phone.
+ */
+export function publishBookingEvent(action, booking, { phone } = {}) {
+  const event = {
+    type: "booking",
+    action,
+    booking: booking
+      ? {
+          id: booking.id,
+          leadId: booking.leadId ?? null,
+          propertyId: booking.propertyId ?? null,
+          datetime: booking.datetime ?? null,
+          status: booking.status ?? null,
+        }
+      : null,
+  };
+
+  const leadPhone = phone || booking?.lead?.phone;
+  if (leadPhone) publishConversationEvent(leadPhone, event);
+  else publishEvent(GLOBAL_CHANNEL, event);
+}
+
+/**
+ * 🗓️ Availability slots added / removed / re-synced
+ */
+export function publishAvailabilityEvent(action, data = null) {
+  publishEvent(GLOBAL_CHANNEL, { type: "availability", action, data });
+}
+
+/**
+ * 🧱 Message row → the shape the dashboard appends to a thread
+ */
+export function toConversationItem(m) {
+  return {
+    id: m.id,
+    role: m.role,
+    content: m.content,
+    t: m.createdAt ? new Date(m.createdAt).toISOString() : new Date().toISOString(),
+    agentId: m.agentId || null,
+    status: m.deliveryStatus || null,
+  };
+}
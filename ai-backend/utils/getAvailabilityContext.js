@@ -2,18 +2,21 @@
 import { PrismaClient } from "@prisma/client";
 import { DateTime } from "luxon";
 import fetch from "node-fetch";
+import { getPropertyTimezone } from "./timezone.js";
 
 const prisma = new PrismaClient();
 
 /**
  * getAvailabilityContext()
  * - Combines DB + Outlook data
- * - Normalizes all times to local timezone
+ * - Normalizes all times to the property's timezone (global default if none)
  */
 export async function getAvailabilityContext(propertyId = null) {
-  const tz = "America/Edmonton";
+  let tz;
 
   try {
+    tz = await getPropertyTimezone(propertyId);
+
     const BACKEND =
       process.env.NEXT_PUBLIC_AI_BACKEND_URL ||
       "https://aivoice-rental.onrender.com";
@@ -48,6 +51,7 @@ export async function getAvailabilityContext(propertyId = null) {
       const outlookRes = await fetch(`${BACKEND}/api/outlook-sync/events`);
       const outlookJson = await outlookRes.json();
       outlookBusy = (outlookJson.data || []).map((e) => ({
+        eventId: e.id, // lets the availability engine skip our own bookings' events
         start: DateTime.fromISO(e.start, { zone: tz }).toISO(),
         end: DateTime.fromISO(e.end, { zone: tz }).toISO(),
       }));
@@ -66,6 +70,7 @@ export async function getAvailabilityContext(propertyId = null) {
 
     // 6️⃣ Return unified context
     return {
+      timezone: tz,
       globalHours: global || {},
       availableSlots,
       blockedSlots,
@@ -0,0 +1,77 @@
+// ai-backend/utils/handoff.js
+import { PrismaClient } from "@prisma/client";
+import { publishConversationEvent } from "./eventBus.js";
+
+const prisma = new PrismaClient();
+
+/**
+ * 🙋 Who answers a lead's texts
+ * - auto   → Ava replies
+ * - paused → nobody replies automatically (Ava muted, no owner)
+ * - human  → a leasing agent owns the thread (owner), Ava stays quiet
+ */
+export const MODES = { AUTO: "auto", PAUSED: "paused", HUMAN: "human" };
+
+const COMPLAINT =
+  /\b(complain(?:t)?|terrible|awful|horrible|rude|unacceptable|ridiculous|disappointed|furious|angry|scam|lawyer|legal action|report you)\b/i;
+const WANTS_HUMAN =
+  /\b(real person|speak (?:to|with) (?:a |an |the )?(?:human|person|someone|agent|manager|landlord)|talk (?:to|with) (?:a |an |the )?(?:human|person|someone|agent|manager|landlord)|are you (?:a )?(?:bot|robot|ai)|human please)\b/i;
+const CONFUSED =
+  /^\s*(\?+|what\??|huh\??|wdym\??)\s*$|\b(i don'?t understand|doesn'?t make sense|not what i (?:asked|said|meant)|you'?re not (?:listening|understanding)|that'?s wrong|confus(?:ed|ing)|i already (?:told|said))\b/i;
+
+// This many confused replies among the renter's last few texts → hand off
+const CONFUSION_LIMIT = 2;
+const CONFUSION_WINDOW = 4;
+
+export function isAutoMode(lead) {
+  return !lead?.mode || lead.mode === MODES.AUTO;
+}
+
+/**
+ * 🚨 Should Ava hand this thread to a human? Returns the reason, or null.
+ * `text` is the message just received (already saved to Message).
+ */
+export async function detectHandoffTrigger({ lead, text, intent }) {
+  if (WANTS_HUMAN.test(text)) return "Renter asked for a person";
+  if (COMPLAINT.test(text)) return "Complaint";
+  if (intent === "negotiation") return "Negotiation";
+
+  if (CONFUSED.test(text)) {
+    const recent = await prisma.message.findMany({
+      where: { leadId: lead.id, role: "user" },
+      orderBy: { createdAt: "desc" },
+      take: CONFUSION_WINDOW,
+      select: { content: true },
+    });
+    const confused = recent.filter((m) => CONFUSED.test(m.content || "")).length;
+    if (confused >= CONFUSION_LIMIT) return "Repeated confusion";
+  }
+
+  return null;
+}
+
+/**
+ * 🔀 Change who owns the thread. Handing back to auto clears owner + reason.
+ */
+export async function setLeadMode(leadId, mode, { reason = null, owner = null } = {}) {
+  if (!Object.values(MODES).includes(mode)) throw new Error(`Invalid mode "${mode}"`);
+
+  const lead = await prisma.lead.update({
+    where: { id: leadId },
+    data: {
+      mode,
+      handoffReason: mode === MODES.AUTO ? null : reason,
+      owner: mode === MODES.HUMAN ? owner : null,
+      modeChangedAt: new Date(),
+    },
+  });
+
+  console.log(`🙋 Lead ${leadId} → ${mode}${reason ? ` (${reason})` : ""}${owner ? ` — ${owner}` : ""}`);
+  publishConversationEvent(lead.phone, {
+    type: "mode",
+    mode: lead.mode,
+    handoffReason: lead.handoffReason || "",
+    owner: lead.owner || "",
+  });
+  return lead;
+}
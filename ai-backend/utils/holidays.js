@@ -0,0 +1,97 @@
+// ai-backend/utils/holidays.js
+import { DateTime } from "luxon";
+
+/**
+ * 🎉 Built-in recurring holiday calendars (GlobalSettings.holidayCalendar).
+ * Dates are computed per year, so moving holidays (Easter, "first Monday of…")
+ * never need re-entering. Office is closed for showings on every listed day
+ * unless a date override reopens it.
+ */
+
+// nth weekday of a month (weekday: 1 = Mon … 7 = Sun)
+function nthWeekday(year, month, weekday, n) {
+  const first = DateTime.local(year, month, 1);
+  const offset = (weekday - first.weekday + 7) % 7;
+  return first.plus({ days: offset + (n - 1) * 7 });
+}
+
+// Monday on or before `day` (Victoria Day = Monday before May 25)
+function mondayBefore(year, month, day) {
+  const dt = DateTime.local(year, month, day).minus({ days: 1 });
+  return dt.minus({ days: (dt.weekday - 1 + 7) % 7 });
+}
+
+// Anonymous Gregorian algorithm
+function easterSunday(year) {
+  const a = year % 19;
+  const b = Math.floor(year / 100);
+  const c = year % 100;
+  const d = Math.floor(b / 4);
+  const e = b % 4;
+  const f = Math.floor((b + 8) / 25);
+  const g = Math.floor((b - f + 1) / 3);
+  const h = (19 * a + b - d - g + 15) % 30;
+  const i = Math.floor(c / 4);
+  const k = c % 4;
+  const l = (32 + 2 * e + 2 * i - h - k) % 7;
+  const m = Math.floor((a + 11 * h + 22 * l) / 451);
+  const month = Math.floor((h + l - 7 * m + 114) / 31);
+  const day = ((h + l - 7 * m + 114) % 31) + 1;
+  return DateTime.local(year, month, day);
+}
+
+const fixed = (month, day) => (year) => DateTime.local(year, month, day);
+
+const COMMON = [
+  ["New Year's Day", fixed(1, 1)],
+  ["Good Friday", (y) => easterSunday(y).minus({ days: 2 })],
+  ["Victoria Day", (y) => mondayBefore(y, 5, 25)],
+  ["Canada Day", fixed(7, 1)],
+  ["Labour Day", (y) => nthWeekday(y, 9, 1, 1)],
+  ["Thanksgiving", (y) => nthWeekday(y, 10, 1, 2)],
+  ["Remembrance Day", fixed(11, 11)],
+  ["Christmas Day", fixed(12, 25)],
+];
+
+export const HOLIDAY_CALENDARS = {
+  CA: {
+    label: "Canada (federal)",
+    holidays: [
+      ...COMMON,
+      ["National Day for Truth and Reconciliation", fixed(9, 30)],
+      ["Boxing Day", fixed(12, 26)],
+    ],
+  },
+  "CA-AB": {
+    label: "Alberta",
+    holidays: [
+      ...COMMON,
+      ["Family Day", (y) => nthWeekday(y, 2, 1, 3)],
+      ["Heritage Day", (y) => nthWeekday(y, 8, 1, 1)],
+    ],
+  },
+};
+
+export function isValidHolidayCalendar(id) {
+  return Object.prototype.hasOwnProperty.call(HOLIDAY_CALENDARS, id);
+}
+
+/**
+ * 📅 All holidays in a calendar for one year → [{ date: "YYYY-MM-DD", label }]
+ */
+export function holidaysFor(calendarId, year) {
+  const calendar = HOLIDAY_CALENDARS[calendarId];
+  if (!calendar) return [];
+  return calendar.holidays
+    .map(([label, dateFor]) => ({ date: dateFor(year).toISODate(), label }))
+    .sort((a, b) => a.date.localeCompare(b.date));
+}
+
+/**
+ * 🔎 Holiday name for a local date ("YYYY-MM-DD"), or null
+ */
+export function holidayOn(calendarId, isoDate) {
+  if (!calendarId || !isoDate) return null;
+  const year = Number(isoDate.slice(0, 4));
+  return holidaysFor(calendarId, year).find((h) => h.date === isoDate)?.label || null;
+}
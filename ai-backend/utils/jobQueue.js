@@ -0,0 +1,171 @@
+// ai-backend/utils/jobQueue.js
+import { PrismaClient } from "@prisma/client";
+
+const prisma = new PrismaClient();
+
+/**
+ * 📬 Postgres-backed job queue for side effects (SMS, Outlook writes, token refresh)
+ *
+ * Job lifecycle:
+ * - queued  → waiting for runAt (new, or retrying after a failure)
+ * - running → claimed by the worker
+ * - done    → handler succeeded
+ * - dead    → failed maxAttempts times; kept for inspection / manual retry
+ *
+ * Jobs with the same idempotencyKey are only ever enqueued once.
+ */
+
+const handlers = new Map();
+
+const BASE_BACKOFF_MS = 15 * 1000; // 15s, 30s, 1m, 2m, ...
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+const STALE_LOCK_MS = 5 * 60 * 1000; // "running" this long = worker died mid-job
+const BATCH_SIZE = 10;
+
+let working = false;
+
+/**
+ * 🧩 Register the function that performs a job type. Handlers throw to signal a retry.
+ * onDead(payload, err) runs once when the job gives up (e.g. mark the SMS as failed).
+ */
+export function registerJobHandler(type, handler, { onDead } = {}) {
+  handlers.set(type, { run: handler, onDead });
+}
+
+/**
+ * ➕ Queue a job. Returns the existing job if the idempotency key was already used.
+ */
+export async function enqueueJob(type, payload = {}, { idempotencyKey, runAt, maxAttempts = 5 } = {}) {
+  let job;
+  try {
+    job = await prisma.job.create({
+      data: {
+        type,
+        payload,
+        idempotencyKey: idempotencyKey || null,
+        runAt: runAt || new Date(),
+        maxAttempts,
+      },
+    });
+  } catch (err) {
+    if (err.code !== "P2002" || !idempotencyKey) throw err;
+    console.log(`♻️ Job ${type} already queued for key ${idempotencyKey}`);
+    return prisma.job.findUnique({ where: { idempotencyKey } });
+  }
+
+  // Don't wait for the next tick — most jobs are replies the renter is waiting on
+  if (job.runAt <= new Date()) setImmediate(() => runDueJobs());
+  return job;
+}
+
+/**
+ * ⏱️ Exponential backoff with a little jitter
+ */
+export function backoffMs(attempt) {
+  const delay = Math.min(BASE_BACKOFF_MS * 2 ** Math.max(attempt - 1, 0), MAX_BACKOFF_MS);
+  return delay + Math.floor(Math.random() * 1000);
+}
+
+async function claim(job) {
+  const { count } = await prisma.job.updateMany({
+    where: { id: job.id, status: "queued" },
+    data: { status: "running", lockedAt: new Date(), attempts: { increment: 1 } },
+  });
+  return count === 1;
+}
+
+async function runOne(job) {
+  if (!(await claim(job))) return; // another worker got it
+  const attempt = job.attempts + 1;
+
+  try {
+    const handler = handlers.get(job.type);
+    if (!handler) throw new Error(`No handler registered for job type "${job.type}"`);
+
+    const result = await handler.run(job.payload || {}, { jobId: job.id, attempt });
+    await prisma.job.update({
+      where: { id: job.id },
+      data: {
+        status: "done",
+        result: result === undefined ? undefined : JSON.parse(JSON.stringify(result)),
+        lastError: null,
+        lockedAt: null,
+        completedAt: new Date(),
+      },
+    });
+  } catch (err) {
+    const dead = attempt >= job.maxAttempts;
+    await prisma.job.update({
+      where: { id: job.id },
+      data: {
+        status: dead ? "dead" : "queued",
+        lastError: String(err?.message || err).slice(0, 1000),
+        lockedAt: null,
+        runAt: dead ? job.runAt : new Date(Date.now() + backoffMs(attempt)),
+      },
+    });
+
+    if (dead) {
+      console.error(`☠️ Job ${job.id} (${job.type}) dead after ${attempt} attempts:`, err.message);
+      try {
+        await handlers.get(job.type)?.onDead?.(job.payload || {}, err);
+      } catch (hookErr) {
+        console.error(`❌ onDead hook for job ${job.id} failed:`, hookErr);
+      }
+    } else {
+      console.warn(`⚠️ Job ${job.id} (${job.type}) attempt ${attempt} failed — retrying:`, err.message);
+    }
+  }
+}
+
+/**
+ * 🔁 Run everything that's due (worker tick). Safe to call often — only one pass runs at a time.
+ */
+export async function runDueJobs() {
+  if (working) return;
+  working = true;
+
+  try {
+    // 🧹 Requeue jobs whose worker died mid-run (crash, deploy)
+    await prisma.job.updateMany({
+      where: { status: "running", lockedAt: { lt: new Date(Date.now() - STALE_LOCK_MS) } },
+      data: { status: "queued", lockedAt: null },
+    });
+
+    for (;;) {
+      const jobs = await prisma.job.findMany({
+        where: { status: "queued", runAt: { lte: new Date() } },
+        orderBy: [{ runAt: "asc" }, { id: "asc" }],
+        take: BATCH_SIZE,
+      });
+      if (!jobs.length) break;
+
+      for (const job of jobs) await runOne(job);
+    }
+  } catch (err) {
+    console.error("❌ runDueJobs failed:", err);
+  } finally {
+    working = false;
+  }
+}
+
+/**
+ * ▶️ Start polling for due / retrying jobs
+ */
+export function startJobWorker(intervalMs = 5000) {
+  console.log(`📬 Job worker started (every ${intervalMs / 1000}s)`);
+  runDueJobs();
+  return setInterval(runDueJobs, intervalMs);
+}
+
+/**
+ * 🩹 Give a dead job a fresh set of attempts
+ */
+export async function retryJob(id) {
+  const job = await prisma.job.update({
+    where: { id },
+    data: { status: "queued", attempts: 0, runAt: new Date(), lastError: null, lockedAt: null },
+  });
+  setImmediate(() => runDueJobs());
+  return job;
+}
@@ -0,0 +1,201 @@
+// ai-backend/utils/leadQualification.js
+import { PrismaClient } from "@prisma/client";
+import { enqueueJob, registerJobHandler } from "./jobQueue.js";
+import { publishConversationEvent } from "./eventBus.js";
+import { completeText } from "./llm.js";
+import { DELIVERED } from "./conversationMemory.js";
+
+const prisma = new PrismaClient();
+
+/**
+ * 📋 What we know about a renter, kept on Lead:
+ * - qualification fields (move-in, budget, bedrooms, …) + a short summary,
+ *   re-extracted in the background after each inbound text
+ * - staff corrections win: a field staff set is listed in qualificationEdited
+ *   and extraction leaves it alone (clearing it hands it back to extraction)
+ * - Ava gets the known fields in her prompt so she doesn't re-ask
+ *
+ * Lead.qualifiedThroughId = last message the extraction has read.
+ */
+export const QUALIFICATION_FIELDS = {
+  moveInDate: { label: "Move-in", type: "text", hint: 'desired move-in — YYYY-MM-DD if they gave a day, otherwise as said ("early March")' },
+  budget: { label: "Budget", type: "int", hint: "max monthly rent in dollars" },
+  bedrooms: { label: "Bedrooms", type: "int", hint: "bedrooms wanted, 0 = studio" },
+  occupants: { label: "Occupants", type: "int", hint: "people moving in, including the renter" },
+  pets: { label: "Pets", type: "text", hint: 'e.g. "none", "1 small dog"' },
+  parking: { label: "Parking", type: "text", hint: 'e.g. "none", "1 car", "needs EV charging"' },
+  employment: { label: "Employment", type: "text", hint: 'job / income, e.g. "nurse, full-time"' },
+};
+
+const TEXT_MAX_CHARS = 120;
+const SUMMARY_MAX_CHARS = 500;
+const TRANSCRIPT_MESSAGES = 20; // recent messages the extraction reads (with the current profile)
+
+/**
+ * 🧹 Clean raw values (model JSON or a staff form) → { data, invalid }
+ * Only keys present in input come back; "" / null → null (unknown).
+ */
+export function cleanQualification(input = {}) {
+  const data = {};
+  const invalid = [];
+
+  for (const [key, { type }] of Object.entries(QUALIFICATION_FIELDS)) {
+    if (!(key in input)) continue;
+    const raw = input[key];
+    if (raw == null || String(raw).trim() === "") {
+      data[key] = null;
+      continue;
+    }
+
+    if (type === "int") {
+      // "$1,800" / "2 bed" / 1800 → number
+      const n = Math.round(Number(String(raw).replace(/[^\d.]/g, "")));
+      if (!Number.isFinite(n) || !/\d/.test(String(raw))) invalid.push(key);
+      else data[key] = n;
+    } else {
+      data[key] = String(raw).trim().slice(0, TEXT_MAX_CHARS);
+    }
+  }
+
+  if ("summary" in input) {
+    data.summary = String(input.summary ?? "").trim().slice(0, SUMMARY_MAX_CHARS) || null;
+  }
+
+  return { data, invalid };
+}
+
+function formatValue(key, value) {
+  if (key === "budget") return `$${value.toLocaleString("en-US")}/mo`;
+  if (key === "bedrooms") return value === 0 ? "studio" : String(value);
+  return String(value);
+}
+
+/**
+ * 📝 Known fields as prompt lines ("- Budget: $1,800/mo"), "" when nothing is known
+ */
+export function formatQualification(lead) {
+  return Object.entries(QUALIFICATION_FIELDS)
+    .filter(([key]) => lead?.[key] != null && lead[key] !== "")
+    .map(([key, { label }]) => `- ${label}: ${formatValue(key, lead[key])}`)
+    .join("\n");
+}
+
+/**
+ * 📦 Dashboard shape → { summary, fields: { key: value }, edited: [key], updatedAt }
+ */
+export function serializeQualification(lead) {
+  return {
+    summary: lead?.summary || "",
+    fields: Object.fromEntries(Object.keys(QUALIFICATION_FIELDS).map((key) => [key, lead?.[key] ?? null])),
+    edited: lead?.qualificationEdited || [],
+    updatedAt: lead?.qualificationUpdatedAt || null,
+  };
+}
+
+/**
+ * 🧑‍💼 Staff corrections. Changed fields become staff-owned; a cleared field
+ * goes back to extraction. The summary stays shared — the next extraction
+ * starts from the corrected text.
+ */
+export async function saveQualificationEdits(lead, data) {
+  const edited = new Set(lead.qualificationEdited || []);
+  for (const [key, value] of Object.entries(data)) {
+    if (key === "summary" || lead[key] === value) continue;
+    if (value == null) edited.delete(key);
+    else edited.add(key);
+  }
+
+  const updated = await prisma.lead.update({
+    where: { id: lead.id },
+    data: { ...data, qualificationEdited: [...edited], qualificationUpdatedAt: new Date() },
+  });
+  publishConversationEvent(updated.phone, { type: "qualification", qualification: serializeQualification(updated) });
+  return updated;
+}
+
+/**
+ * 🔁 Re-extract after a turn (call with the inbound message id). Keyed on the
+ * message, so a Twilio retry queues it once.
+ */
+export function queueLeadQualification(leadId, throughId) {
+  return enqueueJob(
+    "lead.qualify",
+    { leadId, throughId },
+    { idempotencyKey: `lead.qualify:${leadId}:${throughId}` }
+  );
+}
+
+function parseJsonObject(text) {
+  const match = String(text || "").match(/\{[\s\S]*\}/);
+  if (!match) return null;
+  try {
+    return JSON.parse(match[0]);
+  } catch {
+    return null;
+  }
+}
+
+registerJobHandler("lead.qualify", async ({ leadId, throughId }) => {
+  const lead = await prisma.lead.findUnique({ where: { id: leadId } });
+  if (!lead) return;
+  if (throughId <= (lead.qualifiedThroughId ?? 0)) return; // a later job already read this
+
+  const rows = await prisma.message.findMany({
+    where: { leadId, id: { lte: throughId }, ...DELIVERED },
+    orderBy: { id: "desc" },
+    take: TRANSCRIPT_MESSAGES,
+    select: { role: true, content: true, createdAt: true },
+  });
+  if (!rows.length) return;
+
+  const transcript = rows
+    .reverse()
+    .map((m) => `[${m.createdAt.toISOString().slice(0, 10)}] ${m.role === "user" ? "Renter" : m.role === "agent" ? "Leasing team" : "Ava"}: ${m.content}`)
+    .join("\n");
+  const current = serializeQualification(lead);
+  const fieldSpec = Object.entries(QUALIFICATION_FIELDS)
+    .map(([key, { type, hint }]) => `- ${key} (${type === "int" ? "number" : "string"}): ${hint}`)
+    .join("\n");
+
+  const text = await completeText({
+    purpose: "lead_qualification",
+    temperature: 0,
+    messages: [
+      {
+        role: "system",
+        content:
+          "You keep a renter's profile up to date from their SMS thread with a leasing assistant (Ava). " +
+          "Return ONLY a JSON object with these keys, using null for anything the renter hasn't said:\n" +
+          `${fieldSpec}\n` +
+          `- summary (string): 1–3 plain sentences for the leasing team — what they want, where things stand. Under ${SUMMARY_MAX_CHARS} characters.\n` +
+          "Start from the current profile; only change a value when the renter states something new or different. Never guess.",
+      },
+      {
+        role: "user",
+        content: `CURRENT PROFILE:\n${JSON.stringify({ ...current.fields, summary: current.summary || null })}\n\nRECENT MESSAGES:\n${transcript}`,
+      },
+    ],
+  });
+
+  const parsed = parseJsonObject(text);
+  if (!parsed) throw new Error("Qualification reply was not JSON"); // retried by the queue
+
+  const { data } = cleanQualification(parsed);
+  const update = {};
+  for (const [key, value] of Object.entries(data)) {
+    if (value == null) continue; // the model forgetting isn't the renter taking it back
+    if ((lead.qualificationEdited || []).includes(key)) continue; // staff's word wins
+    if (lead[key] !== value) update[key] = value;
+  }
+
+  // Only move forward — never overwrite a newer extraction from a racing job
+  const { count } = await prisma.lead.updateMany({
+    where: { id: leadId, qualifiedThroughId: lead.qualifiedThroughId },
+    data: { ...update, qualifiedThroughId: throughId, qualificationUpdatedAt: new Date() },
+  });
+  if (!count || !Object.keys(update).length) return;
+
+  console.log(`📋 Lead ${leadId} qualification → ${Object.keys(update).join(", ")}`);
+  const updated = await prisma.lead.findUnique({ where: { id: leadId } });
+  publishConversationEvent(updated.phone, { type: "qualification", qualification: serializeQualification(updated) });
+});
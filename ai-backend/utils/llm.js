@@ -0,0 +1,175 @@
+// ai-backend/utils/llm.js
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import OpenAI from "openai";
+
+/**
+ * 🧠 The one LLM client for the backend (Ava replies, intent, scenario texts,
+ * history summaries). Callers send OpenAI-style chat messages and get back the
+ * assistant message ({ role, content, tool_calls? }) whichever provider runs.
+ *
+ * LLM_PROVIDER:
+ * - openai (default) → OpenAI chat completions (OPENAI_API_KEY, OPENAI_MODEL)
+ * - fake             → deterministic replies from a fixtures file (LLM_FIXTURES),
+ *                      so the whole SMS → booking pipeline runs offline
+ *
+ * A provider is just { name, complete({ purpose, model, temperature, messages, tools, toolChoice }) }.
+ * `purpose` ("intent", "reply", "scenario:<type>", "history_summary", "lead_qualification") lets fixtures
+ * tell the calls apart; real providers ignore it.
+ */
+
+// Env is read on first use, not at import (index.js loads .env after its imports)
+export function getLlmProviderName() {
+  return (process.env.LLM_PROVIDER || "openai").toLowerCase();
+}
+
+const DEFAULT_FIXTURES = path.join(path.dirname(fileURLToPath(import.meta.url)), "../fixtures/llm-fake.json");
+
+/* -------------------------------------------------------------
+   🔌 OpenAI
+------------------------------------------------------------- */
+export function createOpenAIProvider({ apiKey = process.env.OPENAI_API_KEY } = {}) {
+  const client = new OpenAI({ apiKey });
+
+  return {
+    name: "openai",
+    async complete({ model = process.env.OPENAI_MODEL || "gpt-4o-mini", temperature, messages, tools, toolChoice }) {
+      const resp = await client.chat.completions.create({
+        model,
+        temperature,
+        messages,
+        ...(tools?.length ? { tools, tool_choice: toolChoice || "auto" } : {}),
+      });
+      return resp.choices?.[0]?.message || { role: "assistant", content: "" };
+    },
+  };
+}
+
+/* -------------------------------------------------------------
+   🧪 Fixture-driven fake
+   fixtures = { defaults: { [purpose | "*"]: text }, rules: [rule] }
+   rule = {
+     purpose?  "reply" | "scenario:*" (trailing * = prefix match)
+     match?    regex tested (case-insensitive) against the latest user message
+     after?    tool name whose result was just returned — without it a rule only
+               answers a fresh user message, never a tool result
+     result?   fields the tool result must equal, e.g. { "ok": false } or { "status": "held" }
+     context?  regex tested against the system prompt; its named groups become {{context.name}}
+     reply?    text; {{text}} = latest user message, {{result.a.0.b}} = last tool result
+     toolCalls? [{ name, arguments }] — argument strings are templated the same way
+   }
+   First matching rule wins.
+------------------------------------------------------------- */
+export function createFakeProvider({ fixtures } = {}) {
+  const { defaults = {}, rules = [] } =
+    fixtures || JSON.parse(fs.readFileSync(process.env.LLM_FIXTURES || DEFAULT_FIXTURES, "utf8"));
+  let callSeq = 0;
+
+  return {
+    name: "fake",
+    async complete({ purpose = "", messages = [], toolChoice }) {
+      const last = messages[messages.length - 1];
+      const text = [...messages].reverse().find((m) => m.role === "user")?.content || "";
+      const afterTool = last?.role === "tool" ? toolNameFor(messages, last.tool_call_id) : null;
+      const system = messages.find((m) => m.role === "system")?.content || "";
+      const vars = { text, result: afterTool ? safeJson(last.content) : null, context: null };
+
+      const rule = rules.find((r) => {
+        const context = r.context ? new RegExp(r.context, "i").exec(system) : null;
+        const ok =
+          purposeMatches(r.purpose, purpose) &&
+          (r.after ? r.after === afterTool : !afterTool) &&
+          (!r.match || new RegExp(r.match, "i").test(text)) &&
+          (!r.context || !!context) &&
+          Object.entries(r.result || {}).every(([k, v]) => vars.result?.[k] === v) &&
+          !(r.toolCalls && toolChoice === "none");
+        if (ok) vars.context = context?.groups || null;
+        return ok;
+      });
+
+      if (rule?.toolCalls) {
+        return {
+          role: "assistant",
+          content: null,
+          tool_calls: rule.toolCalls.map((c) => ({
+            id: `call_fake_${++callSeq}`,
+            type: "function",
+            function: { name: c.name, arguments: JSON.stringify(fill(c.arguments || {}, vars)) },
+          })),
+        };
+      }
+
+      const reply = rule?.reply ?? defaults[purpose] ?? defaults["*"] ?? "Thanks for reaching out!";
+      return { role: "assistant", content: fill(reply, vars) };
+    },
+  };
+}
+
+function purposeMatches(pattern, purpose) {
+  if (!pattern) return true;
+  return pattern.endsWith("*") ? purpose.startsWith(pattern.slice(0, -1)) : pattern === purpose;
+}
+
+function toolNameFor(messages, callId) {
+  for (const m of messages) {
+    const call = m.tool_calls?.find((c) => c.id === callId);
+    if (call) return call.function.name;
+  }
+  return null;
+}
+
+function safeJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+// {{a.b.0.c}} in strings (recursively through arrays / objects)
+function fill(value, vars) {
+  if (typeof value === "string") {
+    return value.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (m, key) => {
+      const found = key.split(".").reduce((obj, k) => (obj == null ? obj : obj[k]), vars);
+      return found == null ? "" : String(found);
+    });
+  }
+  if (Array.isArray(value)) return value.map((v) => fill(v, vars));
+  if (value && typeof value === "object") {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, fill(v, vars)]));
+  }
+  return value;
+}
+
+/* -------------------------------------------------------------
+   🎛️ Active provider
+------------------------------------------------------------- */
+let provider = null;
+
+function activeProvider() {
+  if (!provider) {
+    provider = getLlmProviderName() === "fake" ? createFakeProvider() : createOpenAIProvider();
+    if (provider.name !== "openai") console.log(`🧪 LLM provider: ${provider.name}`);
+  }
+  return provider;
+}
+
+export function setLlmProvider(next) {
+  provider = next;
+}
+
+/**
+ * 💬 One chat completion → assistant message ({ role, content, tool_calls? })
+ */
+export async function complete({ purpose, model, temperature, messages, tools, toolChoice }) {
+  return activeProvider().complete({ purpose, model, temperature, messages, tools, toolChoice });
+}
+
+/**
+ * 📝 Same, but just the trimmed text ("" when the model said nothing)
+ */
+export async function completeText(opts) {
+  const message = await complete(opts);
+  return message?.content?.trim() || "";
+}
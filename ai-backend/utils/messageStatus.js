@@ -0,0 +1,82 @@
+// ai-backend/utils/messageStatus.js
+import { PrismaClient } from "@prisma/client";
+import { publishConversationEvent } from "./eventBus.js";
+
+const prisma = new PrismaClient();
+
+/**
+ * 📶 Twilio delivery statuses in lifecycle order. Callbacks can arrive out of
+ * order ("sent" after "delivered"), so a status never moves a message backwards.
+ */
+const RANK = {
+  queued: 0,
+  accepted: 0,
+  scheduled: 0,
+  sending: 1,
+  sent: 2,
+  delivered: 3,
+  undelivered: 3,
+  failed: 3,
+  read: 4,
+};
+
+export const FAILED_STATUSES = ["failed", "undelivered"];
+
+/**
+ * 💾 Apply a delivery status to a Message (by id or Twilio sid) and keep the
+ * lead's lastOutboundStatus in sync when it's their latest outbound text.
+ */
+export async function applyDeliveryStatus({ messageId, providerSid, status, errorCode, errorMessage }) {
+  const message = messageId
+    ? await prisma.message.findUnique({ where: { id: messageId } })
+    : providerSid
+    ? await prisma.message.findUnique({ where: { providerSid } })
+    : null;
+  if (!message || !status) return null;
+
+  const current = RANK[message.deliveryStatus] ?? -1;
+  const next = RANK[status] ?? 0;
+  if (next < current) return message;
+
+  const now = new Date();
+  const failed = FAILED_STATUSES.includes(status);
+  const updated = await prisma.message.update({
+    where: { id: message.id },
+    data: {
+      deliveryStatus: status,
+      errorCode: errorCode ? String(errorCode) : failed ? message.errorCode : null,
+      errorMessage: errorMessage || (failed ? message.errorMessage : null),
+      statusUpdatedAt: now,
+      ...(status === "sent" && !message.sentAt ? { sentAt: now } : {}),
+      ...(status === "delivered" ? { deliveredAt: now } : {}),
+      ...(failed ? { failedAt: now } : {}),
+    },
+    include: { lead: { select: { phone: true } } },
+  });
+
+  publishConversationEvent(updated.lead?.phone, {
+    type: "message_status",
+    messageId: updated.id,
+    status,
+    errorCode: updated.errorCode,
+    errorMessage: updated.errorMessage,
+  });
+
+  // 🚩 Only the lead's most recent outbound text decides the inbox flag
+  const latest = await prisma.message.findFirst({
+    where: { leadId: message.leadId, role: { not: "user" } },
+    orderBy: { id: "desc" },
+    select: { id: true },
+  });
+  if (latest?.id === message.id) {
+    await prisma.lead.update({
+      where: { id: message.leadId },
+      data: { lastOutboundStatus: status },
+    });
+  }
+
+  if (failed) {
+    console.warn(`📵 Message ${message.id} ${status}${errorCode ? ` (Twilio ${errorCode})` : ""}`);
+  }
+  return updated;
+}
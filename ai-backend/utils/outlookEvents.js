@@ -0,0 +1,156 @@
+// ai-backend/utils/outlookEvents.js
+import fetch from "node-fetch";
+import { PrismaClient } from "@prisma/client";
+import { DateTime } from "luxon";
+import { ensureValidOutlookToken } from "../routes/outlook-sync.js";
+import { enqueueJob, registerJobHandler } from "./jobQueue.js";
+import { getPropertyTimezone } from "./timezone.js";
+import { getShowingRules } from "./availabilityEngine.js";
+
+const prisma = new PrismaClient();
+
+/**
+ * 🔎 Outlook event id for a booking (older rows only have it in notes)
+ */
+export function getOutlookEventId(booking) {
+  if (booking?.outlookEventId) return booking.outlookEventId;
+  const m = String(booking?.notes || "").match(/Outlook Event ID:\s*(\S+)/);
+  return m ? m[1] : null;
+}
+
+/**
+ * 🆕 Create an event on the connected Outlook calendar via Graph (throws on failure).
+ * transactionId makes Graph ignore a repeat POST, so retries can't double-book the calendar.
+ * timeZone (IANA) writes the event in the property's local time so Outlook shows it that way.
+ */
+export async function createOutlookEvent({
+  subject,
+  startTime,
+  endTime,
+  location,
+  html,
+  transactionId,
+  timeZone = "UTC",
+}) {
+  const token = await ensureValidOutlookToken();
+  const local = (t) =>
+    DateTime.fromJSDate(new Date(t)).setZone(timeZone).toFormat("yyyy-MM-dd'T'HH:mm:ss");
+
+  const res = await fetch("https://graph.microsoft.com/v1.0/me/events", {
+    method: "POST",
+    headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" },
+    body: JSON.stringify({
+      subject,
+      body: { contentType: "HTML", content: html || "" },
+      start: { dateTime: local(startTime), timeZone },
+      end: { dateTime: local(endTime), timeZone },
+      location: { displayName: location || "TBD" },
+      transactionId,
+    }),
+  });
+
+  const json = await res.json();
+  if (!res.ok) throw new Error(json.error?.message || `Outlook API error (${res.status})`);
+  return json;
+}
+
+/**
+ * 🗑️ Delete an event from the connected Outlook calendar via Graph.
+ * Returns true when the event is gone (404 counts — already deleted).
+ */
+export async function deleteOutlookEvent(eventId) {
+  if (!eventId) return false;
+
+  try {
+    const token = await ensureValidOutlookToken();
+    const res = await fetch(`https://graph.microsoft.com/v1.0/me/events/${eventId}`, {
+      method: "DELETE",
+      headers: { Authorization: `Bearer ${token}` },
+    });
+
+    if (res.ok || res.status === 404) {
+      console.log(`🗑️ Deleted Outlook event ${eventId}`);
+      return true;
+    }
+
+    console.warn(`⚠️ Outlook delete returned ${res.status} for ${eventId}`);
+    return false;
+  } catch (err) {
+    console.warn("⚠️ Failed to delete Outlook event:", err.message);
+    return false;
+  }
+}
+
+/* -------------------------------------------------------------
+   📬 Queued Outlook writes — always go through these
+------------------------------------------------------------- */
+
+/**
+ * Queue the calendar event for a booking. Keyed on booking + time, so a
+ * reschedule gets a new event but a retry / double call never does.
+ */
+export function queueOutlookCreate(booking) {
+  const at = new Date(booking.datetime).toISOString();
+  return enqueueJob(
+    "outlook.create_event",
+    { bookingId: booking.id, datetime: at },
+    { idempotencyKey: `outlook.create:${booking.id}:${at}` }
+  );
+}
+
+export function queueOutlookDelete(eventId) {
+  if (!eventId) return null;
+  return enqueueJob(
+    "outlook.delete_event",
+    { eventId },
+    { idempotencyKey: `outlook.delete:${eventId}` }
+  );
+}
+
+registerJobHandler("outlook.create_event", async ({ bookingId, datetime }, { jobId }) => {
+  const booking = await prisma.booking.findUnique({
+    where: { id: bookingId },
+    include: { lead: true, property: { include: { facts: true } } },
+  });
+
+  // Booking moved / cancelled since this was queued → nothing to create
+  if (!booking || booking.status === "cancelled" || booking.datetime.toISOString() !== datetime) {
+    console.log(`⏭️ Skipping Outlook create for booking ${bookingId} (changed since queued)`);
+    return { skipped: true };
+  }
+  if (booking.outlookEventId) return { eventId: booking.outlookEventId };
+
+  const facts = booking.property?.facts;
+  const propertyName = facts?.buildingName || booking.property?.address || "Property";
+  const start = booking.datetime;
+  const duration = booking.duration || (await getShowingRules(booking.property || booking.propertyId)).duration;
+  const end = new Date(start.getTime() + duration * 60 * 1000);
+
+  const event = await createOutlookEvent({
+    subject: `Showing — ${propertyName}`,
+    startTime: start,
+    endTime: end,
+    location: facts?.address || booking.property?.address || "TBD",
+    html: `
+      <strong>Showing scheduled via Ava AI</strong><br/>
+      <b>Lead:</b> ${booking.lead?.name || "Unknown"}<br/>
+      <b>Phone:</b> ${booking.lead?.phone || ""}<br/>
+      <b>Property:</b> ${booking.property?.address || "Unknown"}<br/>
+      <b>Unit:</b> ${facts?.unitType || "N/A"}<br/>
+    `,
+    transactionId: `ava-job-${jobId}`,
+    timeZone: await getPropertyTimezone(booking.property || booking.propertyId),
+  });
+
+  await prisma.booking.update({
+    where: { id: booking.id },
+    data: { outlookEventId: event.id, notes: booking.notes || `Outlook Event ID: ${event.id}` },
+  });
+  console.log(`📆 Outlook event ${event.id} linked to booking ${booking.id}`);
+  return { eventId: event.id };
+});
+
+registerJobHandler("outlook.delete_event", async ({ eventId }) => {
+  if (!(await deleteOutlookEvent(eventId))) throw new Error(`Outlook delete failed for ${eventId}`);
+  return { deleted: eventId };
+});
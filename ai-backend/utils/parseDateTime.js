@@ -0,0 +1,462 @@
+// ai-backend/utils/parseDateTime.js
+import { DateTime } from "luxon";
+
+const DEFAULT_TZ = "America/Edmonton";
+
+// Luxon weekdays: 1 = Monday … 7 = Sunday
+const WEEKDAYS = {
+  mon: 1, monday: 1,
+  tue: 2, tues: 2, tuesday: 2,
+  wed: 3, weds: 3, wednesday: 3,
+  thu: 4, thur: 4, thurs: 4, thursday: 4,
+  fri: 5, friday: 5,
+  sat: 6, saturday: 6,
+  sun: 7, sunday: 7,
+};
+
+const MONTHS = {
+  jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6,
+  jul: 7, aug: 8, sep: 9, sept: 9, oct: 10, nov: 11, dec: 12,
+};
+
+const NUMBER_WORDS = {
+  a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+  seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12,
+  couple: 2, "a couple": 2, "a couple of": 2, few: 3, "a few": 3,
+};
+
+// Vague parts of the day → window + the hour we'd suggest if pushed
+const DAY_PARTS = [
+  { re: /\bafter work\b/, label: "after work", start: 17, end: 19 },
+  { re: /\b(?:this\s+)?morning\b/, label: "morning", start: 9, end: 12 },
+  { re: /\blunch(?:time)?\b/, label: "lunch", start: 12, end: 13 },
+  { re: /\b(?:this\s+)?afternoon\b/, label: "afternoon", start: 12, end: 17 },
+  { re: /\bdinner\b/, label: "dinner", start: 17, end: 19 },
+  { re: /\b(?:this\s+)?evening\b|\btonight\b/, label: "evening", start: 17, end: 20 },
+];
+
+// Numbers followed by these are quantities, never clock times ("2 bedrooms", "3 pets")
+const NOT_A_TIME =
+  /^\s*(?:bed|br\b|bdr|bath|ba\b|bd\b|people|persons?|adults?|kids?|children|pets?|dogs?|cats?|cars?|months?|mos?\b|years?|yrs?|weeks?|days?|sq|ft|feet|%|k\b|units?|rooms?|roommates?|of us)/;
+
+const WEEKDAY_NAMES = Object.keys(WEEKDAYS).sort((a, b) => b.length - a.length).join("|");
+const MONTH_NAMES = "jan(?:uary)?|feb(?:ruary)?|mar(?:ch)?|apr(?:il)?|may|june?|july?|aug(?:ust)?|sep(?:t(?:ember)?)?|oct(?:ober)?|nov(?:ember)?|dec(?:ember)?";
+
+const SHOWING_DATE_FMT = "ccc, LLL d";
+
+/**
+ * Parse a renter's free-text message into a zoned datetime or range.
+ *
+ * Handles things like "next Thursday at 4:30", "Oct 24th around noon",
+ * "this weekend", "tomorrow evening", "in two hours" and "3pm".
+ * Bare numbers only count as times when anchored ("at 4", "Thursday 4"),
+ * so "2 bedrooms" or "$1500" never turn into a showing request.
+ *
+ * @param {string} text - Raw SMS body
+ * @param {object} [opts]
+ * @param {string} [opts.tz] - IANA zone to interpret the text in
+ * @param {DateTime} [opts.now] - Reference "now" (mainly for scripts/tests)
+ * @param {DateTime} [opts.baseDate] - Day to use when the text only has a time
+ * @returns {{
+ *   kind: "datetime" | "range" | "date" | "none",
+ *   start: DateTime | null,
+ *   end: DateTime | null,
+ *   hasDate: boolean,
+ *   hasTime: boolean,
+ *   confidence: number,
+ *   ambiguous: boolean,
+ *   ambiguity: null | "meridiem" | "which_week" | "time_missing" | "vague_time" | "date_range",
+ *   options: DateTime[],
+ *   dayPart: string | null,
+ *   inPast: boolean,
+ * }}
+ */
+export function parseDateTime(text, opts = {}) {
+  const tz = opts.tz || DEFAULT_TZ;
+  const now = (opts.now || DateTime.now()).setZone(tz);
+  const raw = String(text || "")
+    .toLowerCase()
+    .replace(/[’']/g, "'")
+    .replace(/\ba\.m\.?/g, "am")
+    .replace(/\bp\.m\.?/g, "pm");
+
+  const result = {
+    kind: "none",
+    start: null,
+    end: null,
+    hasDate: false,
+    hasTime: false,
+    confidence: 0,
+    ambiguous: false,
+    ambiguity: null,
+    options: [],
+    dayPart: null,
+    inPast: false,
+  };
+
+  if (!raw.trim()) return result;
+
+  // 1️⃣ Relative offsets — "in two hours", "in 30 min", "in a couple of days"
+  const relative = parseRelative(raw, now);
+  if (relative) return { ...result, ...relative };
+
+  // 2️⃣ Date part (may be a single day or a range like "this weekend")
+  const date = parseDate(raw, now);
+
+  // 3️⃣ Time part — search with the date text removed so "Oct 24" never reads as 24:00
+  const timeText = date ? raw.replace(date.match, " at ") : raw;
+  const time = parseTime(timeText);
+  const dayPart = DAY_PARTS.find((p) => p.re.test(raw)) || null;
+  if (dayPart) result.dayPart = dayPart.label;
+
+  if (!date && !time && !dayPart) return result;
+
+  let confidence = 0.95;
+  if (time?.approximate) confidence -= 0.1;
+  if (date?.confidence) confidence = Math.min(confidence, date.confidence);
+
+  // Resolve meridiem for bare hours using the day part when we have one
+  let hour = time?.hour ?? null;
+  let meridiemAmbiguous = false;
+  if (time && time.meridiem == null && hour <= 12) {
+    if (dayPart && dayPart.start >= 12 && hour < 12) hour += 12;
+    else if (dayPart && dayPart.start < 12 && hour === 12) hour = 0;
+    else if (dayPart || hour === 12) {
+      // morning hours and plain "12" are already right
+    } else if (hour >= 1 && hour <= 6) {
+      hour += 12; // nobody books a showing at 3am
+      confidence -= 0.1;
+    } else if (hour >= 9 && hour <= 11) {
+      confidence -= 0.1; // 9–11 is almost always morning
+    } else {
+      meridiemAmbiguous = true; // 7 or 8 could be before or after work
+    }
+  } else if (time?.meridiem === "pm" && hour < 12) hour += 12;
+  else if (time?.meridiem === "am" && hour === 12) hour = 0;
+
+  const minute = time?.minute ?? 0;
+
+  // 🗓️ Date range ("this weekend", "next week")
+  if (date?.range) {
+    result.hasDate = true;
+    result.hasTime = !!time;
+    result.kind = "range";
+    result.start = time ? date.start.set({ hour, minute }) : date.start.set({ hour: dayPart?.start ?? 0 });
+    result.end = time ? date.end.set({ hour, minute }) : date.end.set({ hour: dayPart?.end ?? 23, minute: dayPart ? 0 : 59 });
+    result.confidence = Math.min(confidence, 0.5);
+    result.ambiguous = true;
+    result.ambiguity = "date_range";
+    return result;
+  }
+
+  // Base day: explicit date → that day; otherwise caller's baseDate or the next time it's possible
+  let day = date?.start || null;
+  result.hasDate = !!date;
+  result.hasTime = !!time;
+
+  if (date?.options?.length) {
+    result.options = date.options.map((d) =>
+      time ? d.set({ hour, minute }) : d
+    );
+    result.ambiguous = true;
+    result.ambiguity = "which_week";
+  }
+
+  if (!day) {
+    if (opts.baseDate) day = opts.baseDate.setZone(tz).startOf("day");
+    else {
+      day = now.startOf("day");
+      if (time && meridiemAmbiguous && day.set({ hour, minute }) <= now) {
+        // "at 8" after 8am: the morning one is gone, so tonight — or tomorrow if both are
+        if (day.set({ hour: hour + 12, minute }) > now) {
+          hour += 12;
+          meridiemAmbiguous = false;
+        } else {
+          day = day.plus({ days: 1 });
+        }
+      } else if (!meridiemAmbiguous) {
+        const probe = time ? day.set({ hour, minute }) : day.set({ hour: dayPart.end });
+        if (probe <= now) day = day.plus({ days: 1 });
+      }
+    }
+    confidence -= 0.1;
+  }
+
+  // ⏰ Exact time
+  if (time) {
+    result.kind = "datetime";
+    result.start = day.set({ hour, minute, second: 0, millisecond: 0 });
+    result.confidence = Math.max(0, Math.min(confidence, 0.99));
+
+    if (meridiemAmbiguous && !result.ambiguous) {
+      result.ambiguous = true;
+      result.ambiguity = "meridiem";
+      result.options = [result.start, result.start.plus({ hours: 12 })];
+    }
+
+    result.inPast = result.start <= now;
+    return result;
+  }
+
+  // 🌆 Day part only ("tomorrow afternoon")
+  if (dayPart) {
+    result.kind = "range";
+    result.start = day.set({ hour: dayPart.start });
+    result.end = day.set({ hour: dayPart.end });
+    result.confidence = Math.min(confidence, 0.5);
+    if (!result.ambiguous) {
+      result.ambiguous = true;
+      result.ambiguity = "vague_time";
+    }
+    result.inPast = result.end <= now;
+    return result;
+  }
+
+  // 📅 Date only ("Thursday", "Oct 24th")
+  result.kind = "date";
+  result.start = day;
+  result.end = day.endOf("day");
+  result.confidence = Math.min(confidence, 0.6);
+  if (!result.ambiguous) {
+    result.ambiguous = true;
+    result.ambiguity = "time_missing";
+  }
+  result.inPast = result.end <= now;
+  return result;
+}
+
+/**
+ * Build the question Ava should ask when a parse is ambiguous.
+ * Returns null when the parse is clear enough to act on.
+ */
+export function clarifyingQuestion(parsed) {
+  if (!parsed?.ambiguous) return null;
+
+  const fmtDay = (d) => d.toFormat(SHOWING_DATE_FMT);
+  const fmtTime = (d) => d.toFormat(d.minute ? "h:mm a" : "h a");
+
+  switch (parsed.ambiguity) {
+    case "meridiem": {
+      const [am, pm] = parsed.options;
+      return `Just to make sure — did you mean ${fmtTime(am)} or ${fmtTime(pm)} on ${fmtDay(am)}?`;
+    }
+    case "which_week": {
+      const [first, second] = parsed.options;
+      return `Did you mean ${fmtDay(first)} or ${fmtDay(second)}?`;
+    }
+    case "date_range": {
+      const span = Math.round(parsed.end.startOf("day").diff(parsed.start.startOf("day"), "days").days);
+      if (span <= 1) {
+        return `Which day works better — ${fmtDay(parsed.start)} or ${fmtDay(parsed.end)}?`;
+      }
+      return `Which day between ${fmtDay(parsed.start)} and ${fmtDay(parsed.end)} works best for you?`;
+    }
+    case "vague_time":
+      return `What time in the ${parsed.dayPart || "day"} works best on ${fmtDay(parsed.start)}?`;
+    case "time_missing":
+      return `What time works best for you on ${fmtDay(parsed.start)}?`;
+    default:
+      return "What day and time works best for you?";
+  }
+}
+
+// ---------- internals ----------
+
+function parseRelative(raw, now) {
+  const m = raw.match(
+    /\bin\s+(half an?|an?|a couple(?: of)?|a few|couple(?: of)?|few|\d+|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve)\s*(min(?:ute)?s?|hours?|hrs?|days?)\b/
+  );
+  if (!m) return null;
+
+  const unit = m[2].startsWith("min") ? "minutes" : m[2].startsWith("d") ? "days" : "hours";
+  let amount;
+  if (m[1].startsWith("half")) amount = 0.5;
+  else if (/^\d+$/.test(m[1])) amount = parseInt(m[1], 10);
+  else amount = NUMBER_WORDS[m[1].replace(/\s+of$/, "")] ?? NUMBER_WORDS[m[1]];
+  if (!amount) return null;
+
+  const approximate = /\b(a few|few|a couple|couple)\b/.test(m[1]);
+
+  if (unit === "days") {
+    const day = now.startOf("day").plus({ days: Math.round(amount) });
+    return {
+      kind: "date",
+      start: day,
+      end: day.endOf("day"),
+      hasDate: true,
+      hasTime: false,
+      confidence: 0.6,
+      ambiguous: true,
+      ambiguity: "time_missing",
+    };
+  }
+
+  const minutes = unit === "hours" ? amount * 60 : amount;
+  // Round up to the next 5 minutes so we never propose "4:07 PM"
+  let start = now.plus({ minutes }).set({ second: 0, millisecond: 0 });
+  const rem = start.minute % 5;
+  if (rem) start = start.plus({ minutes: 5 - rem });
+
+  return {
+    kind: "datetime",
+    start,
+    end: null,
+    hasDate: true,
+    hasTime: true,
+    confidence: approximate ? 0.7 : 0.9,
+    ambiguous: false,
+    ambiguity: null,
+  };
+}
+
+function parseDate(raw, now) {
+  const today = now.startOf("day");
+  let m;
+
+  // Weekend / week ranges
+  if ((m = raw.match(/\b(this|next|coming)?\s*weekend\b/))) {
+    let sat = today.plus({ days: (6 - today.weekday + 7) % 7 });
+    if (today.weekday === 7) sat = today.minus({ days: 1 });
+    if (m[1] === "next" && today.weekday < 6) sat = sat.plus({ days: 7 });
+    const start = sat < today ? today : sat;
+    return { match: m[0], start, end: sat.plus({ days: 1 }), range: true };
+  }
+  if ((m = raw.match(/\b(this|next)\s+week\b/))) {
+    const monday = today.startOf("week");
+    if (m[1] === "next") {
+      const start = monday.plus({ weeks: 1 });
+      return { match: m[0], start, end: start.plus({ days: 6 }), range: true };
+    }
+    return { match: m[0], start: today, end: monday.plus({ days: 6 }), range: true };
+  }
+
+  // Relative days
+  if ((m = raw.match(/\b(?:the\s+)?day after (?:tomorrow|tmrw?|tmw)\b/))) {
+    return { match: m[0], start: today.plus({ days: 2 }) };
+  }
+  if ((m = raw.match(/\b(?:tomorrow|tmrw?|tmw|tomorow|tommorow|tommorrow)\b/))) {
+    return { match: m[0], start: today.plus({ days: 1 }) };
+  }
+  if ((m = raw.match(/\b(?:today|tonight|this (?:morning|afternoon|evening))\b/))) {
+    return { match: m[0], start: today };
+  }
+
+  // Month-name dates — "Oct 24th", "October 24", "24th of October"
+  const monthFirst = new RegExp(`\\b(${MONTH_NAMES})\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b(?:,?\\s*(\\d{4}))?`);
+  const dayFirst = new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?(${MONTH_NAMES})\\b(?:,?\\s*(\\d{4}))?`);
+  if ((m = raw.match(monthFirst)) && !NOT_A_TIME.test(raw.slice(m.index + m[0].length))) {
+    const d = buildDate(now, MONTHS[m[1].slice(0, 3)], parseInt(m[2], 10), m[3]);
+    if (d) return { match: m[0], start: d };
+  }
+  if ((m = raw.match(dayFirst))) {
+    const d = buildDate(now, MONTHS[m[2].slice(0, 3)], parseInt(m[1], 10), m[3]);
+    if (d) return { match: m[0], start: d };
+  }
+
+  // Numeric — "10/24", "10/24/2025" (North American month/day)
+  if ((m = raw.match(/\b(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?\b/))) {
+    const year = m[3] ? (m[3].length === 2 ? `20${m[3]}` : m[3]) : undefined;
+    const d = buildDate(now, parseInt(m[1], 10), parseInt(m[2], 10), year);
+    if (d) return { match: m[0], start: d };
+  }
+
+  // "the 24th"
+  if ((m = raw.match(/\b(?:on\s+)?the\s+(\d{1,2})(?:st|nd|rd|th)\b/))) {
+    const dayNum = parseInt(m[1], 10);
+    let d = today.set({ day: dayNum });
+    if (d.isValid && d.day === dayNum) {
+      if (d < today) d = d.plus({ months: 1 });
+      return { match: m[0], start: d, confidence: 0.85 };
+    }
+  }
+
+  // Weekdays — "thursday", "next thu", "this friday"
+  const weekdayRe = new RegExp(`\\b(?:(this|next|coming)\\s+)?(${WEEKDAY_NAMES})\\b`);
+  if ((m = raw.match(weekdayRe))) {
+    const target = WEEKDAYS[m[2]];
+    const diff = (target - today.weekday + 7) % 7;
+    const upcoming = today.plus({ days: diff });
+
+    if (m[1] === "next") {
+      // "next Thursday" on a Monday could mean either Thursday — ask rather than guess
+      if (diff === 0) return { match: m[0], start: upcoming.plus({ days: 7 }) };
+      if (upcoming.weekNumber === today.weekNumber) {
+        return {
+          match: m[0],
+          start: upcoming,
+          options: [upcoming, upcoming.plus({ days: 7 })],
+          confidence: 0.5,
+        };
+      }
+      return { match: m[0], start: upcoming };
+    }
+    return { match: m[0], start: upcoming };
+  }
+
+  return null;
+}
+
+function buildDate(now, month, day, year) {
+  if (!month || !day) return null;
+  let d = DateTime.fromObject(
+    { year: year ? parseInt(year, 10) : now.year, month, day },
+    { zone: now.zoneName }
+  );
+  if (!d.isValid) return null;
+  // No year given and the date already passed → they mean next year
+  if (!year && d < now.startOf("day")) d = d.plus({ years: 1 });
+  return d;
+}
+
+function parseTime(raw) {
+  let m;
+  const approximate = /\b(?:around|about|roughly|approx(?:imately)?|or so)\b|ish\b/.test(raw);
+
+  if (/\b(?:noon|midday|mid-day)\b/.test(raw)) return { hour: 12, minute: 0, meridiem: "pm", approximate };
+  if (/\bmidnight\b/.test(raw)) return { hour: 0, minute: 0, meridiem: "am", approximate };
+
+  // "4:30", "4:30pm", "16:30"
+  const clock = /(?:^|[^\d$:/])(\d{1,2})[:.](\d{2})\s*(am|pm)?\b/g;
+  while ((m = clock.exec(raw))) {
+    const t = toTime(m[1], m[2], m[3], approximate);
+    if (t) return t;
+  }
+
+  // "4pm", "4 pm", "11am"
+  const withMeridiem = /(?:^|[^\d$:/])(\d{1,2})\s*(am|pm)\b/g;
+  while ((m = withMeridiem.exec(raw))) {
+    const t = toTime(m[1], null, m[2], approximate);
+    if (t) return t;
+  }
+
+  // "4 o'clock"
+  if ((m = raw.match(/\b(\d{1,2})\s*o'?clock\b/))) {
+    const t = toTime(m[1], null, null, approximate);
+    if (t) return t;
+  }
+
+  // Anchored bare hours — "at 4", "around 5", "by 3", "@ 2" (a trailing "." or "," ends
+  // the sentence; followed by a digit it's a decimal / thousands, not an hour)
+  const anchored = /(?:\b(?:at|around|about|by|after|before|for|until|till)|@)\s+(\d{1,2})(?![\d:/$]|[.,]\d)/g;
+  while ((m = anchored.exec(raw))) {
+    const rest = raw.slice(m.index + m[0].length);
+    if (NOT_A_TIME.test(rest)) continue;
+    const t = toTime(m[1], null, null, approximate || /around|about/.test(m[0]));
+    if (t) return t;
+  }
+
+  return null;
+}
+
+function toTime(h, min, meridiem, approximate) {
+  let hour = parseInt(h, 10);
+  const minute = min ? parseInt(min, 10) : 0;
+  if (hour > 23 || minute > 59) return null;
+
+  let mer = meridiem || null;
+  if (mer && (hour < 1 || hour > 12)) return null;
+  // "16:30" or "09:00" are unambiguous 24-hour clock times
+  if (!mer && (hour >= 13 || /^0\d$/.test(h))) mer = "24h";
+
+  return { hour, minute, meridiem: mer, approximate };
+}
@@ -0,0 +1,78 @@
+// ai-backend/utils/phoneVerification.js
+import crypto from "crypto";
+import { PrismaClient } from "@prisma/client";
+
+const prisma = new PrismaClient();
+
+/**
+ * 🔐 One-time SMS codes for the public booking page.
+ * Codes are stored hashed; a verified code stays usable until it expires
+ * so the renter can pick another slot without a new text.
+ */
+export const CODE_TTL_MINUTES = 10;
+export const MAX_ATTEMPTS = 5;
+export const MAX_CODES_PER_WINDOW = 3;
+const WINDOW_MINUTES = 15;
+
+// Read on use, not at import (index.js loads .env after its imports and refuses to start without one)
+export function verificationSecret() {
+  return process.env.VERIFICATION_SECRET || process.env.OAUTH_COOKIE_SECRET || null;
+}
+
+function hashCode(phone, code) {
+  const secret = verificationSecret();
+  if (!secret) throw new Error("Missing VERIFICATION_SECRET");
+  return crypto.createHmac("sha256", secret).update(`${phone}:${code}`).digest("hex");
+}
+
+/**
+ * 📨 New 6-digit code for a phone → { code } or { error: "RATE_LIMITED" }
+ */
+export async function createVerification(phone) {
+  const recent = await prisma.phoneVerification.count({
+    where: { phone, createdAt: { gt: new Date(Date.now() - WINDOW_MINUTES * 60 * 1000) } },
+  });
+  if (recent >= MAX_CODES_PER_WINDOW) return { error: "RATE_LIMITED" };
+
+  const code = String(crypto.randomInt(0, 1_000_000)).padStart(6, "0");
+  await prisma.phoneVerification.create({
+    data: {
+      phone,
+      codeHash: hashCode(phone, code),
+      expiresAt: new Date(Date.now() + CODE_TTL_MINUTES * 60 * 1000),
+    },
+  });
+  return { code };
+}
+
+/**
+ * ✅ Does `code` match the phone's latest live code? → { ok, reason }
+ * reason: "NO_CODE" | "EXPIRED" | "TOO_MANY_ATTEMPTS" | "WRONG_CODE"
+ */
+export async function checkVerification(phone, code) {
+  const latest = await prisma.phoneVerification.findFirst({
+    where: { phone },
+    orderBy: { createdAt: "desc" },
+  });
+  if (!latest) return { ok: false, reason: "NO_CODE" };
+  if (latest.expiresAt <= new Date()) return { ok: false, reason: "EXPIRED" };
+  if (latest.attempts >= MAX_ATTEMPTS) return { ok: false, reason: "TOO_MANY_ATTEMPTS" };
+
+  const given = Buffer.from(hashCode(phone, String(code || "").trim()));
+  const expected = Buffer.from(latest.codeHash);
+  if (!crypto.timingSafeEqual(given, expected)) {
+    await prisma.phoneVerification.update({
+      where: { id: latest.id },
+      data: { attempts: { increment: 1 } },
+    });
+    return { ok: false, reason: "WRONG_CODE" };
+  }
+
+  if (!latest.verifiedAt) {
+    await prisma.phoneVerification.update({
+      where: { id: latest.id },
+      data: { verifiedAt: new Date() },
+    });
+  }
+  return { ok: true, reason: null };
+}
@@ -0,0 +1,227 @@
+// ai-backend/utils/promptTemplates.js
+import { PrismaClient } from "@prisma/client";
+
+const prisma = new PrismaClient();
+
+/**
+ * 📝 Ava's prompts, editable from the dashboard (/prompts).
+ *
+ * Every save is a new PromptTemplate row (key + version); the highest version
+ * is live. Rollback just re-publishes an older body as a new version, so the
+ * history only ever grows.
+ *
+ * The built-in defaults below are stored too (createdBy "built-in", v0 on first
+ * use), so every Message can point at the exact version that wrote it. Until
+ * staff save their own version, a changed default in code is published as the
+ * next version automatically. Only when the DB can't be read is the default used
+ * unsaved (id null).
+ *
+ * Syntax (same braces as reminder templates):
+ *   {name}               variable
+ *   {#name}…{/name}      only if name is set
+ *   {^name}…{/name}      only if name is empty
+ */
+
+const AVA_PERSONA = `You are "Ava", a professional and personable leasing assistant for a real estate company.
+
+You speak like a real person who works in property management — warm, confident, and natural in tone.
+You never sound robotic or overly formal.`;
+
+export const PROMPTS = {
+  "ava.system": {
+    label: "Ava — conversation",
+    description: "System prompt for every SMS reply Ava writes (with tools for slots, booking and facts).",
+    variables: ["leadName", "propertyName", "propertyFacts", "openSlots", "showing", "qualification", "summary", "bookingLink", "timezone", "now"],
+    body: `${AVA_PERSONA}
+
+Your goal is to help renters inquire about properties and book showings.
+
+### RULES:
+- Use your tools instead of guessing: get_property_facts before answering anything about the home, find_slots before offering times.
+- Only offer showing times a tool returned. If a tool refuses a time, say why in a few words and offer its alternatives.
+- If a tool result includes a "question", ask the renter that instead of guessing the time.
+- Booking takes two steps: create_booking with confirmed=false, ask the renter to confirm, then create_booking with confirmed=true once they agree.
+- Use reschedule_booking or cancel_booking when they want to move or cancel their showing.
+- Negotiation, complaints, applications, or anything the facts don't cover → handoff_to_human.
+- Times passed to tools are local to the property ({timezone}). It is now {now}.
+- This is an ongoing SMS thread: don't re-introduce yourself or re-ask anything already answered.
+- Keep SMS replies short, conversational, and natural.{#bookingLink}
+- If they'd rather pick a time themselves, share the BOOKING LINK.{/bookingLink}
+
+### PROPERTY:
+{#propertyName}{propertyName}{/propertyName}{^propertyName}Not known yet — ask which listing they're texting about.{/propertyName}
+{#leadName}
+### RENTER:
+{leadName}
+{/leadName}
+### RENTER'S SHOWING:
+{showing}
+{#qualification}
+### WHAT THE RENTER ALREADY TOLD US (don't ask again):
+{qualification}
+{/qualification}{#summary}
+### EARLIER IN THIS CONVERSATION (summary):
+{summary}
+{/summary}{#bookingLink}
+### BOOKING LINK:
+{bookingLink}
+{/bookingLink}`,
+  },
+
+  "intent.system": {
+    label: "Intent classifier",
+    description: "Labels each inbound text (used for hand-off on negotiation).",
+    variables: ["labels"],
+    body: "Classify into: {labels}. Return ONLY the label.",
+  },
+
+  "scenario.persona": {
+    label: "Scenario texts — persona",
+    description: "System prompt for the scripted texts below (the confirmation after a booking from the web page).",
+    variables: [],
+    body: `You are "Ava", a friendly, real leasing assistant for a property management company.
+You text like a real person — warm, confident, concise, and natural.
+Avoid robotic or repetitive phrasing.
+Don't overuse emojis (use at most one friendly emoji like 😊 if it fits).
+Keep replies under 2 short sentences.
+Never use filler like "as an AI" or "I'm sorry".`,
+  },
+
+  "scenario.booking_confirmed": {
+    label: "Scenario — showing booked",
+    variables: ["startFmt", "propertyName"],
+    body: "The renter’s showing was successfully booked for {startFmt} at {propertyName}. Send a warm confirmation message.",
+  },
+};
+
+export const isPromptKey = (key) => Object.prototype.hasOwnProperty.call(PROMPTS, key);
+
+/**
+ * 🧩 Fill variables and {#section}s in a template body
+ */
+export function renderPrompt(body, vars = {}) {
+  const isSet = (v) => v != null && v !== "" && !(Array.isArray(v) && !v.length);
+  return String(body || "")
+    .replace(/\{([#^])(\w+)\}([\s\S]*?)\{\/\2\}/g, (m, kind, key, inner) =>
+      (kind === "#") === isSet(vars[key]) ? renderPrompt(inner, vars) : ""
+    )
+    .replace(/\{(\w+)\}/g, (m, key) => {
+      const v = vars[key];
+      if (v == null) return m;
+      return Array.isArray(v) ? v.join(", ") : String(v);
+    });
+}
+
+/**
+ * 🔎 Variables used in a body that the template doesn't offer (typos, mostly)
+ */
+export function unknownVariables(key, body) {
+  const allowed = new Set(PROMPTS[key]?.variables || []);
+  const used = [...String(body || "").matchAll(/\{[#^/]?(\w+)\}/g)].map((m) => m[1]);
+  return [...new Set(used.filter((v) => !allowed.has(v)))];
+}
+
+/* -------------------------------------------------------------
+   📦 Live versions (cached briefly — every SMS reads one or two)
+------------------------------------------------------------- */
+const CACHE_MS = 60 * 1000;
+const cache = new Map();
+
+export const BUILT_IN = "built-in"; // createdBy of versions that come from the code
+
+const builtIn = (key) => ({ id: null, key, version: 0, body: PROMPTS[key].body, note: "Built-in default" });
+
+const latestVersion = (key) => prisma.promptTemplate.findFirst({ where: { key }, orderBy: { version: "desc" } });
+
+// Latest stored version, storing the built-in default first when it's missing or
+// changed in code (and nobody has replaced it with their own version)
+async function loadLatest(key) {
+  const latest = await latestVersion(key);
+  const { body } = PROMPTS[key];
+  if (latest && (latest.createdBy !== BUILT_IN || latest.body === body)) return latest;
+
+  try {
+    const row = await prisma.promptTemplate.create({
+      data: {
+        key,
+        version: latest ? latest.version + 1 : 0,
+        body,
+        note: latest ? "Built-in default updated" : "Built-in default",
+        createdBy: BUILT_IN,
+      },
+    });
+    console.log(`📝 Prompt ${key} → v${row.version} (built-in)`);
+    return row;
+  } catch (err) {
+    if (err.code !== "P2002") throw err;
+    return latestVersion(key); // another request stored it first
+  }
+}
+
+/**
+ * 📄 Live version of a prompt → { id, key, version, body } (id null = DB unavailable)
+ */
+export async function getActivePrompt(key) {
+  if (!isPromptKey(key)) throw new Error(`Unknown prompt "${key}"`);
+
+  const hit = cache.get(key);
+  if (hit && Date.now() - hit.at < CACHE_MS) return hit.prompt;
+
+  let prompt;
+  try {
+    prompt = await loadLatest(key);
+  } catch (err) {
+    console.error(`❌ Loading prompt ${key} failed — using built-in:`, err.message);
+    return builtIn(key);
+  }
+  cache.set(key, { prompt, at: Date.now() });
+  return prompt;
+}
+
+/**
+ * 🧠 Render the live version → { text, promptTemplateId, version }
+ * (promptTemplateId goes on the Message it produced)
+ */
+export async function renderActivePrompt(key, vars = {}) {
+  const prompt = await getActivePrompt(key);
+  return { text: renderPrompt(prompt.body, vars).trim(), promptTemplateId: prompt.id, version: prompt.version };
+}
+
+/**
+ * 📜 Every stored version of a prompt, newest first (v0 = the original built-in)
+ */
+export async function getPromptHistory(key) {
+  await loadLatest(key);
+  const rows = await prisma.promptTemplate.findMany({
+    where: { key },
+    orderBy: { version: "desc" },
+    include: { _count: { select: { messages: true } } },
+  });
+  return rows.map(({ _count, ...row }) => ({ ...row, messageCount: _count.messages }));
+}
+
+/**
+ * 💾 Publish a new version (becomes live immediately)
+ */
+export async function savePromptVersion(key, body, { note = null, createdBy = null } = {}) {
+  const latest = await loadLatest(key);
+  const row = await prisma.promptTemplate.create({
+    data: { key, version: latest.version + 1, body, note, createdBy },
+  });
+  cache.delete(key);
+  console.log(`📝 Prompt ${key} → v${row.version}${note ? ` (${note})` : ""}`);
+  return row;
+}
+
+/**
+ * ⏪ Re-publish an older version's body as the newest version.
+ * Version 0 = back to the built-in default (today's, which then follows code updates again).
+ */
+export async function rollbackPrompt(key, version, { createdBy = null } = {}) {
+  if (version === 0) {
+    return savePromptVersion(key, PROMPTS[key].body, { note: `Rollback to built-in default (by ${createdBy || "unknown"})`, createdBy: BUILT_IN });
+  }
+  const source = await prisma.promptTemplate.findUnique({ where: { key_version: { key, version } } });
+  if (!source) return null;
+  return savePromptVersion(key, source.body, { note: `Rollback to v${version}`, createdBy });
+}
@@ -0,0 +1,63 @@
+// ai-backend/utils/readCursors.js
+import { PrismaClient } from "@prisma/client";
+
+const prisma = new PrismaClient();
+
+export const DEFAULT_AGENT = "dashboard";
+
+/**
+ * 👀 Move an agent's read cursor for a lead forward (never backwards).
+ * Without a messageId, everything currently in the thread counts as read.
+ */
+export async function markConversationRead(leadId, agentId = DEFAULT_AGENT, { messageId } = {}) {
+  let upTo = Number(messageId) || null;
+  if (!upTo) {
+    const latest = await prisma.message.findFirst({
+      where: { leadId },
+      orderBy: { id: "desc" },
+      select: { id: true },
+    });
+    upTo = latest?.id || 0;
+  }
+
+  const existing = await prisma.conversationRead.findUnique({
+    where: { leadId_agentId: { leadId, agentId } },
+  });
+  if (existing && existing.lastReadMessageId >= upTo) return existing;
+
+  return prisma.conversationRead.upsert({
+    where: { leadId_agentId: { leadId, agentId } },
+    update: { lastReadMessageId: upTo, lastReadAt: new Date() },
+    create: { leadId, agentId, lastReadMessageId: upTo },
+  });
+}
+
+/**
+ * 🔢 Unread renter messages per lead for one agent → Map(leadId → count)
+ * Only inbound texts count — our own replies never make a thread "new".
+ */
+export async function getUnreadCounts(leadIds, agentId = DEFAULT_AGENT) {
+  const counts = new Map();
+  if (!leadIds?.length) return counts;
+
+  const cursors = await prisma.conversationRead.findMany({
+    where: { agentId, leadId: { in: leadIds } },
+    select: { leadId: true, lastReadMessageId: true },
+  });
+  const seen = cursors.map((c) => c.leadId);
+
+  const rows = await prisma.message.groupBy({
+    by: ["leadId"],
+    where: {
+      role: "user",
+      OR: [
+        ...cursors.map((c) => ({ leadId: c.leadId, id: { gt: c.lastReadMessageId } })),
+        { leadId: { in: leadIds.filter((id) => !seen.includes(id)) } },
+      ],
+    },
+    _count: { _all: true },
+  });
+
+  for (const r of rows) counts.set(r.leadId, r._count._all);
+  return counts;
+}
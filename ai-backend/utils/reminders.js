@@ -0,0 +1,212 @@
+// ai-backend/utils/reminders.js
+import { PrismaClient } from "@prisma/client";
+import { STATES, setConversationState } from "./conversationState.js";
+import { FALLBACK_TIMEZONE, formatInZone, isValidTimezone } from "./timezone.js";
+
+const prisma = new PrismaClient();
+
+// Follow-ups older than this are never sent (e.g. first deploy, long outage)
+const FOLLOW_UP_LOOKBACK_DAYS = 3;
+
+/**
+ * ⚙️ Reminder settings live on the GlobalSettings row (created on first read)
+ */
+export async function getReminderSettings() {
+  let settings = await prisma.globalSettings.findFirst();
+  if (!settings) settings = await prisma.globalSettings.create({ data: {} });
+  return settings;
+}
+
+/**
+ * 🧩 Fill {name}, {property}, {address}, {time}, {link} in a template
+ */
+export function renderTemplate(template, vars = {}) {
+  return String(template || "")
+    .replace(/\{(\w+)\}/g, (m, key) => (vars[key] != null ? String(vars[key]) : m))
+    .replace(/\s+([,.!?])/g, "$1")
+    .trim();
+}
+
+function templateVars(booking, settings) {
+  const facts = booking.property?.facts;
+  const tz = [booking.property?.timezone, settings.timezone].find(isValidTimezone) || FALLBACK_TIMEZONE;
+  return {
+    name: booking.lead?.name?.split(" ")[0] || "there",
+    property: facts?.buildingName || booking.property?.address || "the property",
+    address: facts?.address || booking.property?.address || "",
+    time: formatInZone(booking.datetime, tz),
+    link: settings.applicationUrl || facts?.listingUrl || "",
+  };
+}
+
+/**
+ * 🔒 Claim a reminder slot before sending. The unique (bookingId, kind, offset)
+ * row is what stops a restart — or a second instance — from sending it again.
+ */
+async function claim(bookingId, kind, offsetMinutes, status = "sent") {
+  try {
+    return await prisma.reminderLog.create({
+      data: { bookingId, kind, offsetMinutes, status },
+    });
+  } catch (err) {
+    if (err.code === "P2002") return null; // already sent / skipped
+    throw err;
+  }
+}
+
+async function deliver(log, booking, body, { sendSms }) {
+  try {
+    const job = await sendSms(booking.lead.phone, body, {
+      idempotencyKey: `reminder:${log.id}`,
+      propertyId: booking.propertyId,
+    });
+    if (!job) {
+      // 📵 Opted out — nothing was sent
+      await prisma.reminderLog.update({ where: { id: log.id }, data: { status: "skipped", body } });
+      console.log(`📵 Skipped ${log.kind} (${log.offsetMinutes}m) for booking ${booking.id} — opted out`);
+      return false;
+    }
+    await prisma.reminderLog.update({ where: { id: log.id }, data: { body } });
+    console.log(`🔔 Sent ${log.kind} (${log.offsetMinutes}m) for booking ${booking.id}`);
+    return true;
+  } catch (err) {
+    console.error(`❌ ${log.kind} for booking ${booking.id} failed:`, err.message);
+    await prisma.reminderLog.update({
+      where: { id: log.id },
+      data: { status: "failed", body },
+    });
+    return false;
+  }
+}
+
+/**
+ * ⏰ Pre-showing reminders. If several offsets are already due (booking made
+ * late), only the closest one is sent and the rest are logged as skipped.
+ */
+async function sendDueReminders(settings, deps) {
+  const offsets = [...new Set(settings.reminderOffsets || [])]
+    .filter((m) => m > 0)
+    .sort((a, b) => a - b);
+  if (!settings.remindersEnabled || !offsets.length) return 0;
+
+  const now = new Date();
+  const horizon = new Date(now.getTime() + offsets[offsets.length - 1] * 60 * 1000);
+
+  const bookings = await prisma.booking.findMany({
+    where: { status: "confirmed", datetime: { gt: now, lte: horizon } },
+    include: { lead: true, property: { include: { facts: true } }, reminders: true },
+  });
+
+  let sent = 0;
+  for (const booking of bookings) {
+    if (!booking.lead?.phone) continue;
+
+    const minutesLeft = (booking.datetime.getTime() - now.getTime()) / 60000;
+    const done = new Set(
+      booking.reminders.filter((r) => r.kind === "reminder").map((r) => r.offsetMinutes)
+    );
+    const due = offsets.filter((m) => m >= minutesLeft && !done.has(m));
+    if (!due.length) continue;
+
+    const [closest, ...stale] = due;
+    for (const m of stale) await claim(booking.id, "reminder", m, "skipped");
+
+    const log = await claim(booking.id, "reminder", closest);
+    if (!log) continue;
+
+    const body = renderTemplate(settings.reminderTemplate, templateVars(booking, settings));
+    if (await deliver(log, booking, body, deps)) sent++;
+  }
+  return sent;
+}
+
+/**
+ * 🏁 After the showing: application link if it happened, rebook prompt if no-show
+ */
+async function sendFollowUps(settings, deps) {
+  if (!settings.followUpEnabled) return 0;
+
+  const now = new Date();
+  const delay = settings.followUpDelayMinutes ?? 120;
+  const cutoff = new Date(now.getTime() - delay * 60 * 1000);
+  const oldest = new Date(now.getTime() - FOLLOW_UP_LOOKBACK_DAYS * 24 * 60 * 60 * 1000);
+
+  const bookings = await prisma.booking.findMany({
+    where: {
+      status: { in: ["confirmed", "completed", "no_show"] },
+      datetime: { gte: oldest },
+      OR: [{ status: "no_show" }, { datetime: { lte: cutoff } }],
+    },
+    include: { lead: true, property: { include: { facts: true } }, reminders: true },
+  });
+
+  let sent = 0;
+  for (const booking of bookings) {
+    if (!booking.lead?.phone) continue;
+
+    const kind = booking.status === "no_show" ? "no_show" : "follow_up";
+    if (booking.reminders.some((r) => r.kind === kind)) continue;
+    // A no-show that already got the thank-you follow-up shouldn't get "sorry we missed you"
+    if (kind === "no_show" && booking.reminders.some((r) => r.kind === "follow_up")) continue;
+
+    const log = await claim(booking.id, kind, kind === "follow_up" ? delay : 0);
+    if (!log) continue;
+
+    const template = kind === "no_show" ? settings.noShowTemplate : settings.followUpTemplate;
+    const body = renderTemplate(template, templateVars(booking, settings));
+    if (!(await deliver(log, booking, body, deps))) continue;
+    sent++;
+
+    // 🔁 No-show → any time they text back goes straight into booking
+    if (kind === "no_show" && booking.propertyId) {
+      await setConversationState(booking.leadId, booking.propertyId, STATES.AWAITING_TIME, {
+        bookingId: null,
+        pendingDate: null,
+        pendingTime: null,
+        pendingOptions: null,
+      });
+    }
+  }
+  return sent;
+}
+
+/**
+ * 🔁 One scheduler pass (runs on an interval from index.js)
+ * deps = { sendSms } so this module never talks to Twilio directly
+ */
+export async function runReminderSweep(deps) {
+  try {
+    const settings = await getReminderSettings();
+    const reminders = await sendDueReminders(settings, deps);
+    const followUps = await sendFollowUps(settings, deps);
+    if (reminders || followUps) {
+      console.log(`🔔 Reminder sweep: ${reminders} reminder(s), ${followUps} follow-up(s)`);
+    }
+  } catch (err) {
+    console.error("❌ runReminderSweep failed:", err);
+  }
+}
+
+/**
+ * 🙋 Upcoming booking whose reminder is still waiting on a "YES"
+ */
+export async function findBookingAwaitingAttendance(leadId) {
+  return prisma.booking.findFirst({
+    where: {
+      leadId,
+      status: "confirmed",
+      datetime: { gt: new Date() },
+      attendanceConfirmedAt: null,
+      reminders: { some: { kind: "reminder", status: "sent" } },
+    },
+    orderBy: { datetime: "asc" },
+    include: { property: { include: { facts: true } } },
+  });
+}
+
+export async function confirmAttendance(bookingId) {
+  return prisma.booking.update({
+    where: { id: bookingId },
+    data: { attendanceConfirmedAt: new Date() },
+  });
+}
@@ -0,0 +1,48 @@
+// ai-backend/utils/sse.js
+import { subscribeEvents } from "./eventBus.js";
+
+const PING_MS = 25 * 1000;
+
+/**
+ * 📡 Pipe an event-bus channel to an SSE response.
+ * - Resumes from the Last-Event-ID header (browsers send it on reconnect)
+ *   or ?lastEventId= for the first connection
+ * - filter(evt) narrows a channel (e.g. only booking events from "global")
+ * - snapshot is sent first, without an id, so it never affects resume
+ */
+export async function streamEvents(req, res, channel, { filter, snapshot } = {}) {
+  res.setHeader("Content-Type", "text/event-stream");
+  res.setHeader("Cache-Control", "no-cache");
+  res.setHeader("Connection", "keep-alive");
+  res.setHeader("X-Accel-Buffering", "no"); // don't let proxies hold events back
+  res.flushHeaders?.();
+
+  res.write("retry: 3000\n\n");
+  if (snapshot) res.write(`data: ${JSON.stringify(snapshot)}\n\n`);
+
+  const lastEventId = req.get("Last-Event-ID") || req.query.lastEventId || null;
+
+  let closed = false;
+  let unsubscribe = null;
+  const ping = setInterval(() => {
+    res.write(`event: ping\ndata: ${JSON.stringify({ ts: Date.now() })}\n\n`);
+  }, PING_MS);
+
+  req.on("close", () => {
+    closed = true;
+    clearInterval(ping);
+    unsubscribe?.();
+  });
+
+  unsubscribe = await subscribeEvents(
+    channel,
+    (evt) => {
+      if (closed || (filter && !filter(evt))) return;
+      res.write(`id: ${evt.id}\ndata: ${JSON.stringify(evt)}\n\n`);
+    },
+    { lastEventId }
+  );
+
+  // Client left while we were subscribing
+  if (closed) unsubscribe?.();
+}
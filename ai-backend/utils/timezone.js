@@ -0,0 +1,56 @@
+// ai-backend/utils/timezone.js
+import { PrismaClient } from "@prisma/client";
+import { DateTime, IANAZone } from "luxon";
+
+const prisma = new PrismaClient();
+
+// Last resort when GlobalSettings hasn't been created yet
+export const FALLBACK_TIMEZONE = "America/Edmonton";
+
+export const SHOWING_TIME_FMT = "ccc, LLL d 'at' h:mm a";
+
+export function isValidTimezone(tz) {
+  return typeof tz === "string" && IANAZone.isValidZone(tz);
+}
+
+/**
+ * ⚙️ Default zone for properties without their own (GlobalSettings.timezone)
+ */
+export async function getDefaultTimezone() {
+  const settings = await prisma.globalSettings.findFirst({ select: { timezone: true } });
+  return isValidTimezone(settings?.timezone) ? settings.timezone : FALLBACK_TIMEZONE;
+}
+
+/**
+ * 🌎 Zone a property's showings happen in. Accepts a property object
+ * (uses its timezone field if loaded) or a property id.
+ */
+export async function getPropertyTimezone(propertyOrId) {
+  let property = propertyOrId;
+  if (typeof propertyOrId === "number") {
+    property = await prisma.property.findUnique({
+      where: { id: propertyOrId },
+      select: { timezone: true },
+    });
+  }
+
+  if (isValidTimezone(property?.timezone)) return property.timezone;
+  return getDefaultTimezone();
+}
+
+/**
+ * 🕒 "Thu, Oct 23 at 3:00 PM" in the given zone
+ */
+export function formatInZone(date, tz, fmt = SHOWING_TIME_FMT) {
+  const dt = DateTime.isDateTime(date) ? date : DateTime.fromJSDate(new Date(date));
+  return dt.setZone(tz).toFormat(fmt);
+}
+
+/**
+ * 🧱 "HH:mm" on a given local day, by wall clock (DST-safe — unlike
+ * startOf("day").plus({ hours }), which lands an hour off on change-over days)
+ */
+export function atLocalTime(day, hhmm) {
+  const [hour, minute] = String(hhmm || "00:00").split(":").map((n) => parseInt(n, 10) || 0);
+  return day.set({ hour, minute, second: 0, millisecond: 0 });
+}
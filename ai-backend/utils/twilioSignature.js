@@ -0,0 +1,37 @@
+// ai-backend/utils/twilioSignature.js
+import twilio from "twilio";
+
+/**
+ * 🔏 Express middleware: only let genuine Twilio webhooks through.
+ *
+ * Twilio signs the full public URL + POST params with our auth token
+ * (X-Twilio-Signature). Behind Render's proxy the URL we see can differ from the
+ * one Twilio called, so TWILIO_WEBHOOK_BASE_URL can pin the public origin.
+ *
+ * - production → missing or bad signature = 403
+ * - elsewhere  → logged and allowed (local curl / ngrok testing)
+ */
+export function verifyTwilioSignature(req, res, next) {
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+  const enforce = (process.env.NODE_ENV || "production") === "production";
+  const signature = req.header("x-twilio-signature");
+
+  const base =
+    process.env.TWILIO_WEBHOOK_BASE_URL?.replace(/\/+$/, "") ||
+    `${req.protocol}://${req.get("host")}`;
+  const url = `${base}${req.originalUrl}`;
+
+  const valid =
+    !!signature && !!authToken && twilio.validateRequest(authToken, signature, url, req.body || {});
+
+  if (valid) return next();
+
+  const reason = !signature ? "missing signature" : !authToken ? "no auth token configured" : "bad signature";
+  if (enforce) {
+    console.warn(`🚫 Rejected Twilio webhook ${req.originalUrl} (${reason}) from ${req.ip}`);
+    return res.status(403).json({ ok: false, error: "INVALID_SIGNATURE" });
+  }
+
+  console.warn(`⚠️ Unverified Twilio webhook ${req.originalUrl} (${reason}) — allowed outside production`);
+  next();
+}
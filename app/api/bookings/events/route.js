@@ -1,32 +1,38 @@
-// import Redis from "ioredis";
-// (Redis disabled – DB-only mode)
+// app/api/bookings/events/route.js
+// 📡 Proxies the backend booking/availability SSE feed (no Redis — the backend owns pub/sub)
 
 // Disable static optimization
 export const dynamic = "force-dynamic";
 export const revalidate = 0;
 
-export async function GET() {
-// const redis = new Redis(process.env.REDIS_URL);
-console.log("🧠 Redis disabled in events route (DB-only mode)");
+export async function GET(request) {
+  const aiBackendBase = (process.env.NEXT_PUBLIC_AI_BACKEND_URL || "").replace(/\/$/, "");
+  const headers = { Accept: "text/event-stream" };
 
-  const stream = new ReadableStream({
-    start(controller) {
-      const sub = new Redis(process.env.REDIS_URL);
-      sub.subscribe("bookings:new");
-      sub.on("message", (_ch, msg) => {
-        controller.enqueue(`data: ${msg}\n\n`);
-      });
-    },
-    cancel() {
-      redis.disconnect();
-    },
-  });
+  // 🔁 Pass the browser's resume point through so missed events are replayed
+  const lastEventId = request.headers.get("last-event-id");
+  if (lastEventId) headers["Last-Event-ID"] = lastEventId;
 
-  return new Response(stream, {
-    headers: {
-      "Content-Type": "text/event-stream",
-      "Cache-Control": "no-cache",
-      Connection: "keep-alive",
-    },
-  });
+  try {
+    const r = await fetch(`${aiBackendBase}/api/bookings/events`, {
+      headers,
+      cache: "no-store",
+      signal: request.signal,
+    });
+    if (!r.ok || !r.body) throw new Error(`Backend returned ${r.status}`);
+
+    return new Response(r.body, {
+      headers: {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+      },
+    });
+  } catch (err) {
+    console.error("❌ Error proxying booking events:", err);
+    return new Response(JSON.stringify({ ok: false, error: err.message }), {
+      headers: { "Content-Type": "application/json" },
+      status: 502,
+    });
+  }
 }
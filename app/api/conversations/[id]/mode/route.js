@@ -0,0 +1,39 @@
+// app/api/conversations/[id]/mode/route.js
+
+export async function POST(request, context) {
+  const id = decodeURIComponent(context.params.id);
+  const aiBackendBase = process.env.NEXT_PUBLIC_AI_BACKEND_URL;
+  const url = `${aiBackendBase}/api/conversations/${encodeURIComponent(id)}/mode`;
+
+  try {
+    const body = await request.json();
+
+    // 🔹 Forward { mode, owner, reason } to backend
+    console.log(`➡️ Setting conversation mode for ${id}: ${body.mode}`);
+    const r = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        mode: body.mode,
+        owner: body.owner || body.agentId || 'dashboard',
+        reason: body.reason,
+      }),
+    });
+
+    const j = await r.json().catch(() => ({}));
+    if (!r.ok || !j.ok) {
+      throw new Error(j.error || `Backend returned ${r.status}`);
+    }
+
+    return new Response(JSON.stringify({ ok: true, data: j.data }), {
+      headers: { 'Content-Type': 'application/json' },
+      status: 200,
+    });
+  } catch (err) {
+    console.error('❌ Error in mode route:', err);
+    return new Response(
+      JSON.stringify({ ok: false, error: err.message }),
+      { headers: { 'Content-Type': 'application/json' }, status: 500 }
+    );
+  }
+}
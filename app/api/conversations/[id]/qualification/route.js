@@ -0,0 +1,37 @@
+// app/api/conversations/[id]/qualification/route.js
+
+export async function POST(request, context) {
+  const id = decodeURIComponent(context.params.id);
+  const aiBackendBase = process.env.NEXT_PUBLIC_AI_BACKEND_URL;
+  const url = `${aiBackendBase}/api/conversations/${encodeURIComponent(id)}/qualification`;
+
+  try {
+    const body = await request.json();
+
+    // 🔹 Forward { summary, moveInDate, budget, … } to backend
+    const r = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ ...body, agentId: body.agentId || 'dashboard' }),
+    });
+
+    const j = await r.json().catch(() => ({}));
+    if (!r.ok || !j.ok) {
+      return new Response(
+        JSON.stringify({ ok: false, error: j.error || `Backend returned ${r.status}` }),
+        { headers: { 'Content-Type': 'application/json' }, status: r.status === 400 ? 400 : 500 }
+      );
+    }
+
+    return new Response(JSON.stringify({ ok: true, data: j.data }), {
+      headers: { 'Content-Type': 'application/json' },
+      status: 200,
+    });
+  } catch (err) {
+    console.error('❌ Error in qualification route:', err);
+    return new Response(
+      JSON.stringify({ ok: false, error: err.message }),
+      { headers: { 'Content-Type': 'application/json' }, status: 500 }
+    );
+  }
+}
@@ -1,12 +1,21 @@
 import { NextResponse } from "next/server";
-import { redis } from "@/lib/redis";
 
-export async function POST(_req, { params }) {
+// 👀 Move this agent's read cursor to the latest message (or body.messageId)
+export async function POST(req, { params }) {
   const phone = decodeURIComponent(params.id);
+  const aiBackendBase = process.env.NEXT_PUBLIC_AI_BACKEND_URL;
+
   try {
-    const now = new Date().toISOString();
-    await redis.set(`conv:${phone}:last_read`, now);
-    return NextResponse.json({ ok: true, phone, lastRead: now });
+    const body = await req.json().catch(() => ({}));
+    const r = await fetch(`${aiBackendBase}/api/conversations/${encodeURIComponent(phone)}/read`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ agentId: body.agentId || "dashboard", messageId: body.messageId }),
+    });
+    const j = await r.json().catch(() => ({}));
+    if (!r.ok || !j.ok) throw new Error(j.error || `Backend returned ${r.status}`);
+
+    return NextResponse.json({ ok: true, phone, lastRead: j.data.lastReadAt, ...j.data });
   } catch (err) {
     return NextResponse.json({ ok: false, error: err.message }, { status: 500 });
   }
@@ -16,15 +16,19 @@ export async function GET(request, context) {
 
     // 🧠 Normalize backend format → dashboard format
     const messages = (j.messages || []).map((m) => ({
-      t: m.ts,
+      id: m.id,
+      t: m.createdAt || m.ts,
       role:
-        m.sender === "lead"
+        m.sender === "lead" || m.sender === "user"
           ? "user"
           : m.sender === "ai"
           ? "assistant"
           : "agent",
       content: m.text,
       meta: m.meta,
+      status: m.deliveryStatus || null,
+      errorCode: m.errorCode || null,
+      errorMessage: m.errorMessage || null,
     }));
 
     const payload = {
@@ -34,6 +38,10 @@ export async function GET(request, context) {
       mode: j.mode || "auto",
       handoffReason: j.handoffReason || "",
       owner: j.owner || "",
+      states: j.states || [],
+      lastOutboundFailed: !!j.lastOutboundFailed,
+      consent: j.consent || null,
+      qualification: j.qualification || null,
       messages,
       properties: [],
     };
@@ -1,46 +1,30 @@
 import { NextResponse } from "next/server";
-import { redis } from "@/lib/redis";
 
-export async function GET() {
-  try {
-    const keys = await redis.keys("lead:*:history");
-    const rows = [];
-
-    for (const key of keys) {
-      const phone = key.match(/lead:(\+?\d+)/)?.[1] || "unknown";
-
-      const [prop, intent, lastArr, lastRead] = await Promise.all([
-        redis.smembers(`lead:${phone}:properties`),
-        redis.get(`lead:${phone}:intent`).catch(() => null),
-        redis.lrange(key, -1, -1),
-        redis.get(`conv:${phone}:last_read`).catch(() => null),
-      ]);
+// 🔹 One row per renter who has texted, newest first, with this agent's unread state
+export async function GET(request) {
+  const aiBackendBase = process.env.NEXT_PUBLIC_AI_BACKEND_URL;
+  const agentId = new URL(request.url).searchParams.get("agentId") || "dashboard";
 
-      let lastMessage = null, lastTime = null, lastRole = null;
-      if (lastArr?.[0]) {
-        try {
-          const parsed = JSON.parse(lastArr[0]);
-          lastMessage = parsed.content || String(lastArr[0]);
-          lastTime = parsed.t || null;
-          lastRole = parsed.role || null;
-        } catch {
-          lastMessage = String(lastArr[0]);
-        }
-      }
-
-      const unread =
-        lastTime && lastRead ? new Date(lastTime) > new Date(lastRead) : !!lastTime && !lastRead;
-
-      rows.push({
-        id: phone,
-        property: prop?.[0] || null,
-        intent: intent || null,
-        lastMessage,
-        lastTime,
-        lastRole,
-        unread,
-      });
-    }
+  try {
+    const r = await fetch(`${aiBackendBase}/api/leads?agentId=${encodeURIComponent(agentId)}`, {
+      cache: "no-store",
+    });
+    const j = await r.json();
+    if (!r.ok || !j.ok) throw new Error(j.error || `Backend returned ${r.status}`);
+
+    const rows = (j.data || [])
+      .filter((l) => l.lastTime)
+      .map((l) => ({
+        id: l.phone,
+        name: l.name || null,
+        property: l.property,
+        bookingState: l.state && l.state !== "idle" ? l.state.replace(/_/g, " ") : null, // e.g. "awaiting confirmation"
+        lastMessage: l.lastMessage,
+        lastTime: l.lastTime,
+        lastRole: l.lastRole,
+        unread: !!l.unread,
+        unreadCount: l.unreadCount || 0,
+      }));
 
     rows.sort((a, b) => (b.lastTime || "").localeCompare(a.lastTime || ""));
 
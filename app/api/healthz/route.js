@@ -0,0 +1,12 @@
+import { NextResponse } from "next/server";
+
+// 🩺 Dashboard is up + backend can reach Postgres
+export async function GET() {
+  try {
+    const r = await fetch(`${process.env.NEXT_PUBLIC_AI_BACKEND_URL}/api/health`, { cache: "no-store" });
+    const j = await r.json().catch(() => ({}));
+    return NextResponse.json({ ok: !!j.ok, db: !!j.db }, { status: r.ok ? 200 : 503 });
+  } catch (e) {
+    return NextResponse.json({ ok: false, error: e.message }, { status: 500 });
+  }
+}
@@ -1,14 +1,14 @@
 import { NextResponse } from "next/server";
-import { redis } from "../../../lib/redis";
-
-
 
+// 🧪 Quick end-to-end check: Next → backend → Postgres
 export async function GET() {
   try {
-    const keys = await redis.keys("*");
-    return NextResponse.json({ ok: true, keys });
+    const r = await fetch(`${process.env.NEXT_PUBLIC_AI_BACKEND_URL}/api/leads`, { cache: "no-store" });
+    const j = await r.json();
+    if (!j.ok) throw new Error(j.error || `Backend returned ${r.status}`);
+    return NextResponse.json({ ok: true, leads: j.count });
   } catch (err) {
-    console.error("Redis test failed:", err);
+    console.error("Backend test failed:", err);
     return NextResponse.json({ ok: false, error: err.message });
   }
 }
@@ -0,0 +1,277 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Button } from "@/components/ui/button";
+
+const BACKEND =
+  process.env.NEXT_PUBLIC_AI_BACKEND_URL || "https://api.cubbylockers.com";
+
+// 🏷️ Facts worth showing a renter, in display order
+const FACT_LABELS = [
+  ["rent", "Rent"],
+  ["deposit", "Deposit"],
+  ["bedrooms", "Bedrooms"],
+  ["bathrooms", "Bathrooms"],
+  ["sqft", "Size (sq ft)"],
+  ["unitType", "Unit"],
+  ["leaseTerm", "Lease"],
+  ["availability", "Available"],
+  ["parking", "Parking"],
+  ["utilities", "Utilities"],
+  ["includedUtilities", "Included"],
+  ["petPolicy", "Pets"],
+];
+
+const ERRORS = {
+  INVALID_PHONE: "Please enter a valid mobile number.",
+  OPTED_OUT: "This number has opted out of texts. Text START to us to opt back in.",
+  RATE_LIMITED: "Too many codes requested — please wait a few minutes.",
+  NO_CODE: "Request a code first.",
+  EXPIRED: "That code expired — request a new one.",
+  TOO_MANY_ATTEMPTS: "Too many wrong codes — request a new one.",
+  WRONG_CODE: "That code doesn't match.",
+  SLOT_UNAVAILABLE: "That time was just taken — please pick another.",
+};
+
+function formatFact(value) {
+  if (typeof value === "boolean") return value ? "Yes" : "No";
+  if (Array.isArray(value)) return value.join(", ");
+  return String(value);
+}
+
+export default function BookShowingPage({ params }) {
+  const slug = params.slug;
+  const [property, setProperty] = useState(null);
+  const [notFound, setNotFound] = useState(false);
+  const [days, setDays] = useState([]);
+  const [slot, setSlot] = useState(null);
+  const [form, setForm] = useState({ name: "", phone: "", code: "" });
+  const [codeSent, setCodeSent] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const [booked, setBooked] = useState(null);
+
+  // 🏠 Property + next two weeks of open times
+  async function loadSlots() {
+    const res = await fetch(
+      `${BACKEND}/api/availability/slots?${new URLSearchParams({ propertySlug: slug })}`,
+      { cache: "no-store" }
+    );
+    const json = await res.json();
+    const byDay = new Map();
+    for (const s of json.ok ? json.data.slots : []) {
+      const day = s.label.split(" at ")[0];
+      if (!byDay.has(day)) byDay.set(day, []);
+      byDay.get(day).push(s);
+    }
+    setDays([...byDay.entries()]);
+  }
+
+  useEffect(() => {
+    (async () => {
+      try {
+        const res = await fetch(`${BACKEND}/api/public/book/${slug}`, { cache: "no-store" });
+        const json = await res.json();
+        if (!json.ok) return setNotFound(true);
+        setProperty(json.data);
+        await loadSlots();
+      } catch (err) {
+        console.error("❌ Failed to load booking page:", err);
+        setNotFound(true);
+      }
+    })();
+  }, [slug]);
+
+  const handleChange = (e) => setForm({ ...form, [e.target.name]: e.target.value });
+
+  const sendCode = async () => {
+    setBusy(true);
+    setError("");
+    try {
+      const res = await fetch(`${BACKEND}/api/public/book/${slug}/code`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ phone: form.phone }),
+      });
+      const json = await res.json();
+      if (!json.ok) return setError(ERRORS[json.error] || "Couldn't send a code — try again.");
+      setCodeSent(true);
+    } catch (err) {
+      console.error("❌ Send code failed:", err);
+      setError("Couldn't send a code — try again.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const book = async () => {
+    setBusy(true);
+    setError("");
+    try {
+      const res = await fetch(`${BACKEND}/api/public/book/${slug}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ ...form, start: slot.start }),
+      });
+      const json = await res.json();
+      if (json.ok) return setBooked(json.data);
+
+      setError(ERRORS[json.error] || "Booking failed — please try again.");
+      if (json.error === "SLOT_UNAVAILABLE") {
+        setSlot(null);
+        await loadSlots();
+      }
+    } catch (err) {
+      console.error("❌ Booking failed:", err);
+      setError("Booking failed — please try again.");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (notFound) {
+    return <p className="p-10 text-center text-gray-500">This property isn't taking bookings online.</p>;
+  }
+  if (!property) {
+    return <p className="p-10 text-center text-gray-400">Loading…</p>;
+  }
+
+  const title = property.facts.buildingName || property.address || property.slug;
+
+  if (booked) {
+    return (
+      <div className="max-w-xl mx-auto py-10">
+        <Card>
+          <CardContent>
+            <h1 className="text-xl font-semibold mb-2">You're booked! 🎉</h1>
+            <p className="text-gray-600">
+              Your showing at {title} is set for <strong>{booked.label}</strong>. We've texted you a
+              confirmation — reply to that text if you need to reschedule.
+            </p>
+          </CardContent>
+        </Card>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-2xl mx-auto py-8 space-y-6">
+      <Card>
+        <CardHeader>
+          <CardTitle>{title}</CardTitle>
+          {property.address && property.address !== title && (
+            <p className="text-sm text-gray-500">{property.address}</p>
+          )}
+        </CardHeader>
+        <CardContent>
+          {property.facts.description && (
+            <p className="text-sm text-gray-700 mb-4 whitespace-pre-line">{property.facts.description}</p>
+          )}
+          <dl className="grid grid-cols-2 gap-x-6 gap-y-2 text-sm">
+            {FACT_LABELS.filter(([key]) => property.facts[key] != null && property.facts[key] !== "").map(
+              ([key, label]) => (
+                <div key={key} className="flex justify-between border-b border-gray-100 py-1">
+                  <dt className="text-gray-500">{label}</dt>
+                  <dd className="text-gray-900 text-right">{formatFact(property.facts[key])}</dd>
+                </div>
+              )
+            )}
+          </dl>
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Pick a showing time</CardTitle>
+          <p className="text-xs text-gray-400">
+            Times are local to the property ({property.timezone.replace("_", " ")}) · about{" "}
+            {property.showingDuration} minutes
+          </p>
+        </CardHeader>
+        <CardContent>
+          {error && !slot && <p className="text-sm text-red-500 mb-3">{error}</p>}
+          {days.length === 0 ? (
+            <p className="text-sm text-gray-500">No open times in the next two weeks — text us and we'll find one.</p>
+          ) : (
+            <div className="space-y-3">
+              {days.map(([day, slots]) => (
+                <div key={day}>
+                  <p className="text-sm font-medium text-gray-700 mb-1">{day}</p>
+                  <div className="flex flex-wrap gap-2">
+                    {slots.map((s) => (
+                      <button
+                        key={s.start}
+                        type="button"
+                        onClick={() => setSlot(s)}
+                        className={`text-xs px-2 py-1 rounded border transition ${
+                          slot?.start === s.start
+                            ? "bg-indigo-600 text-white border-indigo-600"
+                            : "border-gray-300 hover:bg-gray-100"
+                        }`}
+                      >
+                        {s.label.split(" at ")[1]}
+                      </button>
+                    ))}
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      {slot && (
+        <Card>
+          <CardHeader>
+            <CardTitle>Confirm {slot.label}</CardTitle>
+          </CardHeader>
+          <CardContent>
+            <div className="space-y-4">
+              <div>
+                <Label>Your name</Label>
+                <Input name="name" value={form.name} onChange={handleChange} />
+              </div>
+              <div>
+                <Label>Mobile number</Label>
+                <div className="flex gap-2">
+                  <Input
+                    name="phone"
+                    type="tel"
+                    value={form.phone}
+                    onChange={handleChange}
+                    placeholder="780-555-0123"
+                  />
+                  <Button variant="outline" onClick={sendCode} disabled={busy || !form.phone}>
+                    {codeSent ? "Resend code" : "Text me a code"}
+                  </Button>
+                </div>
+              </div>
+              {codeSent && (
+                <div>
+                  <Label>6-digit code</Label>
+                  <Input
+                    name="code"
+                    inputMode="numeric"
+                    maxLength={6}
+                    value={form.code}
+                    onChange={handleChange}
+                  />
+                </div>
+              )}
+              {error && <p className="text-sm text-red-500">{error}</p>}
+              <Button onClick={book} disabled={busy || !codeSent || form.code.length !== 6}>
+                {busy ? "Booking…" : "Book showing"}
+              </Button>
+              <p className="text-xs text-gray-400">
+                By booking you agree to receive texts about this showing. Reply STOP anytime.
+              </p>
+            </div>
+          </CardContent>
+        </Card>
+      )}
+    </div>
+  );
+}
@@ -10,11 +10,16 @@ import { Drawer } from "@/components/ui/drawer";
 import { Calendar, Clock, MapPin } from "lucide-react";
 import { motion } from "framer-motion";
 import { mergeUniqueEvents } from "@/lib/mergeEvents";
+import CalendarSettings from "@/components/CalendarSettings";
+import AddBookingModal from "@/components/AddBookingModal";
 
 export default function CalendarPage() {
   const [events, setEvents] = useState([]);
   const [selected, setSelected] = useState(null);
   const [drawerOpen, setDrawerOpen] = useState(false);
+  const [settingsOpen, setSettingsOpen] = useState(false);
+  const [addOpen, setAddOpen] = useState(false);
+  const [calendarDefaults, setCalendarDefaults] = useState(null);
 
   const BACKEND =
     process.env.NEXT_PUBLIC_AI_BACKEND_URL || "https://api.cubbylockers.com";
@@ -34,11 +39,14 @@ export default function CalendarPage() {
       // 🟢 AI Bookings
       const ai = (bookingsJson.data || []).map((b) => {
         const start = new Date(b.datetime);
-        const end = new Date(start.getTime() + 30 * 60 * 1000);
+        const end = new Date(start.getTime() + (b.duration || 30) * 60 * 1000);
 
         return {
           id: "AI-" + b.id,
-          title: b.property?.address || "AI Showing",
+          title:
+            (b.property?.address || "AI Showing") +
+            (b.status === "pending" ? " (awaiting confirmation)" : "") +
+            (b.status === "no_show" ? " (no-show)" : ""),
           start,
           end,
           color: "#22c55e",
@@ -48,6 +56,7 @@ export default function CalendarPage() {
           leadName: b.lead?.name || "Unknown lead",
           unitType: b.property?.facts?.unitType || "N/A",
           notes: b.notes || "", // 🧠 include AI chat summary / notes
+          status: b.status,
         };
       });
 
@@ -79,6 +88,43 @@ export default function CalendarPage() {
     fetchAll();
   }, [BACKEND]);
 
+  // ⚙️ Weekly hours, timezone, holidays, showing defaults (date overrides are managed inside the modal)
+  async function openSettings() {
+    try {
+      const res = await fetch(`${BACKEND}/api/availability`, { cache: "no-store" });
+      const json = await res.json();
+      if (json.ok) {
+        setCalendarDefaults({
+          days: json.data.days,
+          timezone: json.data.timezone,
+          holidayCalendar: json.data.holidayCalendar,
+          showingDuration: json.data.showingDuration,
+          bufferMinutes: json.data.bufferMinutes,
+          slotCapacity: json.data.slotCapacity,
+        });
+      }
+    } catch (err) {
+      console.error("❌ Failed to load calendar settings:", err);
+    }
+    setSettingsOpen(true);
+  }
+
+  async function saveSettings(payload) {
+    try {
+      const res = await fetch(`${BACKEND}/api/availability`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(payload),
+      });
+      const json = await res.json();
+      if (!json.ok) return alert(json.error || "Failed to save calendar settings");
+      setSettingsOpen(false);
+    } catch (err) {
+      console.error("❌ Failed to save calendar settings:", err);
+      alert("Error saving calendar settings");
+    }
+  }
+
   // 🕒 Auto-refresh every 60 seconds
   useEffect(() => {
     const timer = setInterval(fetchAll, 60000);
@@ -95,7 +141,23 @@ export default function CalendarPage() {
       <div className="flex flex-1 gap-8">
         {/* Sidebar: Upcoming */}
         <div className="w-80 calendar-glass p-6 space-y-6 border-none shadow-md bg-white rounded-xl">
-          <h2 className="text-lg font-semibold">Upcoming Events</h2>
+          <div className="flex items-center justify-between">
+            <h2 className="text-lg font-semibold">Upcoming Events</h2>
+            <div className="flex gap-3">
+              <button
+                onClick={() => setAddOpen(true)}
+                className="text-xs text-indigo-600 hover:text-indigo-800"
+              >
+                Add showing
+              </button>
+              <button
+                onClick={openSettings}
+                className="text-xs text-indigo-600 hover:text-indigo-800"
+              >
+                Hours & holidays
+              </button>
+            </div>
+          </div>
           {upcoming.length === 0 ? (
             <p className="text-gray-400 text-sm">No events coming up.</p>
           ) : (
@@ -245,6 +307,38 @@ export default function CalendarPage() {
                 Open in Outlook
               </a>
             )}
+            {/* 🚫 No-show → Ava texts a rebooking prompt */}
+            {selected.source === "AI" &&
+              selected.status === "confirmed" &&
+              new Date(selected.start) < new Date() && (
+                <button
+                  onClick={async () => {
+                    if (!confirm("Mark this renter as a no-show? Ava will text them to rebook.")) return;
+
+                    try {
+                      const bookingId = selected.id.replace("AI-", "");
+                      const res = await fetch(`${BACKEND}/api/bookings/${bookingId}`, {
+                        method: "PUT",
+                        headers: { "Content-Type": "application/json" },
+                        body: JSON.stringify({ status: "no_show" }),
+                      });
+                      const json = await res.json();
+                      if (json.ok) {
+                        setDrawerOpen(false);
+                        fetchAll();
+                      } else {
+                        alert("Failed to update showing");
+                      }
+                    } catch (err) {
+                      console.error("❌ Mark no-show failed:", err);
+                      alert("Error updating showing");
+                    }
+                  }}
+                  className="mt-4 mr-2 bg-amber-500 hover:bg-amber-600 text-white text-sm px-4 py-2 rounded-lg transition"
+                >
+                  Mark No-Show
+                </button>
+              )}
             {/* 🗑️ Remove Showing button */}
 {selected.source === "AI" && (
   <button
@@ -281,6 +375,15 @@ export default function CalendarPage() {
           </div>
         )}
       </Drawer>
+
+      <AddBookingModal open={addOpen} onClose={() => setAddOpen(false)} onSave={fetchAll} />
+
+      <CalendarSettings
+        open={settingsOpen}
+        onClose={() => setSettingsOpen(false)}
+        onSave={saveSettings}
+        defaults={calendarDefaults}
+      />
     </div>
   );
 }
@@ -1,24 +1,106 @@
 "use client";
 
-import { useState } from "react";
+import { useEffect, useState } from "react";
 import { Dialog, DialogContent, DialogHeader, DialogTitle, DialogFooter } from "@/components/ui/dialog";
 import { Input } from "@/components/ui/input";
 import { Label } from "@/components/ui/label";
 import { Button } from "@/components/ui/button";
 
+const BACKEND =
+  process.env.NEXT_PUBLIC_AI_BACKEND_URL || "https://api.cubbylockers.com";
+
+const EMPTY_FORM = {
+  propertySlug: "",
+  phone: "",
+  notes: "",
+  date: "",
+  start: "",
+  end: "",
+};
+
 export default function AddBookingModal({ open, onClose, onSave }) {
-  const [form, setForm] = useState({
-    propertyName: "",
-    unitType: "",
-    leadName: "",
-    phone: "",
-    notes: "",
-    start: "",
-    end: "",
-  });
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [properties, setProperties] = useState([]);
+  const [slots, setSlots] = useState([]);
+  const [loadingSlots, setLoadingSlots] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState("");
 
   const handleChange = (e) => setForm({ ...form, [e.target.name]: e.target.value });
 
+  // 🏠 Properties for the picker
+  useEffect(() => {
+    if (!open) return;
+    fetch(`${BACKEND}/api/property-editor`, { cache: "no-store" })
+      .then((r) => r.json())
+      .then((json) => json.ok && setProperties(json.data || []))
+      .catch((err) => console.error("❌ Failed to load properties:", err));
+  }, [open]);
+
+  // 🔍 Free slots for the chosen property + day (same engine Ava books from)
+  useEffect(() => {
+    if (!form.propertySlug || !form.date) return setSlots([]);
+
+    const from = new Date(`${form.date}T00:00`);
+    const to = new Date(from.getTime() + 24 * 60 * 60 * 1000);
+    const params = new URLSearchParams({
+      propertySlug: form.propertySlug,
+      from: from.toISOString(),
+      to: to.toISOString(),
+    });
+
+    setLoadingSlots(true);
+    fetch(`${BACKEND}/api/availability/slots?${params}`, { cache: "no-store" })
+      .then((r) => r.json())
+      .then((json) => setSlots(json.ok ? json.data.slots : []))
+      .catch((err) => {
+        console.error("❌ Failed to load slots:", err);
+        setSlots([]);
+      })
+      .finally(() => setLoadingSlots(false));
+  }, [form.propertySlug, form.date]);
+
+  const pickSlot = (slot) => {
+    setError("");
+    setForm((prev) => ({ ...prev, start: slot.start, end: slot.end }));
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setError("");
+    try {
+      const res = await fetch(`${BACKEND}/api/bookings`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          leadPhone: form.phone,
+          propertySlug: form.propertySlug,
+          datetime: form.start,
+          notes: form.notes || undefined,
+        }),
+      });
+      const json = await res.json();
+
+      // 🚫 Taken since the list loaded → offer the backend's suggestions instead
+      if (res.status === 409) {
+        setError("That time was just taken — pick one of these instead.");
+        setSlots(json.suggestions || []);
+        setForm((prev) => ({ ...prev, start: "", end: "" }));
+        return;
+      }
+      if (!json.ok) return setError(json.error || "Failed to add showing");
+
+      onSave?.(json.data);
+      setForm(EMPTY_FORM);
+      onClose();
+    } catch (err) {
+      console.error("❌ Add showing failed:", err);
+      setError("Error adding showing");
+    } finally {
+      setSaving(false);
+    }
+  };
+
   return (
     <Dialog open={open} onOpenChange={onClose}>
       <DialogContent className="max-w-md">
@@ -29,39 +111,73 @@ export default function AddBookingModal({ open, onClose, onSave }) {
         <div className="space-y-4">
           <div>
             <Label>Property</Label>
-            <Input name="propertyName" value={form.propertyName} onChange={handleChange} />
+            <select
+              name="propertySlug"
+              value={form.propertySlug}
+              onChange={handleChange}
+              className="w-full border border-gray-300 rounded-md px-3 py-2 text-sm bg-white focus:outline-none focus:ring-2 focus:ring-indigo-500"
+            >
+              <option value="">Select a property…</option>
+              {properties.map((p) => (
+                <option key={p.slug} value={p.slug}>
+                  {p.facts?.buildingName || p.address || p.slug}
+                </option>
+              ))}
+            </select>
           </div>
           <div>
-            <Label>Unit Type</Label>
-            <Input name="unitType" value={form.unitType} onChange={handleChange} />
-          </div>
-          <div>
-            <Label>Lead Name</Label>
-            <Input name="leadName" value={form.leadName} onChange={handleChange} />
-          </div>
-          <div>
-            <Label>Phone</Label>
-            <Input name="phone" value={form.phone} onChange={handleChange} />
+            <Label>Lead Phone</Label>
+            <Input name="phone" value={form.phone} onChange={handleChange} placeholder="+1…" />
           </div>
           <div>
             <Label>Notes</Label>
             <Input name="notes" value={form.notes} onChange={handleChange} />
           </div>
-          <div className="flex gap-2">
-            <div className="w-1/2">
-              <Label>Start</Label>
-              <Input type="datetime-local" name="start" value={form.start} onChange={handleChange} />
-            </div>
-            <div className="w-1/2">
-              <Label>End</Label>
-              <Input type="datetime-local" name="end" value={form.end} onChange={handleChange} />
-            </div>
+          <div>
+            <Label>Day</Label>
+            <Input type="date" name="date" value={form.date} onChange={handleChange} />
           </div>
+
+          {form.propertySlug && (form.date || slots.length > 0) && (
+            <div>
+              <Label>Open Times</Label>
+              {loadingSlots ? (
+                <p className="text-sm text-gray-400">Checking availability…</p>
+              ) : slots.length === 0 ? (
+                <p className="text-sm text-gray-400">No open times that day.</p>
+              ) : (
+                <div className="flex flex-wrap gap-2 mt-1">
+                  {slots.map((slot) => (
+                    <button
+                      key={slot.start}
+                      type="button"
+                      onClick={() => pickSlot(slot)}
+                      className={`text-xs px-2 py-1 rounded border transition ${
+                        form.start === slot.start
+                          ? "bg-indigo-600 text-white border-indigo-600"
+                          : "border-gray-300 hover:bg-gray-100"
+                      }`}
+                    >
+                      {slot.label}
+                      {slot.seatsLeft > 1 ? ` · ${slot.seatsLeft} spots` : ""}
+                    </button>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+
+          {error && <p className="text-sm text-red-500">{error}</p>}
         </div>
 
         <DialogFooter className="mt-4">
           <Button variant="outline" onClick={onClose}>Cancel</Button>
-          <Button onClick={() => onSave(form)}>Save</Button>
+          <Button
+            onClick={handleSave}
+            disabled={saving || !form.start || !form.phone || !form.propertySlug}
+          >
+            {saving ? "Saving…" : "Save"}
+          </Button>
         </DialogFooter>
       </DialogContent>
     </Dialog>
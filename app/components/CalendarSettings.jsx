@@ -2,13 +2,103 @@
 import React, { useState, useEffect } from "react";
 import { Button } from "@/components/ui/button";
 
+// 🌎 Default zone for properties that don't set their own
+const TIMEZONES = [
+  "America/Vancouver",
+  "America/Edmonton",
+  "America/Regina",
+  "America/Winnipeg",
+  "America/Toronto",
+  "America/Halifax",
+  "America/St_Johns",
+];
+
+const BACKEND =
+  process.env.NEXT_PUBLIC_AI_BACKEND_URL || "https://api.cubbylockers.com";
+
+const EMPTY_OVERRIDE = {
+  date: "",
+  closed: true,
+  start: "10:00",
+  end: "16:00",
+  recurring: false,
+  label: "",
+  propertySlug: "",
+};
+
 export default function CalendarSettings({ open, onClose, onSave, defaults }) {
   const [days, setDays] = useState(defaults?.days || {});
+  const [timezone, setTimezone] = useState(defaults?.timezone || "America/Edmonton");
+  const [holidayCalendar, setHolidayCalendar] = useState(defaults?.holidayCalendar || "");
+  const [rules, setRules] = useState({ showingDuration: 30, bufferMinutes: 0, slotCapacity: 1 });
+  const [calendars, setCalendars] = useState([]);
+  const [holidays, setHolidays] = useState([]);
+  const [overrides, setOverrides] = useState([]);
+  const [draft, setDraft] = useState(EMPTY_OVERRIDE);
+  const [overrideError, setOverrideError] = useState("");
 
   useEffect(() => {
     if (defaults?.days) setDays(defaults.days);
+    if (defaults?.timezone) setTimezone(defaults.timezone);
+    if (defaults?.holidayCalendar !== undefined) setHolidayCalendar(defaults.holidayCalendar || "");
+    if (defaults?.showingDuration) {
+      setRules({
+        showingDuration: defaults.showingDuration,
+        bufferMinutes: defaults.bufferMinutes ?? 0,
+        slotCapacity: defaults.slotCapacity ?? 1,
+      });
+    }
   }, [defaults]);
 
+  // 📆 Date overrides + holiday calendars live on the backend, load when opened
+  async function loadOverrides() {
+    try {
+      const [oRes, hRes] = await Promise.all([
+        fetch(`${BACKEND}/api/availability/overrides`, { cache: "no-store" }),
+        fetch(`${BACKEND}/api/availability/holidays`, { cache: "no-store" }),
+      ]);
+      const [oJson, hJson] = await Promise.all([oRes.json(), hRes.json()]);
+      if (oJson.ok) setOverrides(oJson.data || []);
+      if (hJson.ok) {
+        setCalendars(hJson.data.calendars || []);
+        setHolidays(hJson.data.holidays || []);
+      }
+    } catch (err) {
+      console.error("❌ Failed to load schedule overrides:", err);
+    }
+  }
+
+  useEffect(() => {
+    if (open) loadOverrides();
+  }, [open]);
+
+  const addOverride = async () => {
+    setOverrideError("");
+    try {
+      const res = await fetch(`${BACKEND}/api/availability/overrides`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ ...draft, propertySlug: draft.propertySlug.trim() || undefined }),
+      });
+      const json = await res.json();
+      if (!json.ok) return setOverrideError(json.error || "Couldn't save override");
+      setDraft(EMPTY_OVERRIDE);
+      loadOverrides();
+    } catch (err) {
+      console.error("❌ Failed to save override:", err);
+      setOverrideError("Couldn't save override");
+    }
+  };
+
+  const removeOverride = async (id) => {
+    try {
+      await fetch(`${BACKEND}/api/availability/overrides/${id}`, { method: "DELETE" });
+      setOverrides((prev) => prev.filter((o) => o.id !== id));
+    } catch (err) {
+      console.error("❌ Failed to delete override:", err);
+    }
+  };
+
   const handleChange = (day, key, value) => {
     // Always store in HH:mm format (adds leading zero if needed)
     const normalized = value.padStart(5, "0");
@@ -19,17 +109,35 @@ export default function CalendarSettings({ open, onClose, onSave, defaults }) {
   };
 
   const handleSave = () => {
-    onSave({ days });
+    onSave({ days, timezone, holidayCalendar, ...rules });
   };
 
   if (!open) return null;
 
   return (
     <div className="fixed inset-0 flex items-center justify-center bg-black/50 z-50">
-      <div className="bg-white rounded-2xl shadow-xl p-6 w-[420px]">
+      <div className="bg-white rounded-2xl shadow-xl p-6 w-[480px] max-h-[90vh] overflow-y-auto">
         <h2 className="text-lg font-semibold mb-4">Calendar Settings</h2>
 
-        <div className="space-y-3 max-h-[60vh] overflow-y-auto pr-1">
+        <div className="flex items-center justify-between mb-3">
+          <span className="text-sm text-gray-600">Default timezone</span>
+          <select
+            value={timezone}
+            onChange={(e) => setTimezone(e.target.value)}
+            className="border rounded px-2 py-1 text-sm w-48 focus:ring focus:ring-indigo-200"
+          >
+            {TIMEZONES.map((tz) => (
+              <option key={tz} value={tz}>
+                {tz.replace("America/", "").replace("_", " ")}
+              </option>
+            ))}
+          </select>
+        </div>
+        <p className="text-xs text-gray-400 mb-3">
+          Hours below are local time at each property.
+        </p>
+
+        <div className="space-y-3 max-h-[40vh] overflow-y-auto pr-1">
           {Object.keys(days).map((day) => (
             <div
               key={day}
@@ -57,6 +165,143 @@ export default function CalendarSettings({ open, onClose, onSave, defaults }) {
           ))}
         </div>
 
+        {/* ⏱️ Showing defaults (a property can override these in the editor) */}
+        <h3 className="text-sm font-semibold mt-5 mb-2">Showings</h3>
+        {[
+          ["showingDuration", "Length (minutes)", 5],
+          ["bufferMinutes", "Buffer between showings (minutes)", 0],
+          ["slotCapacity", "Parties per slot", 1],
+        ].map(([key, label, min]) => (
+          <div key={key} className="flex items-center justify-between mb-2">
+            <span className="text-sm text-gray-600">{label}</span>
+            <input
+              type="number"
+              min={min}
+              step={key === "slotCapacity" ? 1 : 5}
+              value={rules[key]}
+              onChange={(e) => setRules({ ...rules, [key]: parseInt(e.target.value, 10) || min })}
+              className="border rounded px-2 py-1 text-sm w-24 focus:ring focus:ring-indigo-200"
+            />
+          </div>
+        ))}
+
+        {/* 🎉 Recurring holidays */}
+        <div className="flex items-center justify-between mt-5 mb-1">
+          <span className="text-sm text-gray-600">Closed on holidays</span>
+          <select
+            value={holidayCalendar}
+            onChange={(e) => setHolidayCalendar(e.target.value)}
+            className="border rounded px-2 py-1 text-sm w-48 focus:ring focus:ring-indigo-200"
+          >
+            <option value="">Off</option>
+            {calendars.map((c) => (
+              <option key={c.id} value={c.id}>
+                {c.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        {holidayCalendar && holidays.length > 0 && (
+          <p className="text-xs text-gray-400 mb-3">
+            This year: {holidays.map((h) => `${h.label} (${h.date.slice(5)})`).join(", ")}
+          </p>
+        )}
+
+        {/* 📆 Date overrides */}
+        <h3 className="text-sm font-semibold mt-4 mb-2">Date overrides</h3>
+        <div className="space-y-2 mb-3">
+          {overrides.length === 0 && (
+            <p className="text-xs text-gray-400">No closures or special hours yet.</p>
+          )}
+          {overrides.map((o) => (
+            <div
+              key={o.id}
+              className="flex items-center justify-between text-sm border border-gray-200 rounded px-2 py-1"
+            >
+              <span>
+                {o.recurring ? `Every ${o.date.slice(5)}` : o.date} ·{" "}
+                {o.closed ? "Closed" : `${o.start}–${o.end}`}
+                {o.label ? ` · ${o.label}` : ""}
+                <span className="text-gray-400"> · {o.property?.slug || "All properties"}</span>
+              </span>
+              <button
+                onClick={() => removeOverride(o.id)}
+                className="text-red-500 hover:text-red-700 text-xs"
+              >
+                Remove
+              </button>
+            </div>
+          ))}
+        </div>
+
+        <div className="border border-dashed border-gray-300 rounded p-3 space-y-2">
+          <div className="flex items-center gap-2">
+            <input
+              type="date"
+              value={draft.date}
+              onChange={(e) => setDraft({ ...draft, date: e.target.value })}
+              className="border rounded px-2 py-1 text-sm focus:ring focus:ring-indigo-200"
+            />
+            <select
+              value={draft.closed ? "closed" : "hours"}
+              onChange={(e) => setDraft({ ...draft, closed: e.target.value === "closed" })}
+              className="border rounded px-2 py-1 text-sm focus:ring focus:ring-indigo-200"
+            >
+              <option value="closed">Closed</option>
+              <option value="hours">Special hours</option>
+            </select>
+          </div>
+          {!draft.closed && (
+            <div className="flex items-center gap-2">
+              <input
+                type="time"
+                step="900"
+                value={draft.start}
+                onChange={(e) => setDraft({ ...draft, start: e.target.value.padStart(5, "0") })}
+                className="border rounded px-2 py-1 text-sm w-28 focus:ring focus:ring-indigo-200"
+              />
+              <span className="text-gray-400">–</span>
+              <input
+                type="time"
+                step="900"
+                value={draft.end}
+                onChange={(e) => setDraft({ ...draft, end: e.target.value.padStart(5, "0") })}
+                className="border rounded px-2 py-1 text-sm w-28 focus:ring focus:ring-indigo-200"
+              />
+            </div>
+          )}
+          <div className="flex items-center gap-2">
+            <input
+              type="text"
+              placeholder="Label (e.g. Open house)"
+              value={draft.label}
+              onChange={(e) => setDraft({ ...draft, label: e.target.value })}
+              className="border rounded px-2 py-1 text-sm flex-1 focus:ring focus:ring-indigo-200"
+            />
+            <input
+              type="text"
+              placeholder="Property slug (blank = all)"
+              value={draft.propertySlug}
+              onChange={(e) => setDraft({ ...draft, propertySlug: e.target.value })}
+              className="border rounded px-2 py-1 text-sm flex-1 focus:ring focus:ring-indigo-200"
+            />
+          </div>
+          <div className="flex items-center justify-between">
+            <label className="flex items-center gap-2 text-xs text-gray-600">
+              <input
+                type="checkbox"
+                checked={draft.recurring}
+                onChange={(e) => setDraft({ ...draft, recurring: e.target.checked })}
+              />
+              Repeat every year
+            </label>
+            <Button variant="outline" onClick={addOverride} disabled={!draft.date}>
+              Add override
+            </Button>
+          </div>
+          {overrideError && <p className="text-xs text-red-500">{overrideError}</p>}
+        </div>
+
         <div className="mt-5 flex justify-end gap-3">
           <Button variant="outline" onClick={onClose}>
             Cancel
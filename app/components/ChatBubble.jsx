@@ -1,7 +1,8 @@
 "use client";
 import React from "react";
+import DeliveryStatus from "@/components/DeliveryStatus";
 
-export default function ChatBubble({ role, message, time }) {
+export default function ChatBubble({ role, message, time, status, errorCode, errorMessage }) {
   const isUser = role === "user";        // renter
   const isAva = role === "assistant";    // AI
   const isHuman = role === "agent";      // optional for future
@@ -27,6 +28,11 @@ export default function ChatBubble({ role, message, time }) {
             })}
           </div>
         )}
+        {!isUser && status && (
+          <div className="mt-0.5 text-right">
+            <DeliveryStatus status={status} errorCode={errorCode} errorMessage={errorMessage} />
+          </div>
+        )}
       </div>
     </div>
   );
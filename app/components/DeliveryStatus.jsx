@@ -0,0 +1,37 @@
+"use client";
+
+// 📶 Twilio delivery status → short label for outbound bubbles
+const LABELS = {
+  queued: { text: "Sending…", className: "opacity-60" },
+  accepted: { text: "Sending…", className: "opacity-60" },
+  sending: { text: "Sending…", className: "opacity-60" },
+  sent: { text: "Sent", className: "opacity-70" },
+  delivered: { text: "Delivered ✓", className: "opacity-80" },
+  read: { text: "Read ✓✓", className: "opacity-80" },
+  undelivered: { text: "Not delivered", className: "text-red-500 font-medium" },
+  failed: { text: "Failed", className: "text-red-500 font-medium" },
+};
+
+// Twilio error codes worth spelling out for staff
+const ERRORS = {
+  30003: "phone unreachable",
+  30004: "blocked by recipient",
+  30005: "unknown number",
+  30006: "landline or unreachable carrier",
+  30007: "filtered by carrier",
+  30008: "unknown carrier error",
+  21610: "renter opted out (STOP)",
+};
+
+export default function DeliveryStatus({ status, errorCode, errorMessage, className = "" }) {
+  if (!status) return null;
+  const label = LABELS[status] || { text: status, className: "opacity-60" };
+  const reason = ERRORS[errorCode] || errorMessage || (errorCode ? `error ${errorCode}` : "");
+
+  return (
+    <span className={`text-[11px] ${label.className} ${className}`} title={reason || undefined}>
+      {label.text}
+      {reason && (status === "failed" || status === "undelivered") ? ` — ${reason}` : ""}
+    </span>
+  );
+}
@@ -2,18 +2,29 @@
 import Link from "next/link";
 import { usePathname } from "next/navigation";
 import { cn } from "@/lib/utils";
+import useUnreadCount from "@/components/useUnreadCount";
 
 const navItems = [
   { href: "/analytics", label: "Dashboard", icon: "📊" }, // 👈 Now points to Analytics
   { href: "/inbox", label: "Inbox", icon: "💬" },
   { href: "/calendar", label: "Calendar", icon: "📅" },
   { href: "/properties", label: "Properties", icon: "🏘️" },
+  { href: "/prompts", label: "Prompts", icon: "📝" },
   { href: "/settings", label: "Settings", icon: "⚙️" },
 ];
 
 export default function Sidebar() {
   const pathname = usePathname();
 
+  // 🌐 Public renter pages (/book/[slug]) get no dashboard chrome
+  if (pathname.startsWith("/book/")) return null;
+
+  return <DashboardSidebar pathname={pathname} />;
+}
+
+function DashboardSidebar({ pathname }) {
+  const unread = useUnreadCount();
+
   return (
     <aside className="hidden w-60 flex-none border-r bg-white/90 p-3 md:block">
       <div className="mb-4 px-2 text-lg font-semibold tracking-tight">
@@ -36,6 +47,11 @@ export default function Sidebar() {
             >
               <span>{item.icon}</span>
               <span>{item.label}</span>
+              {item.href === "/inbox" && unread > 0 && (
+                <span className="ml-auto rounded-full bg-indigo-600 px-2 py-0.5 text-xs text-white">
+                  {unread}
+                </span>
+              )}
             </Link>
           );
         })}
@@ -8,6 +8,7 @@ export default function ConversationPage({ params }) {
   const id = decodeURIComponent(params.id); // phone in E.164
   const [data, setData] = useState(null);
   const [sending, setSending] = useState(false);
+  const [switching, setSwitching] = useState(false);
   const listRef = useRef(null);
 
   const aiBackendBase = useMemo(() => {
@@ -32,6 +33,10 @@ export default function ConversationPage({ params }) {
           mode: j.mode || 'auto',
           handoffReason: j.handoffReason || '',
           owner: j.owner || '',
+          states: j.states || [],
+          lastOutboundFailed: !!j.lastOutboundFailed,
+          consent: j.consent || null,
+          qualification: j.qualification || null,
           messages: j.messages || [],
           properties: j.properties || [],
         });
@@ -48,6 +53,12 @@ export default function ConversationPage({ params }) {
     }
   }, [data?.messages?.length]);
 
+  // 👀 Anything on screen counts as read
+  useEffect(() => {
+    if (!data?.messages?.length) return;
+    fetch(`/api/conversations/${encodeURIComponent(id)}/read`, { method: 'POST' }).catch(() => {});
+  }, [id, data?.messages?.length]);
+
   // 🔹 SSE live updates
   useEffect(() => {
     load(); // Initial fetch
@@ -71,6 +82,15 @@ export default function ConversationPage({ params }) {
             ...d,
             messages: [...(d?.messages || []), evt.item],
           }));
+        } else if (evt.type === 'message_status') {
+          setData((d) => ({
+            ...d,
+            messages: (d?.messages || []).map((m) =>
+              m.id === evt.messageId
+                ? { ...m, status: evt.status, errorCode: evt.errorCode, errorMessage: evt.errorMessage }
+                : m
+            ),
+          }));
         } else if (evt.type === 'mode') {
           setData((d) => ({
             ...d,
@@ -78,6 +98,8 @@ export default function ConversationPage({ params }) {
             handoffReason: evt.handoffReason || '',
             owner: evt.owner || d?.owner || '',
           }));
+        } else if (evt.type === 'qualification' && evt.qualification) {
+          setData((d) => ({ ...d, qualification: evt.qualification }));
         }
       } catch (err) {
         console.warn('SSE parse error:', err);
@@ -106,6 +128,29 @@ async function onSend(text) {
   }
 }
 
+  // 🔹 Take over / pause / hand back to Ava
+  async function changeMode(mode) {
+    setSwitching(true);
+    try {
+      const r = await fetch(`/api/conversations/${encodeURIComponent(id)}/mode`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ mode }),
+      });
+      const j = await r.json().catch(() => ({}));
+      if (j?.ok) {
+        setData((d) => ({
+          ...d,
+          mode: j.data.mode,
+          handoffReason: j.data.handoffReason || '',
+          owner: j.data.owner || '',
+        }));
+      }
+    } finally {
+      setSwitching(false);
+    }
+  }
+
   // 🧱 If still loading
   if (!data) {
     return (
@@ -116,6 +161,7 @@ async function onSend(text) {
   }
 
   const isHuman = data.mode === 'human';
+  const optedOut = data.consent?.status === 'opted_out';
 
   // 🔹 Render
   return (
@@ -126,43 +172,217 @@ async function onSend(text) {
           <h2 className="text-lg font-semibold">{data.lead || id}</h2>
           <div className="flex items-center gap-2">
             <ModeChip mode={data.mode} reason={data.handoffReason} owner={data.owner} />
+            {data.states?.[0] && <BookingStateChip state={data.states[0]} />}
+            <ConsentChip consent={data.consent} />
+            {data.lastOutboundFailed && (
+              <span className="inline-flex items-center rounded-full bg-red-100 px-2 py-0.5 text-xs font-medium text-red-800 dark:bg-red-900/30 dark:text-red-200">
+                Last text failed to deliver
+              </span>
+            )}
             {!!data.properties?.length && (
               <span className="text-xs text-gray-500">
                 Linked: {data.properties.join(', ')}
               </span>
             )}
           </div>
+          <ConsentHistory consent={data.consent} />
         </div>
+
+        <ModeControls mode={data.mode} disabled={switching} onChange={changeMode} />
       </div>
 
-      {/* Messages */}
-      <div
-        ref={listRef}
-        className="flex-1 overflow-y-auto bg-white p-4 dark:bg-gray-900"
-      >
-        {(data.messages || []).map((m, idx) => (
-          <ChatBubble
-            key={idx}
-            role={m.role} // 'user' | 'assistant' | 'agent'
-            message={m.content}
-            time={m.t}
-            meta={m.meta}
-          />
-        ))}
+      <div className="flex min-h-0 flex-1">
+        {/* Messages */}
+        <div
+          ref={listRef}
+          className="flex-1 overflow-y-auto bg-white p-4 dark:bg-gray-900"
+        >
+          {(data.messages || []).map((m, idx) => (
+            <ChatBubble
+              key={idx}
+              role={m.role} // 'user' | 'assistant' | 'agent'
+              message={m.content}
+              time={m.t}
+              meta={m.meta}
+              status={m.status}
+              errorCode={m.errorCode}
+              errorMessage={m.errorMessage}
+            />
+          ))}
+        </div>
+
+        {/* Lead details */}
+        <QualificationPanel
+          id={id}
+          qualification={data.qualification}
+          onSaved={(qualification) => setData((d) => ({ ...d, qualification }))}
+        />
       </div>
 
       {/* Composer */}
       <div className="border-t p-3">
-        <ChatInput
-          disabled={sending}
-          placeholder={
-            isHuman
-              ? 'Reply as leasing agent…'
-              : 'AI is active. Replying will switch to human mode.'
-          }
-          onSend={onSend}
+        {optedOut ? (
+          <p className="px-4 py-2 text-sm text-gray-500">
+            This renter texted STOP — messages can&apos;t be sent until they reply START.
+          </p>
+        ) : (
+          <ChatInput
+            disabled={sending}
+            placeholder={
+              isHuman
+                ? 'Reply as leasing agent…'
+                : 'AI is active. Replying will switch to human mode.'
+            }
+            onSend={onSend}
+          />
+        )}
+      </div>
+    </div>
+  );
+}
+
+const QUALIFICATION_FIELDS = [
+  { key: 'moveInDate', label: 'Move-in', placeholder: 'YYYY-MM-DD or “early March”' },
+  { key: 'budget', label: 'Budget ($/mo)', numeric: true },
+  { key: 'bedrooms', label: 'Bedrooms', numeric: true, placeholder: '0 = studio' },
+  { key: 'occupants', label: 'Occupants', numeric: true },
+  { key: 'pets', label: 'Pets' },
+  { key: 'parking', label: 'Parking' },
+  { key: 'employment', label: 'Employment' },
+];
+
+const toForm = (q) => ({
+  summary: q?.summary || '',
+  ...Object.fromEntries(QUALIFICATION_FIELDS.map((f) => [f.key, q?.fields?.[f.key] ?? ''])),
+});
+
+// 📋 What Ava has picked up about the renter — staff can correct it.
+// Fields staff set are marked and Ava's extraction won't change them; clear one to hand it back.
+function QualificationPanel({ id, qualification, onSaved }) {
+  const [form, setForm] = useState(() => toForm(qualification));
+  const [dirty, setDirty] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+
+  // Live updates replace the form unless someone is mid-edit
+  useEffect(() => {
+    if (!dirty) setForm(toForm(qualification));
+  }, [qualification, dirty]);
+
+  const edited = new Set(qualification?.edited || []);
+  const input =
+    'w-full rounded-md border border-gray-300 bg-white px-2 py-1 text-sm dark:border-gray-700 dark:bg-gray-900';
+
+  function update(key, value) {
+    setForm((f) => ({ ...f, [key]: value }));
+    setDirty(true);
+  }
+
+  async function save() {
+    setSaving(true);
+    setError('');
+    try {
+      const r = await fetch(`/api/conversations/${encodeURIComponent(id)}/qualification`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(form),
+      });
+      const j = await r.json().catch(() => ({}));
+      if (!j?.ok) throw new Error(j?.error || 'Save failed');
+      setDirty(false);
+      onSaved(j.data);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <aside className="w-72 flex-none space-y-3 overflow-y-auto border-l p-4 text-sm">
+      <h3 className="font-semibold">Lead details</h3>
+
+      <label className="block space-y-1">
+        <span className="text-xs text-gray-500">Summary</span>
+        <textarea
+          rows={4}
+          className={input}
+          value={form.summary}
+          onChange={(e) => update('summary', e.target.value)}
         />
+      </label>
+
+      {QUALIFICATION_FIELDS.map((f) => (
+        <label key={f.key} className="block space-y-1">
+          <span className="text-xs text-gray-500">
+            {f.label}
+            {edited.has(f.key) ? <span className="ml-1 text-amber-600">• set by staff</span> : null}
+          </span>
+          <input
+            className={input}
+            inputMode={f.numeric ? 'numeric' : undefined}
+            placeholder={f.placeholder || ''}
+            value={form[f.key]}
+            onChange={(e) => update(f.key, e.target.value)}
+          />
+        </label>
+      ))}
+
+      {error && <p className="text-xs text-red-600">{error}</p>}
+
+      <div className="flex items-center gap-2">
+        <button
+          className="rounded-lg border px-3 py-1.5 text-xs font-medium transition disabled:opacity-50 hover:bg-gray-50 dark:hover:bg-gray-800"
+          disabled={!dirty || saving}
+          onClick={save}
+        >
+          {saving ? 'Saving…' : 'Save'}
+        </button>
+        {dirty && (
+          <button
+            className="text-xs text-gray-500 hover:underline"
+            disabled={saving}
+            onClick={() => {
+              setDirty(false);
+              setForm(toForm(qualification));
+            }}
+          >
+            Discard
+          </button>
+        )}
       </div>
+
+      {qualification?.updatedAt && (
+        <p className="text-xs text-gray-400">Updated {new Date(qualification.updatedAt).toLocaleString()}</p>
+      )}
+    </aside>
+  );
+}
+
+function ModeControls({ mode, disabled, onChange }) {
+  const btn =
+    'rounded-lg border px-3 py-1.5 text-xs font-medium transition disabled:opacity-50 hover:bg-gray-50 dark:hover:bg-gray-800';
+  return (
+    <div className="flex items-center gap-2">
+      {mode !== 'human' && (
+        <button className={btn} disabled={disabled} onClick={() => onChange('human')}>
+          Take over
+        </button>
+      )}
+      {mode === 'auto' && (
+        <button className={btn} disabled={disabled} onClick={() => onChange('paused')}>
+          Pause Ava
+        </button>
+      )}
+      {mode !== 'auto' && (
+        <button
+          className={`${btn} border-emerald-300 text-emerald-700 dark:text-emerald-300`}
+          disabled={disabled}
+          onClick={() => onChange('auto')}
+        >
+          Hand back to Ava
+        </button>
+      )}
     </div>
   );
 }
@@ -177,9 +397,73 @@ function ModeChip({ mode, reason, owner }) {
       </span>
     );
   }
+  if (mode === 'paused') {
+    return (
+      <span className="inline-flex items-center gap-1 rounded-full bg-gray-200 px-2 py-0.5 text-xs font-medium text-gray-800 dark:bg-gray-700 dark:text-gray-100">
+        Ava paused
+        {reason ? <span className="opacity-70">• {reason}</span> : null}
+      </span>
+    );
+  }
   return (
     <span className="inline-flex items-center gap-1 rounded-full bg-emerald-100 px-2 py-0.5 text-xs font-medium text-emerald-800 dark:bg-emerald-900/30 dark:text-emerald-200">
       AI mode
     </span>
   );
 }
+
+function ConsentChip({ consent }) {
+  if (consent?.status !== 'opted_out') return null;
+  return (
+    <span className="inline-flex items-center gap-1 rounded-full bg-gray-200 px-2 py-0.5 text-xs font-medium text-gray-800 dark:bg-gray-700 dark:text-gray-100">
+      Opted out
+      {consent.optedOutAt ? (
+        <span className="opacity-70">• {new Date(consent.optedOutAt).toLocaleDateString()}</span>
+      ) : null}
+    </span>
+  );
+}
+
+const CONSENT_LABELS = {
+  opt_out: 'Opted out',
+  opt_in: 'Opted back in',
+  help: 'Asked for help',
+};
+
+function ConsentHistory({ consent }) {
+  if (!consent?.history?.length) return null;
+  return (
+    <details className="mt-1 text-xs text-gray-500">
+      <summary className="cursor-pointer select-none">SMS consent history</summary>
+      <ul className="mt-1 space-y-0.5">
+        {consent.history.map((e, i) => (
+          <li key={i}>
+            {new Date(e.at).toLocaleString()} — {CONSENT_LABELS[e.action] || e.action}
+            {e.keyword ? ` (“${e.keyword}”)` : ''}
+            {e.source !== 'sms' ? ` via ${e.source}` : ''}
+          </li>
+        ))}
+      </ul>
+    </details>
+  );
+}
+
+const STATE_LABELS = {
+  idle: 'No booking in progress',
+  awaiting_time: 'Collecting showing time',
+  awaiting_confirmation: 'Waiting for renter to confirm',
+  booked: 'Showing booked',
+  rescheduling: 'Rescheduling',
+};
+
+function BookingStateChip({ state }) {
+  if (!state?.state || state.state === 'idle') return null;
+  const partial = [state.pendingDate, state.pendingTime].filter(Boolean).join(' ');
+  return (
+    <span className="inline-flex items-center gap-1 rounded-full bg-indigo-100 px-2 py-0.5 text-xs font-medium text-indigo-800 dark:bg-indigo-900/30 dark:text-indigo-200">
+      {STATE_LABELS[state.state] || state.state}
+      {partial ? <span className="opacity-70">• {partial}</span> : null}
+      {state.propertySlug ? <span className="opacity-70">• {state.propertySlug}</span> : null}
+    </span>
+  );
+}
@@ -42,7 +42,7 @@ export default function ConversationsPage() {
             </CardHeader>
             <CardContent className="text-sm space-y-1">
               {c.property && <p><strong>Property:</strong> {c.property}</p>}
-              {c.intent && <p><strong>Intent:</strong> {c.intent}</p>}
+              {c.bookingState && <p><strong>Booking:</strong> {c.bookingState}</p>}
               {c.lastMessage && (
                 <p className="italic text-gray-600 dark:text-gray-300">“{c.lastMessage}”</p>
               )}
@@ -4,6 +4,7 @@ import { useEffect, useState, useRef, useMemo } from "react";
 import { Input } from "@/components/ui/input";
 import { Button } from "@/components/ui/button";
 import { ScrollArea } from "@/components/ui/scroll-area";
+import DeliveryStatus from "@/components/DeliveryStatus";
 
 export default function InboxPage() {
   const [conversations, setConversations] = useState([]);
@@ -48,7 +49,15 @@ export default function InboxPage() {
     try {
       const res = await fetch(`${backendBase}/history/${encodeURIComponent(phone)}`);
       const json = await res.json();
-      if (json.ok) setMessages(json.messages || []);
+      if (json.ok) {
+        setMessages(json.messages || []);
+        // 👀 Opening the thread marks it read
+        fetch(`${backendBase}/api/conversations/${encodeURIComponent(phone)}/read`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ agentId: "dashboard" }),
+        }).catch(() => {});
+      }
     } catch (err) {
       console.error("Failed to load thread:", err);
     } finally {
@@ -67,7 +76,15 @@ export default function InboxPage() {
     es.onmessage = (e) => {
       try {
         const evt = JSON.parse(e.data);
-        if (evt.type === "message" && evt.item) {
+        if (evt.type === "message_status") {
+          setMessages((msgs) =>
+            msgs.map((m) =>
+              m.id === evt.messageId
+                ? { ...m, deliveryStatus: evt.status, errorCode: evt.errorCode, errorMessage: evt.errorMessage }
+                : m
+            )
+          );
+        } else if (evt.type === "message" && evt.item) {
           setMessages((msgs) => [...msgs, evt.item]);
 
           // 🔼 Move updated conversation to top
@@ -120,8 +137,26 @@ export default function InboxPage() {
                   : ""
               }`}
             >
-              <p className="font-semibold text-gray-900">
+              <p className="font-semibold text-gray-900 flex items-center gap-2">
                 {c.leadName || c.phone}
+                {c.mode && c.mode !== "auto" && (
+                  <span className="rounded-full bg-amber-100 px-2 py-0.5 text-[10px] font-medium text-amber-800">
+                    {c.mode === "human" ? "Human" : "Paused"}
+                  </span>
+                )}
+                {c.optedOut && (
+                  <span className="rounded-full bg-gray-200 px-2 py-0.5 text-[10px] font-medium text-gray-700">
+                    Opted out
+                  </span>
+                )}
+                {c.lastOutboundFailed && (
+                  <span
+                    className="rounded-full bg-red-100 px-2 py-0.5 text-[10px] font-medium text-red-700"
+                    title="Our last text to this lead was not delivered"
+                  >
+                    Undelivered
+                  </span>
+                )}
               </p>
               <p className="text-sm text-gray-500 truncate">{c.lastMessage}</p>
               <div className="text-xs text-gray-400 mt-1">
@@ -159,7 +194,9 @@ export default function InboxPage() {
                         })
                       : "";
 
-                  const isAI = sender === "ai" || sender === "assistant";
+                  // Agent replies go out from our number too, so they sit on Ava's side
+                  const isAI = sender === "ai" || sender === "assistant" || sender === "agent";
+                  const deliveryStatus = m.deliveryStatus || m.status;
 
                   return (
                     <div
@@ -179,11 +216,19 @@ export default function InboxPage() {
                           {text}
                         </p>
                         <div
-                          className={`absolute text-[11px] text-gray-400 mt-1 ${
+                          className={`absolute text-[11px] text-gray-400 mt-1 whitespace-nowrap ${
                             isAI ? "left-0 -bottom-5" : "right-0 -bottom-5"
                           }`}
                         >
                           {time}
+                          {isAI && deliveryStatus && (
+                            <DeliveryStatus
+                              className="ml-2"
+                              status={deliveryStatus}
+                              errorCode={m.errorCode}
+                              errorMessage={m.errorMessage}
+                            />
+                          )}
                         </div>
                       </div>
                     </div>
@@ -39,11 +39,12 @@ export default function LeadsPage() {
                   <strong>Property:</strong> {lead.property}
                 </p>
               )}
-              {lead.intent && (
+              {lead.bookingState && (
                 <p className="text-gray-600 dark:text-gray-300 mb-1">
-                  <strong>Intent:</strong> {lead.intent}
+                  <strong>Booking:</strong> {lead.bookingState}
                 </p>
               )}
+              <QualificationLine qualification={lead.qualification} />
               {lead.lastMessage && (
                 <p className="text-gray-500 dark:text-gray-400 text-sm mb-2 italic">
                   “{lead.lastMessage}”
@@ -67,3 +68,19 @@ export default function LeadsPage() {
     </div>
   );
 }
+
+// 📋 "Move-in 2025-03-01 · $1,800/mo · 2 bd · 1 cat" — only what's known
+function QualificationLine({ qualification: q }) {
+  if (!q) return null;
+  const parts = [
+    q.moveInDate && `Move-in ${q.moveInDate}`,
+    q.budget != null && `$${q.budget.toLocaleString()}/mo`,
+    q.bedrooms != null && (q.bedrooms === 0 ? 'Studio' : `${q.bedrooms} bd`),
+    q.occupants != null && `${q.occupants} ${q.occupants === 1 ? 'person' : 'people'}`,
+    q.pets && `Pets: ${q.pets}`,
+    q.parking && `Parking: ${q.parking}`,
+    q.employment,
+  ].filter(Boolean);
+  if (!parts.length) return null;
+  return <p className="text-gray-600 dark:text-gray-300 text-sm mb-1">{parts.join(' · ')}</p>;
+}
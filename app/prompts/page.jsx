@@ -0,0 +1,305 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import PageHeader from "@/components/ui/PageHeader";
+import LoadingState from "@/components/ui/LoadingState";
+import { Card, CardHeader, CardTitle, CardContent } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Textarea } from "@/components/ui/textarea";
+
+const BACKEND =
+  process.env.NEXT_PUBLIC_AI_BACKEND_URL || "https://api.cubbylockers.com";
+
+const BUILT_IN = "built-in"; // createdBy of the shipped defaults
+
+// Line diff (LCS) → [{ type: "same" | "add" | "del", text }]
+function diffLines(before, after) {
+  const a = String(before || "").split("\n");
+  const b = String(after || "").split("\n");
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const out = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      out.push({ type: "same", text: a[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      out.push({ type: "del", text: a[i++] });
+    } else {
+      out.push({ type: "add", text: b[j++] });
+    }
+  }
+  while (i < a.length) out.push({ type: "del", text: a[i++] });
+  while (j < b.length) out.push({ type: "add", text: b[j++] });
+  return out;
+}
+
+const DIFF_STYLES = {
+  same: "text-gray-500",
+  add: "bg-green-50 text-green-800",
+  del: "bg-red-50 text-red-700 line-through",
+};
+
+function DiffView({ before, after }) {
+  const lines = diffLines(before, after);
+  if (!lines.some((l) => l.type !== "same")) {
+    return <p className="text-sm text-gray-400">No differences.</p>;
+  }
+  return (
+    <pre className="max-h-80 overflow-auto rounded border border-gray-200 p-2 text-xs whitespace-pre-wrap">
+      {lines.map((l, idx) => (
+        <div key={idx} className={DIFF_STYLES[l.type]}>
+          {l.type === "add" ? "+ " : l.type === "del" ? "- " : "  "}
+          {l.text}
+        </div>
+      ))}
+    </pre>
+  );
+}
+
+export default function PromptsPage() {
+  const [prompts, setPrompts] = useState([]);
+  const [selectedKey, setSelectedKey] = useState(null);
+  const [draft, setDraft] = useState("");
+  const [note, setNote] = useState("");
+  const [versions, setVersions] = useState([]);
+  const [compare, setCompare] = useState(null); // version row shown in the diff
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [status, setStatus] = useState("");
+
+  const selected = prompts.find((p) => p.key === selectedKey);
+
+  // 🔁 All prompts + their live versions
+  useEffect(() => {
+    async function load() {
+      try {
+        const res = await fetch(`${BACKEND}/api/prompts`, { cache: "no-store" });
+        const json = await res.json();
+        if (json.ok) {
+          setPrompts(json.data);
+          if (json.data.length) selectPrompt(json.data[0]);
+        }
+      } catch (err) {
+        console.error("❌ Failed to load prompts:", err);
+      }
+      setLoading(false);
+    }
+    load();
+  }, []);
+
+  async function loadVersions(key) {
+    try {
+      const res = await fetch(`${BACKEND}/api/prompts/${key}/versions`, { cache: "no-store" });
+      const json = await res.json();
+      setVersions(json.ok ? json.data : []);
+    } catch (err) {
+      console.error("❌ Failed to load prompt versions:", err);
+      setVersions([]);
+    }
+  }
+
+  function selectPrompt(prompt) {
+    setSelectedKey(prompt.key);
+    setDraft(prompt.body);
+    setNote("");
+    setCompare(null);
+    setStatus("");
+    loadVersions(prompt.key);
+  }
+
+  function applyLive(data) {
+    setPrompts((prev) => prev.map((p) => (p.key === data.key ? data : p)));
+    setDraft(data.body);
+    setNote("");
+    setCompare(null);
+    loadVersions(data.key);
+  }
+
+  async function post(path, body) {
+    setSaving(true);
+    setStatus("");
+    try {
+      const res = await fetch(`${BACKEND}/api/prompts/${selectedKey}${path}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      });
+      const json = await res.json();
+      if (!json.ok) throw new Error(json.error || "Save failed");
+
+      applyLive(json.data);
+      setStatus(`✅ Live: v${json.data.version}`);
+    } catch (err) {
+      console.error("❌ Failed to save prompt:", err);
+      setStatus(`❌ ${err.message}`);
+    }
+    setSaving(false);
+  }
+
+  const handleSave = () => post("", { body: draft, note });
+
+  const handleRollback = (version) => {
+    const question =
+      version === 0
+        ? "Go back to the built-in default? It will follow future updates again."
+        : `Make v${version} live again? It will be saved as a new version.`;
+    if (!confirm(question)) return;
+    post("/rollback", { version });
+  };
+
+  if (loading) return <LoadingState label="Loading prompts..." />;
+  if (!prompts.length) return <div className="p-8 text-gray-500">Could not load prompts.</div>;
+
+  const dirty = selected && draft !== selected.body;
+
+  return (
+    <div className="p-8 space-y-6">
+      <PageHeader
+        title="Prompts"
+        actions={status && <span className="text-sm text-gray-500">{status}</span>}
+      />
+
+      <div className="flex gap-6">
+        {/* 📋 Prompt list */}
+        <nav className="w-60 flex-none space-y-1">
+          {prompts.map((p) => (
+            <button
+              key={p.key}
+              type="button"
+              onClick={() => selectPrompt(p)}
+              className={`w-full rounded-lg px-3 py-2 text-left text-sm transition ${
+                p.key === selectedKey ? "bg-gray-900 text-white" : "text-gray-700 hover:bg-gray-100"
+              }`}
+            >
+              <div className="font-medium">{p.label}</div>
+              <div className={`text-xs ${p.key === selectedKey ? "text-gray-300" : "text-gray-400"}`}>
+                v{p.version}
+                {p.createdBy === BUILT_IN ? " · built-in" : ""}
+              </div>
+            </button>
+          ))}
+        </nav>
+
+        {selected && (
+          <div className="flex-1 space-y-6 min-w-0">
+            {/* ✏️ Editor */}
+            <Card>
+              <CardHeader>
+                <CardTitle>
+                  {selected.label}{" "}
+                  <span className="text-sm font-normal text-gray-400">
+                    {selected.key} · v{selected.version} live
+                    {selected.createdBy === BUILT_IN ? " (built-in default)" : ""}
+                  </span>
+                </CardTitle>
+                {selected.description && <p className="text-sm text-gray-500">{selected.description}</p>}
+              </CardHeader>
+              <CardContent>
+                <div className="space-y-4">
+                  <Textarea
+                    rows={16}
+                    value={draft}
+                    onChange={(e) => setDraft(e.target.value)}
+                    className="font-mono text-xs"
+                  />
+                  <p className="text-xs text-gray-400">
+                    {selected.variables.length
+                      ? `Variables: ${selected.variables.map((v) => `{${v}}`).join(", ")}. `
+                      : "This prompt has no variables. "}
+                    Wrap text in {"{#name}…{/name}"} to show it only when a variable is set, or{" "}
+                    {"{^name}…{/name}"} when it isn't.
+                  </p>
+
+                  <div className="space-y-1">
+                    <Label htmlFor="note">Change note</Label>
+                    <Input
+                      id="note"
+                      value={note}
+                      onChange={(e) => setNote(e.target.value)}
+                      placeholder="What changed and why (optional)"
+                    />
+                  </div>
+
+                  {dirty && (
+                    <div className="space-y-1">
+                      <Label>Changes vs. live</Label>
+                      <DiffView before={selected.body} after={draft} />
+                    </div>
+                  )}
+
+                  <div className="flex gap-2">
+                    <Button onClick={handleSave} disabled={saving || !dirty}>
+                      {saving ? "Saving..." : "Save as new version"}
+                    </Button>
+                    {dirty && (
+                      <Button variant="outline" onClick={() => setDraft(selected.body)} disabled={saving}>
+                        Discard
+                      </Button>
+                    )}
+                  </div>
+                </div>
+              </CardContent>
+            </Card>
+
+            {/* 📜 History */}
+            <Card>
+              <CardHeader>
+                <CardTitle>Version History</CardTitle>
+              </CardHeader>
+              <CardContent>
+                <div className="divide-y divide-gray-100">
+                  {versions.map((v) => {
+                    const live = v.version === selected.version;
+                    return (
+                      <div key={v.version} className="py-2 text-sm">
+                        <div className="flex items-center gap-3">
+                          <span className="font-medium">v{v.version}</span>
+                          {live && (
+                            <span className="rounded-full bg-green-100 px-2 py-0.5 text-xs text-green-700">live</span>
+                          )}
+                          <span className="flex-1 truncate text-gray-500">
+                            {v.note || ""}
+                            {v.createdBy ? ` · ${v.createdBy}` : ""}
+                            {v.createdAt ? ` · ${new Date(v.createdAt).toLocaleString()}` : ""}
+                            {v.messageCount ? ` · ${v.messageCount} message${v.messageCount === 1 ? "" : "s"}` : ""}
+                          </span>
+                          <Button
+                            variant="outline"
+                            onClick={() => setCompare(compare?.version === v.version ? null : v)}
+                          >
+                            {compare?.version === v.version ? "Hide diff" : "Diff vs. live"}
+                          </Button>
+                          {!live && (
+                            <Button variant="outline" onClick={() => handleRollback(v.version)} disabled={saving}>
+                              Roll back
+                            </Button>
+                          )}
+                        </div>
+                        {compare?.version === v.version && (
+                          <div className="mt-2">
+                            <DiffView before={v.body} after={selected.body} />
+                          </div>
+                        )}
+                      </div>
+                    );
+                  })}
+                </div>
+              </CardContent>
+            </Card>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -12,6 +12,21 @@ import { toast } from "sonner";
 
 const BACKEND = process.env.NEXT_PUBLIC_AI_BACKEND_URL;
 
+// 🌎 Showing times for a property are read and offered in its own zone
+const TIMEZONES = [
+  { value: "", label: "Use default (Calendar Settings)" },
+  { value: "America/Vancouver", label: "Pacific — Vancouver" },
+  { value: "America/Edmonton", label: "Mountain — Edmonton / Calgary" },
+  { value: "America/Regina", label: "Saskatchewan — Regina (no DST)" },
+  { value: "America/Winnipeg", label: "Central — Winnipeg" },
+  { value: "America/Toronto", label: "Eastern — Toronto / Ottawa" },
+  { value: "America/Halifax", label: "Atlantic — Halifax" },
+  { value: "America/St_Johns", label: "Newfoundland — St. John's" },
+];
+
+// 🏠 Saved on Property itself (blank = Calendar Settings default), never sent as facts
+const PROPERTY_FIELDS = ["timezone", "showingDuration", "bufferMinutes", "slotCapacity"];
+
 // 🧩 Helper to generate slugs from address
 function slugify(text) {
   return (text || "")
@@ -49,6 +64,10 @@ function PropertyEditorContent() {
           setProperty({
             slug: json.data.slug,
             address: facts.address || json.data.address || "",
+            timezone: json.data.timezone || "",
+            showingDuration: json.data.showingDuration ?? "",
+            bufferMinutes: json.data.bufferMinutes ?? "",
+            slotCapacity: json.data.slotCapacity ?? "",
             rent: facts.rent || "",
             bedrooms: facts.bedrooms || "",
             bathrooms: facts.bathrooms || "",
@@ -102,6 +121,10 @@ function PropertyEditorContent() {
         petsAllowed: false,
         furnished: false,
         notes: "",
+        timezone: "",
+        showingDuration: "",
+        bufferMinutes: "",
+        slotCapacity: "",
         // new fields
         buildingName: "",
         buildingType: "",
@@ -140,6 +163,7 @@ const handleSave = async () => {
     // ✅ Build a clean facts object — only include filled values
     const cleanFacts = {};
     Object.entries(property).forEach(([key, value]) => {
+      if (PROPERTY_FIELDS.includes(key)) return; // live on Property, not PropertyFacts
       if (value !== "" && value !== undefined && value !== null) {
         cleanFacts[key] = value;
       }
@@ -148,6 +172,10 @@ const handleSave = async () => {
     const payload = {
       slug: property.slug || slugify(property.address),
       address: property.address || null,
+      timezone: property.timezone || null,
+      showingDuration: property.showingDuration === "" ? null : Number(property.showingDuration),
+      bufferMinutes: property.bufferMinutes === "" ? null : Number(property.bufferMinutes),
+      slotCapacity: property.slotCapacity === "" ? null : Number(property.slotCapacity),
       facts: cleanFacts,
     };
 
@@ -182,6 +210,10 @@ const handleSave = async () => {
     setProperty({
       slug: fresh.slug,
       address: fresh.address,
+      timezone: fresh.timezone || "",
+      showingDuration: fresh.showingDuration ?? "",
+      bufferMinutes: fresh.bufferMinutes ?? "",
+      slotCapacity: fresh.slotCapacity ?? "",
       ...fresh.facts,
       updatedAt: new Date().toISOString(),
     });
@@ -283,6 +315,50 @@ return (
             onChange={(e) => handleChange("managedBy", e.target.value)}
           />
         </div>
+        <div>
+          <Label>Timezone</Label>
+          <select
+            value={property.timezone || ""}
+            onChange={(e) => handleChange("timezone", e.target.value)}
+            className="w-full border border-gray-300 dark:border-gray-700 rounded-md px-3 py-2 text-sm bg-white dark:bg-gray-800 text-gray-900 dark:text-gray-100 focus:outline-none focus:ring-2 focus:ring-indigo-500"
+          >
+            {TIMEZONES.map((tz) => (
+              <option key={tz.value} value={tz.value}>
+                {tz.label}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <Label>Showing Length (min)</Label>
+          <Input
+            type="number"
+            min={5}
+            placeholder="Default"
+            value={property.showingDuration ?? ""}
+            onChange={(e) => handleChange("showingDuration", e.target.value)}
+          />
+        </div>
+        <div>
+          <Label>Buffer Between Showings (min)</Label>
+          <Input
+            type="number"
+            min={0}
+            placeholder="Default"
+            value={property.bufferMinutes ?? ""}
+            onChange={(e) => handleChange("bufferMinutes", e.target.value)}
+          />
+        </div>
+        <div>
+          <Label>Parties Per Slot</Label>
+          <Input
+            type="number"
+            min={1}
+            placeholder="Default (1)"
+            value={property.slotCapacity ?? ""}
+            onChange={(e) => handleChange("slotCapacity", e.target.value)}
+          />
+        </div>
         <div className="col-span-2">
           <Label>Listing URL</Label>
           <Input
@@ -290,6 +366,22 @@ return (
             onChange={(e) => handleChange("listingUrl", e.target.value)}
           />
         </div>
+        {slugFromUrl && (
+          <div className="col-span-2">
+            <Label>Public Booking Page</Label>
+            <p className="text-sm text-gray-600">
+              Paste this link into listings so renters can book without texting:{" "}
+              <a
+                href={`/book/${slugFromUrl}`}
+                target="_blank"
+                rel="noreferrer"
+                className="text-indigo-600 hover:underline"
+              >
+                /book/{slugFromUrl}
+              </a>
+            </p>
+          </div>
+        )}
       </div>
     </section>
 
@@ -0,0 +1,253 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import PageHeader from "@/components/ui/PageHeader";
+import LoadingState from "@/components/ui/LoadingState";
+import { Card, CardHeader, CardTitle, CardContent } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { Switch } from "@/components/ui/switch";
+import { Textarea } from "@/components/ui/textarea";
+
+const PLACEHOLDERS = "{name}, {property}, {address}, {time}, {link}";
+
+// 1440 → "24h", 90 → "90m"
+function formatOffset(min) {
+  return min % 60 === 0 ? `${min / 60}h` : `${min}m`;
+}
+
+// "24h, 2h, 30m" → [1440, 120, 30]  (bare numbers are hours)
+function parseOffsets(text) {
+  return String(text || "")
+    .split(/[,\s]+/)
+    .map((part) => {
+      const m = part.trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(h|m)?$/);
+      if (!m) return null;
+      const n = parseFloat(m[1]);
+      return Math.round(m[2] === "m" ? n : n * 60);
+    })
+    .filter((n) => n > 0);
+}
+
+export default function SettingsPage() {
+  const [settings, setSettings] = useState(null);
+  const [offsetsText, setOffsetsText] = useState("");
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [status, setStatus] = useState("");
+  const [log, setLog] = useState([]);
+
+  const BACKEND =
+    process.env.NEXT_PUBLIC_AI_BACKEND_URL || "https://api.cubbylockers.com";
+
+  // 🔁 Load reminder settings + recent sends
+  useEffect(() => {
+    async function load() {
+      try {
+        const [settingsRes, logRes] = await Promise.all([
+          fetch(`${BACKEND}/api/reminders/settings`, { cache: "no-store" }),
+          fetch(`${BACKEND}/api/reminders/log`, { cache: "no-store" }),
+        ]);
+        const [settingsJson, logJson] = await Promise.all([settingsRes.json(), logRes.json()]);
+
+        if (settingsJson.ok) {
+          setSettings(settingsJson.data);
+          setOffsetsText((settingsJson.data.reminderOffsets || []).map(formatOffset).join(", "));
+        }
+        if (logJson.ok) setLog(logJson.data || []);
+      } catch (err) {
+        console.error("❌ Failed to load reminder settings:", err);
+      }
+      setLoading(false);
+    }
+    load();
+  }, [BACKEND]);
+
+  const update = (key, value) => setSettings((prev) => ({ ...prev, [key]: value }));
+
+  async function handleSave() {
+    setSaving(true);
+    setStatus("");
+    try {
+      const res = await fetch(`${BACKEND}/api/reminders/settings`, {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ ...settings, reminderOffsets: parseOffsets(offsetsText) }),
+      });
+      const json = await res.json();
+      if (!json.ok) throw new Error(json.error || "Save failed");
+
+      setSettings(json.data);
+      setOffsetsText((json.data.reminderOffsets || []).map(formatOffset).join(", "));
+      setStatus("✅ Saved");
+    } catch (err) {
+      console.error("❌ Failed to save reminder settings:", err);
+      setStatus(`❌ ${err.message}`);
+    }
+    setSaving(false);
+  }
+
+  if (loading) return <LoadingState label="Loading settings..." />;
+  if (!settings) return <div className="p-8 text-gray-500">Could not load settings.</div>;
+
+  return (
+    <div className="p-8 space-y-6 max-w-3xl">
+      <PageHeader
+        title="Settings"
+        actions={
+          <>
+            {status && <span className="text-sm text-gray-500">{status}</span>}
+            <Button onClick={handleSave} disabled={saving}>
+              {saving ? "Saving..." : "Save"}
+            </Button>
+          </>
+        }
+      />
+
+      {/* 🔔 Before the showing */}
+      <Card>
+        <CardHeader>
+          <CardTitle>Showing Reminders</CardTitle>
+        </CardHeader>
+        <CardContent>
+          <div className="space-y-4">
+            <div className="flex items-center justify-between">
+              <Label>Send reminder texts before showings</Label>
+              <Switch
+                checked={!!settings.remindersEnabled}
+                onCheckedChange={(v) => update("remindersEnabled", v)}
+              />
+            </div>
+
+            <div className="space-y-1">
+              <Label htmlFor="offsets">Send at (before the showing)</Label>
+              <Input
+                id="offsets"
+                value={offsetsText}
+                onChange={(e) => setOffsetsText(e.target.value)}
+                placeholder="24h, 2h"
+              />
+              <p className="text-xs text-gray-400">Comma-separated, e.g. 24h, 2h, 30m</p>
+            </div>
+
+            <div className="space-y-1">
+              <Label htmlFor="reminderTemplate">Reminder message</Label>
+              <Textarea
+                id="reminderTemplate"
+                rows={3}
+                value={settings.reminderTemplate || ""}
+                onChange={(e) => update("reminderTemplate", e.target.value)}
+              />
+              <p className="text-xs text-gray-400">
+                Placeholders: {PLACEHOLDERS}. Renters who reply YES are marked as confirmed.
+              </p>
+            </div>
+          </div>
+        </CardContent>
+      </Card>
+
+      {/* 🏁 After the showing */}
+      <Card>
+        <CardHeader>
+          <CardTitle>Follow-ups</CardTitle>
+        </CardHeader>
+        <CardContent>
+          <div className="space-y-4">
+            <div className="flex items-center justify-between">
+              <Label>Send follow-up texts after showings</Label>
+              <Switch
+                checked={!!settings.followUpEnabled}
+                onCheckedChange={(v) => update("followUpEnabled", v)}
+              />
+            </div>
+
+            <div className="space-y-1">
+              <Label htmlFor="followUpDelay">Minutes after the showing</Label>
+              <Input
+                id="followUpDelay"
+                value={String(settings.followUpDelayMinutes ?? "")}
+                onChange={(e) => update("followUpDelayMinutes", e.target.value.replace(/\D/g, ""))}
+                placeholder="120"
+              />
+            </div>
+
+            <div className="space-y-1">
+              <Label htmlFor="applicationUrl">Application link</Label>
+              <Input
+                id="applicationUrl"
+                value={settings.applicationUrl || ""}
+                onChange={(e) => update("applicationUrl", e.target.value)}
+                placeholder="https://... (falls back to the property's listing URL)"
+              />
+            </div>
+
+            <div className="space-y-1">
+              <Label htmlFor="followUpTemplate">Follow-up message</Label>
+              <Textarea
+                id="followUpTemplate"
+                rows={3}
+                value={settings.followUpTemplate || ""}
+                onChange={(e) => update("followUpTemplate", e.target.value)}
+              />
+            </div>
+
+            <div className="space-y-1">
+              <Label htmlFor="noShowTemplate">No-show message</Label>
+              <Textarea
+                id="noShowTemplate"
+                rows={3}
+                value={settings.noShowTemplate || ""}
+                onChange={(e) => update("noShowTemplate", e.target.value)}
+              />
+              <p className="text-xs text-gray-400">
+                Sent when a showing is marked as a no-show on the calendar. Placeholders: {PLACEHOLDERS}
+              </p>
+            </div>
+          </div>
+        </CardContent>
+      </Card>
+
+      {/* 🧾 Recent sends */}
+      <Card>
+        <CardHeader>
+          <CardTitle>Recently Sent</CardTitle>
+        </CardHeader>
+        <CardContent>
+          {log.length === 0 ? (
+            <p className="text-sm text-gray-400">Nothing sent yet.</p>
+          ) : (
+            <div className="divide-y text-sm">
+              {log.map((l) => (
+                <div key={l.id} className="flex items-center justify-between py-2">
+                  <div>
+                    <span className="font-medium capitalize">{l.kind.replace("_", " ")}</span>
+                    <span className="text-gray-500">
+                      {" "}
+                      · {l.booking?.lead?.name || l.booking?.lead?.phone || "Unknown lead"} ·{" "}
+                      {l.booking?.property?.address || "—"}
+                    </span>
+                  </div>
+                  <div className="flex items-center gap-3 text-xs text-gray-400">
+                    <span
+                      className={
+                        l.status === "failed"
+                          ? "text-red-600"
+                          : l.status === "skipped"
+                          ? "text-gray-400"
+                          : "text-green-600"
+                      }
+                    >
+                      {l.status}
+                    </span>
+                    {new Date(l.sentAt).toLocaleString()}
+                  </div>
+                </div>
+              ))}
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
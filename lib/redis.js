@@ -1,3 +0,0 @@
-// redis.js (disabled)
-console.log("🧠 Redis disabled — running DB-only mode.");
-export const redis = null;
\ No newline at end of file